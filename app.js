@@ -1,15 +1,24 @@
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const config = require('./config/default');
 
 // 라우터 임포트
 const indexRouter = require('./routes/index');
 const authRouter = require('./routes/auth');
 const forumRouter = require('./routes/forum');
 const adminRouter = require('./routes/admin');
+const profileRouter = require('./routes/profile');
+const notificationsRouter = require('./routes/notifications');
+const moderateRouter = require('./routes/moderate');
+const apiRouter = require('./routes/api');
+const feedsRouter = require('./routes/feeds');
 
 // 서비스 임포트
 const DatabaseManager = require('./services/DatabaseManager');
+const NotificationService = require('./services/NotificationService');
+const ForumService = require('./services/ForumService');
+const SQLiteSessionStore = require('./services/SQLiteSessionStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,8 +41,17 @@ async function initializeApp() {
         app.use(express.urlencoded({ extended: true }));
         app.use(express.static(path.join(__dirname, 'public')));
 
-        // 세션 설정
+        // REST API (세션/CSRF 대신 Bearer 토큰으로 인증하므로 세션 미들웨어보다 먼저 연결)
+        const { apiErrorHandler } = require('./middleware/api');
+        app.use('/api/v1', apiRouter, apiErrorHandler);
+
+        // RSS/Atom 피드 (피드 리더의 요청마다 세션이 생기지 않도록 세션 미들웨어보다 먼저 연결)
+        app.use('/feeds', feedsRouter);
+
+        // 세션 설정 (config.db에 저장하여 재시작 후에도 로그인 유지)
+        const sessionStore = new SQLiteSessionStore();
         app.use(session({
+            store: sessionStore,
             secret: process.env.SESSION_SECRET || 'forum-secret-key-change-in-production',
             resave: false,
             saveUninitialized: false,
@@ -45,19 +63,27 @@ async function initializeApp() {
         }));
 
         // 사용자 인증 미들웨어
-        const { loadUser, checkUserBan, checkRoutePermission } = require('./middleware/auth');
+        const { loadUser, checkUserBan, checkRoutePermission, requireTwoFactorEnrollment } = require('./middleware/auth');
         app.use(loadUser);
 
         // 사용자 차단 상태 확인 미들웨어
         app.use(checkUserBan);
 
         // 전역 변수 설정 (템플릿에서 사용)
-        app.use((req, res, next) => {
+        const notificationService = new NotificationService();
+        app.use(async (req, res, next) => {
             res.locals.isLoggedIn = !!req.user;
             res.locals.user = req.user;
+            res.locals.unreadNotificationCount = req.user
+                ? await notificationService.getUnreadCount(req.user.id)
+                : 0;
             next();
         });
 
+        // CSRF 토큰 발급 및 상태 변경 요청 검증 (템플릿에서는 csrfToken()으로 사용)
+        const { csrfProtection } = require('./middleware/csrf');
+        app.use(csrfProtection);
+
         // 라우트별 권한 검사 미들웨어 (라우터 설정 전에 적용)
         app.use(checkRoutePermission);
 
@@ -65,7 +91,10 @@ async function initializeApp() {
         app.use('/', indexRouter);
         app.use('/auth', authRouter);
         app.use('/forum', forumRouter);
-        app.use('/admin', adminRouter);
+        app.use('/admin', requireTwoFactorEnrollment, adminRouter);
+        app.use('/profile', profileRouter);
+        app.use('/notifications', notificationsRouter);
+        app.use('/moderate', requireTwoFactorEnrollment, moderateRouter);
 
         // 404 에러 처리
         app.use((req, res, next) => {
@@ -95,6 +124,19 @@ async function initializeApp() {
             console.log(`포럼 서버가 포트 ${PORT}에서 실행 중입니다.`);
         });
 
+        // 보관 기간이 지난 휴지통 항목 주기적 정리
+        const forumService = new ForumService();
+        const purgeExpiredTrash = () => forumService.purgeExpiredTrash(config.trash.retentionDays)
+            .catch(error => console.error('휴지통 정리 실패:', error));
+        purgeExpiredTrash();
+        setInterval(purgeExpiredTrash, config.trash.purgeInterval).unref();
+
+        // 만료된 세션 주기적 정리
+        const destroyExpiredSessions = () => sessionStore.destroyExpired()
+            .catch(error => console.error('세션 정리 실패:', error));
+        destroyExpiredSessions();
+        setInterval(destroyExpiredSessions, config.session.cleanupInterval).unref();
+
         // 포트 충돌 및 기타 서버 에러 처리
         server.on('error', (err) => {
             if (err.code === 'EADDRINUSE') {
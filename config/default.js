@@ -14,7 +14,8 @@ module.exports = {
             secure: process.env.NODE_ENV === 'production', // HTTPS에서만 true
             httpOnly: true,
             maxAge: 24 * 60 * 60 * 1000 // 24시간
-        }
+        },
+        cleanupInterval: 60 * 60 * 1000 // 만료된 세션 정리 주기 (1시간)
     },
 
     // 데이터베이스 설정
@@ -27,8 +28,42 @@ module.exports = {
     // 보안 설정
     security: {
         bcryptRounds: 12,
-        maxLoginAttempts: 5,
-        lockoutTime: 15 * 60 * 1000 // 15분
+        maxLoginAttempts: 5, // 계정별 최대 로그인 실패 횟수
+        maxLoginAttemptsPerIp: 20, // IP별 최대 로그인 실패 횟수
+        lockoutTime: 15 * 60 * 1000, // 15분
+        loginDelayBase: 1000, // 실패할 때마다 두 배로 늘어나는 재시도 대기 시간 (1초부터)
+        passwordResetTokenTTL: 60 * 60 * 1000, // 비밀번호 재설정 링크 유효 시간 (1시간)
+        maxPasswordResetRequests: 3, // 시간당 계정별 최대 비밀번호 재설정 요청 수
+        emailVerificationTokenTTL: 24 * 60 * 60 * 1000, // 이메일 인증 링크 유효 시간 (24시간)
+        maxVerificationEmails: 3 // 시간당 계정별 최대 인증 메일 발송 수
+    },
+
+    // 2단계 인증 (TOTP) 설정
+    twoFactor: {
+        // 이 역할의 사용자는 2단계 인증을 등록해야 관리자/모더레이션 페이지에 접근 가능 (비워 두면 강제하지 않음)
+        requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'super_admin,moderator')
+            .split(',').map(role => role.trim()).filter(Boolean),
+        issuer: 'NOIZZE', // 인증 앱에 표시되는 서비스 이름
+        window: 1, // 앞뒤로 허용하는 30초 단위 시간 오차
+        recoveryCodeCount: 10,
+        challengeTTL: 5 * 60 * 1000 // 비밀번호 확인 후 인증 코드 입력까지 허용하는 시간 (5분)
+    },
+
+    // 메일 설정
+    mail: {
+        // console: 콘솔 출력, file: .eml 파일 저장 (개발용), smtp: SMTP 발송 (운영용)
+        transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+        from: process.env.MAIL_FROM || 'NOIZZE <no-reply@forum.noizze.net>',
+        fileDir: process.env.MAIL_FILE_DIR || './tmp/mail',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true', // 465 포트는 true
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        }
     },
 
     // 페이지네이션 설정
@@ -42,12 +77,44 @@ module.exports = {
     upload: {
         maxFileSize: 5 * 1024 * 1024, // 5MB
         allowedTypes: ['image/jpeg', 'image/png', 'image/gif'],
-        uploadPath: './public/uploads'
+        uploadPath: './public/uploads',
+        // 첨부파일 저장 방식 (local: 디스크에 내용 해시 주소로 저장, blob: 포럼 DB에 저장)
+        storage: process.env.ATTACHMENT_STORAGE || 'local',
+        storagePath: process.env.ATTACHMENT_PATH || './database/attachments',
+        pruneGracePeriod: 60 * 60 * 1000 // 정리(prune) 시 이보다 최근에 만든 파일은 업로드 중일 수 있으므로 남김 (1시간)
+    },
+
+    // 휴지통 설정
+    trash: {
+        retentionDays: 30, // 삭제 후 보관 기간
+        purgeInterval: 24 * 60 * 60 * 1000 // 24시간마다 정리
+    },
+
+    // REST API (/api/v1) 설정
+    api: {
+        tokenPrefix: 'nzk_', // 개인 액세스 토큰 접두사 (유출된 토큰을 식별하기 쉽도록)
+        maxTokensPerUser: 10,
+        tokenExpiryDays: [30, 90, 365], // 토큰 생성 시 선택 가능한 유효 기간 (만료 없음도 선택 가능)
+        defaultPageSize: 20,
+        maxPageSize: 100
+    },
+
+    // 검색 설정
+    search: {
+        maxResults: 1000 // 페이지를 넘겨 볼 수 있는 최대 결과 수 (여러 서브포럼 검색 시 DB마다 이 수까지만 조회해 병합)
+    },
+
+    // RSS/Atom 피드 설정
+    feed: {
+        entryLimit: 20, // 피드당 항목 수
+        summaryLength: 300, // 요약(플레인 텍스트) 최대 길이
+        maxAge: 5 * 60 // 피드 리더 캐시 시간 (초)
     },
 
     // 사이트 설정
     site: {
         name: 'NOIZZE',
+        url: process.env.SITE_URL || 'http://localhost:3000', // 메일에 포함되는 링크의 기준 주소
         description: 'forum.noizze.net - 커뮤니티 포럼',
         defaultLanguage: 'ko',
         timezone: 'Asia/Seoul'
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * 데이터베이스 마이그레이션 스크립트
+ * database/migrations의 번호별 마이그레이션을 config.db와 모든 forum_N.db에 적용하거나 되돌립니다.
+ * (애플리케이션 시작 시에도 대기 중인 마이그레이션이 자동으로 적용됩니다)
+ */
+
+const DatabaseManager = require('../services/DatabaseManager');
+
+class SchemaMigrator {
+    constructor() {
+        this.dbManager = DatabaseManager.getInstance();
+        this.runner = this.dbManager.migrationRunner;
+    }
+
+    async initialize() {
+        // 명령어에 따라 직접 적용/되돌리기 위해 자동 마이그레이션 비활성화
+        this.dbManager.autoMigrate = false;
+        await this.dbManager.initialize();
+    }
+
+    // 마이그레이션 대상 DB 목록 (config.db + 카테고리별 forum_N.db)
+    async getTargets() {
+        const targets = [
+            { label: 'config.db', scope: 'config', db: this.dbManager.getConfigDB() }
+        ];
+
+        const categories = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT id FROM categories ORDER BY id'
+        );
+
+        for (const category of categories) {
+            targets.push({
+                label: `forum_${category.id}.db`,
+                scope: 'forum',
+                db: await this.dbManager.getForumDB(category.id)
+            });
+        }
+
+        return targets;
+    }
+
+    // 대상 DB별 마이그레이션 적용 상태
+    async status() {
+        const rows = [];
+
+        for (const target of await this.getTargets()) {
+            const status = await this.runner.getStatus(target.db, target.scope);
+            for (const migration of status) {
+                rows.push({
+                    database: target.label,
+                    version: migration.version,
+                    name: migration.name,
+                    applied: migration.applied ? '✓' : '-',
+                    applied_at: migration.applied_at || ''
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    // 모든 DB에 대기 중인 마이그레이션 적용
+    async up() {
+        let total = 0;
+
+        for (const target of await this.getTargets()) {
+            const applied = await this.runner.migrate(target.db, target.scope, target.label);
+            total += applied.length;
+        }
+
+        console.log(total > 0 ? `마이그레이션 ${total}건 적용 완료` : '적용할 마이그레이션이 없습니다.');
+        return total;
+    }
+
+    // 모든 DB를 지정한 버전까지 되돌리기
+    async down(targetVersion) {
+        let total = 0;
+
+        for (const target of await this.getTargets()) {
+            const reverted = await this.runner.rollback(target.db, target.scope, targetVersion, target.label);
+            total += reverted.length;
+        }
+
+        console.log(total > 0 ? `마이그레이션 ${total}건 되돌림 완료` : '되돌릴 마이그레이션이 없습니다.');
+        return total;
+    }
+
+    async close() {
+        try {
+            await this.dbManager.close();
+        } catch (error) {
+            console.error('DatabaseManager 연결 종료 실패:', error);
+        }
+    }
+}
+
+// CLI 실행 지원
+if (require.main === module) {
+    const migrator = new SchemaMigrator();
+
+    async function main() {
+        try {
+            await migrator.initialize();
+
+            const args = process.argv.slice(2);
+            const command = args[0];
+
+            switch (command) {
+                case 'status':
+                    console.table(await migrator.status());
+                    break;
+
+                case 'up':
+                    await migrator.up();
+                    break;
+
+                case 'down':
+                    const targetVersion = parseInt(args[1], 10);
+                    if (isNaN(targetVersion)) {
+                        console.error('사용법: node database/migrate.js down <target_version>');
+                        process.exitCode = 1;
+                        break;
+                    }
+                    await migrator.down(targetVersion);
+                    break;
+
+                default:
+                    console.log('사용 가능한 명령어:');
+                    console.log('  status - DB별 마이그레이션 적용 상태 확인');
+                    console.log('  up - 대기 중인 마이그레이션 적용');
+                    console.log('  down <target_version> - 지정한 버전까지 마이그레이션 되돌리기 (0이면 전체)');
+                    break;
+            }
+        } catch (error) {
+            console.error('실행 실패:', error);
+            process.exitCode = 1;
+        } finally {
+            await migrator.close();
+        }
+    }
+
+    main();
+}
+
+module.exports = SchemaMigrator;
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+/**
+ * 첨부파일 저장소 이전 스크립트
+ * 포럼 DB에 BLOB으로 저장된 첨부파일을 로컬 디스크의 내용 주소 기반 저장소로 옮기거나(to-disk),
+ * 반대로 DB로 되돌리고(to-blob), 어떤 첨부파일도 가리키지 않는 디스크 파일을 정리(prune)합니다.
+ * (행 단위로 파일을 먼저 쓰고 DB를 갱신하므로 중간에 멈춰도 다시 실행하면 이어서 처리)
+ */
+
+const DatabaseManager = require('../services/DatabaseManager');
+const { getAttachmentStore } = require('../services/AttachmentStorage');
+const config = require('../config/default');
+
+// 한 번에 메모리에 올리는 첨부파일 수
+const BATCH_SIZE = 20;
+
+const USAGE = `사용법: node database/migrate_attachments.js <명령> [옵션]
+  to-disk [subforum_id]   DB에 저장된 첨부파일을 디스크로 이전 (이전 후 VACUUM)
+  to-blob [subforum_id]   디스크의 첨부파일을 DB로 되돌림 (마이그레이션 019를 되돌리기 전에 필요)
+  prune [--dry-run]       어떤 첨부파일도 가리키지 않는 디스크 파일 삭제`;
+
+class AttachmentMigrator {
+    constructor() {
+        this.dbManager = DatabaseManager.getInstance();
+        this.localStore = getAttachmentStore('local');
+    }
+
+    async initialize() {
+        // storage 컬럼이 없는 DB는 연결 시 마이그레이션이 먼저 적용됨
+        await this.dbManager.initialize();
+    }
+
+    // 대상 서브포럼 ID 목록 (지정하지 않으면 모든 카테고리)
+    async getSubforumIds(subforumId = null) {
+        if (subforumId) {
+            const category = await this.dbManager.getQuery(
+                this.dbManager.getConfigDB(),
+                'SELECT id FROM categories WHERE id = ?',
+                [subforumId]
+            );
+            if (!category) {
+                throw new Error(`서브포럼 ${subforumId}을(를) 찾을 수 없습니다.`);
+            }
+            return [category.id];
+        }
+
+        const categories = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT id FROM categories ORDER BY id'
+        );
+        return categories.map(category => category.id);
+    }
+
+    // 지정한 저장 방식의 첨부파일을 id 순서로 BATCH_SIZE개씩 처리
+    async forEachAttachment(forumDB, storage, columns, handler) {
+        let lastId = 0;
+
+        for (;;) {
+            const rows = await this.dbManager.allQuery(
+                forumDB,
+                `SELECT id, ${columns} FROM attachments WHERE storage = ? AND id > ? ORDER BY id LIMIT ?`,
+                [storage, lastId, BATCH_SIZE]
+            );
+            if (rows.length === 0) {
+                return;
+            }
+
+            for (const row of rows) {
+                lastId = row.id;
+                await handler(row);
+            }
+        }
+    }
+
+    // DB BLOB → 디스크
+    async toDisk(subforumId = null) {
+        const rows = [];
+
+        for (const id of await this.getSubforumIds(subforumId)) {
+            const forumDB = await this.dbManager.getForumDB(id);
+            const result = { database: `forum_${id}.db`, moved: 0, bytes: 0, skipped: 0 };
+
+            await this.forEachAttachment(forumDB, 'blob', 'file_data', async (row) => {
+                if (!row.file_data) {
+                    console.warn(`첨부파일 ${row.id} (forum_${id}.db): 내용이 비어 있어 건너뜁니다.`);
+                    result.skipped++;
+                    return;
+                }
+
+                // 파일을 먼저 쓴 뒤 행을 갱신하므로 중간에 실패해도 첨부파일이 사라지지 않음
+                const stored = await this.localStore.save(row.file_data);
+                await this.dbManager.runQuery(
+                    forumDB,
+                    "UPDATE attachments SET storage = 'local', content_hash = ?, file_data = NULL WHERE id = ? AND storage = 'blob'",
+                    [stored.content_hash, row.id]
+                );
+
+                result.moved++;
+                result.bytes += row.file_data.length;
+            });
+
+            // 비워진 BLOB 공간을 반환해 DB 파일 크기를 줄임
+            if (result.moved > 0) {
+                await this.dbManager.runQuery(forumDB, 'VACUUM');
+            }
+
+            rows.push(result);
+        }
+
+        return rows;
+    }
+
+    // 디스크 → DB BLOB
+    async toBlob(subforumId = null) {
+        const rows = [];
+
+        for (const id of await this.getSubforumIds(subforumId)) {
+            const forumDB = await this.dbManager.getForumDB(id);
+            const result = { database: `forum_${id}.db`, moved: 0, bytes: 0, missing: 0 };
+
+            await this.forEachAttachment(forumDB, 'local', 'content_hash', async (row) => {
+                let data;
+                try {
+                    data = await this.localStore.readFile(row.content_hash);
+                } catch (error) {
+                    console.warn(`첨부파일 ${row.id} (forum_${id}.db): 디스크에서 파일을 읽을 수 없습니다.`, error.message);
+                    result.missing++;
+                    return;
+                }
+
+                // 디스크 파일은 다른 첨부파일이 공유할 수 있으므로 남겨 두고 prune으로 정리
+                await this.dbManager.runQuery(
+                    forumDB,
+                    "UPDATE attachments SET storage = 'blob', file_data = ? WHERE id = ? AND storage = 'local'",
+                    [data, row.id]
+                );
+
+                result.moved++;
+                result.bytes += data.length;
+            });
+
+            rows.push(result);
+        }
+
+        return rows;
+    }
+
+    // 어떤 첨부파일도 가리키지 않는 디스크 파일 정리 (모든 포럼 DB를 확인해야 하므로 서브포럼 지정 불가)
+    async prune({ dryRun = false } = {}) {
+        const referenced = new Set();
+
+        for (const id of await this.getSubforumIds()) {
+            const forumDB = await this.dbManager.getForumDB(id);
+            const hashes = await this.dbManager.allQuery(
+                forumDB,
+                "SELECT DISTINCT content_hash FROM attachments WHERE storage = 'local'"
+            );
+            hashes.forEach(row => referenced.add(row.content_hash));
+        }
+
+        // 방금 저장했지만 아직 DB에 기록되지 않은 업로드 파일은 남김
+        const cutoff = Date.now() - config.upload.pruneGracePeriod;
+        const result = { files: 0, referenced: 0, removed: 0, bytes: 0, recent: 0 };
+
+        for (const file of await this.localStore.listFiles()) {
+            result.files++;
+
+            if (referenced.has(file.hash)) {
+                result.referenced++;
+            } else if (file.mtimeMs > cutoff) {
+                result.recent++;
+            } else {
+                if (!dryRun) {
+                    await this.localStore.remove(file.hash);
+                }
+                result.removed++;
+                result.bytes += file.size;
+            }
+        }
+
+        return [result];
+    }
+
+    async close() {
+        try {
+            await this.dbManager.close();
+        } catch (error) {
+            console.error('DatabaseManager 연결 종료 실패:', error);
+        }
+    }
+}
+
+// CLI 실행 지원
+if (require.main === module) {
+    const migrator = new AttachmentMigrator();
+
+    async function main() {
+        try {
+            const [command, arg] = process.argv.slice(2);
+            const subforumId = command !== 'prune' && arg ? parseInt(arg, 10) : null;
+
+            if (!['to-disk', 'to-blob', 'prune'].includes(command) || (subforumId !== null && isNaN(subforumId))) {
+                console.error(USAGE);
+                process.exitCode = 1;
+                return;
+            }
+
+            await migrator.initialize();
+
+            let rows;
+            if (command === 'to-disk') {
+                rows = await migrator.toDisk(subforumId);
+            } else if (command === 'to-blob') {
+                rows = await migrator.toBlob(subforumId);
+            } else {
+                rows = await migrator.prune({ dryRun: arg === '--dry-run' });
+            }
+
+            if (rows.length > 0) {
+                console.table(rows);
+            } else {
+                console.log('처리할 포럼 DB가 없습니다.');
+            }
+        } catch (error) {
+            console.error('실행 실패:', error);
+            process.exitCode = 1;
+        } finally {
+            await migrator.close();
+        }
+    }
+
+    main();
+}
+
+module.exports = AttachmentMigrator;
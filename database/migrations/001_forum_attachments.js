@@ -0,0 +1,38 @@
+/**
+ * 포럼 DB에 첨부파일 테이블 추가
+ * (기존 scripts/add_attachments_table.js 수동 스크립트를 대체)
+ * attachments 테이블은 마이그레이션 도입 전부터 기본 스키마에 포함되어 있으므로
+ * 이 마이그레이션은 테이블이 없는 DB에만 만들고, 되돌릴 때도 첨부파일 데이터를 지우지 않음
+ */
+module.exports = {
+    description: '첨부파일 테이블 추가',
+
+    forum: {
+        async up(ctx) {
+            // 기본 스키마로 이미 만들어진 테이블은 그대로 둠
+            if (await ctx.hasTable('attachments')) {
+                return;
+            }
+
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS attachments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id INTEGER NOT NULL,
+                    filename VARCHAR(255) NOT NULL,
+                    original_filename VARCHAR(255) NOT NULL,
+                    mime_type VARCHAR(100) NOT NULL,
+                    file_size INTEGER NOT NULL,
+                    file_data BLOB NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_attachments_post_id ON attachments(post_id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_attachments_filename ON attachments(filename)');
+        },
+
+        async down() {
+            // 기본 스키마의 테이블이므로 삭제하지 않음 (down 0으로 되돌려도 첨부파일 BLOB 보존)
+        }
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * 댓글 답글(스레드) 구조를 위한 parent_id, depth 컬럼 추가
+ */
+module.exports = {
+    description: '댓글 답글 구조 (parent_id, depth)',
+
+    forum: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('comments', 'parent_id', 'INTEGER DEFAULT NULL REFERENCES comments(id) ON DELETE CASCADE');
+            await ctx.addColumnIfMissing('comments', 'depth', 'INTEGER NOT NULL DEFAULT 0');
+
+            if (await ctx.hasTable('comments')) {
+                await ctx.run('CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id)');
+            }
+        },
+
+        async down(ctx) {
+            if (!(await ctx.hasTable('comments'))) {
+                return;
+            }
+
+            // parent_id는 외래 키로 사용되므로 DROP COLUMN 대신 테이블을 재생성
+            await ctx.run(`
+                CREATE TABLE comments_flat (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+            await ctx.run(`
+                INSERT INTO comments_flat (id, post_id, user_id, content, created_at, updated_at)
+                SELECT id, post_id, user_id, content, created_at, updated_at FROM comments
+            `);
+
+            // 테이블 삭제 시 연결된 인덱스와 트리거도 함께 삭제되므로 다시 생성
+            await ctx.run('DROP TABLE comments');
+            await ctx.run('ALTER TABLE comments_flat RENAME TO comments');
+
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_comments_user_id ON comments(user_id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at)');
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_ai AFTER INSERT ON comments
+                BEGIN
+                    UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
+                END
+            `);
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_au AFTER UPDATE ON comments
+                BEGIN
+                    UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
+                END
+            `);
+
+            if (await ctx.hasTable('reactions')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS comments_reactions_ad AFTER DELETE ON comments
+                    BEGIN
+                        DELETE FROM reactions WHERE target_type = 'comment' AND target_id = old.id;
+                    END
+                `);
+            }
+        }
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * 게시글/댓글 추천(반응) 테이블 추가
+ */
+module.exports = {
+    description: '게시글/댓글 추천 테이블',
+
+    forum: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS reactions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+                    target_id INTEGER NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(target_type, target_id, user_id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_reactions_target ON reactions(target_type, target_id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_reactions_user_id ON reactions(user_id)');
+
+            if (await ctx.hasTable('posts')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS posts_reactions_ad AFTER DELETE ON posts
+                    BEGIN
+                        DELETE FROM reactions WHERE target_type = 'post' AND target_id = old.id;
+                    END
+                `);
+            }
+
+            if (await ctx.hasTable('comments')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS comments_reactions_ad AFTER DELETE ON comments
+                    BEGIN
+                        DELETE FROM reactions WHERE target_type = 'comment' AND target_id = old.id;
+                    END
+                `);
+            }
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TRIGGER IF EXISTS comments_reactions_ad');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_reactions_ad');
+            await ctx.run('DROP TABLE IF EXISTS reactions');
+        }
+    }
+};
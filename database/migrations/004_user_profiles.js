@@ -0,0 +1,39 @@
+/**
+ * config DB를 config_schema_v2.sql 구조로 전환
+ * (users.avatar_url, users.bio 컬럼 및 user_profiles 테이블 추가)
+ */
+module.exports = {
+    description: '사용자 프로필 (avatar_url, bio, user_profiles)',
+
+    config: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('users', 'avatar_url', 'VARCHAR(255)');
+            await ctx.addColumnIfMissing('users', 'bio', 'TEXT');
+
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS user_profiles (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    display_name VARCHAR(100),
+                    location VARCHAR(100),
+                    website VARCHAR(255),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id),
+                    UNIQUE(user_id)
+                )
+            `);
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TABLE IF EXISTS user_profiles');
+
+            if (await ctx.hasColumn('users', 'bio')) {
+                await ctx.run('ALTER TABLE users DROP COLUMN bio');
+            }
+            if (await ctx.hasColumn('users', 'avatar_url')) {
+                await ctx.run('ALTER TABLE users DROP COLUMN avatar_url');
+            }
+        }
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * config DB에 사용자 알림 테이블 추가
+ */
+module.exports = {
+    description: '사용자 알림 테이블',
+
+    config: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS notifications (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    actor_id INTEGER,
+                    type VARCHAR(30) NOT NULL,
+                    message TEXT NOT NULL,
+                    link VARCHAR(255),
+                    is_read BOOLEAN DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id),
+                    FOREIGN KEY (actor_id) REFERENCES users(id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, is_read, created_at)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_notifications_user_unread');
+            await ctx.run('DROP TABLE IF EXISTS notifications');
+        }
+    }
+};
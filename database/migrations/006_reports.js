@@ -0,0 +1,54 @@
+/**
+ * 게시글/댓글 신고 테이블 추가 (카테고리별 포럼 DB)
+ */
+module.exports = {
+    description: '게시글/댓글 신고 테이블',
+
+    forum: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+                    target_id INTEGER NOT NULL,
+                    post_id INTEGER NOT NULL,
+                    reporter_id INTEGER NOT NULL,
+                    reason TEXT NOT NULL,
+                    status TEXT CHECK(status IN ('pending', 'dismissed', 'resolved')) NOT NULL DEFAULT 'pending',
+                    handled_by INTEGER,
+                    handled_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(target_type, target_id, reporter_id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id)');
+
+            if (await ctx.hasTable('posts')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS posts_reports_ad AFTER DELETE ON posts
+                    BEGIN
+                        UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+                        WHERE post_id = old.id AND status = 'pending';
+                    END
+                `);
+            }
+
+            if (await ctx.hasTable('comments')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS comments_reports_ad AFTER DELETE ON comments
+                    BEGIN
+                        UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+                        WHERE target_type = 'comment' AND target_id = old.id AND status = 'pending';
+                    END
+                `);
+            }
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TRIGGER IF EXISTS comments_reports_ad');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_reports_ad');
+            await ctx.run('DROP TABLE IF EXISTS reports');
+        }
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * 게시글 잠금 컬럼 및 이동된 게시글 리다이렉트 테이블 추가
+ */
+module.exports = {
+    description: '게시글 잠금 (posts.is_locked) 및 게시글 이동 리다이렉트',
+
+    forum: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('posts', 'is_locked', 'INTEGER NOT NULL DEFAULT 0');
+
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS post_redirects (
+                    old_post_id INTEGER PRIMARY KEY,
+                    new_category_id INTEGER NOT NULL,
+                    new_post_id INTEGER NOT NULL,
+                    moved_by INTEGER,
+                    moved_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TABLE IF EXISTS post_redirects');
+
+            if (await ctx.hasColumn('posts', 'is_locked')) {
+                await ctx.run('ALTER TABLE posts DROP COLUMN is_locked');
+            }
+        }
+    }
+};
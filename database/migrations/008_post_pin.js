@@ -0,0 +1,21 @@
+/**
+ * 게시글 상단 고정 컬럼 추가
+ */
+module.exports = {
+    description: '게시글 상단 고정 (posts.is_pinned)',
+
+    forum: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('posts', 'is_pinned', 'INTEGER NOT NULL DEFAULT 0');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_posts_pinned ON posts(category_id, is_pinned)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_posts_pinned');
+
+            if (await ctx.hasColumn('posts', 'is_pinned')) {
+                await ctx.run('ALTER TABLE posts DROP COLUMN is_pinned');
+            }
+        }
+    }
+};
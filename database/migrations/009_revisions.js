@@ -0,0 +1,68 @@
+/**
+ * 게시글/댓글 수정 기록 테이블 추가 및 검색 인덱스 갱신 트리거 범위 조정
+ */
+module.exports = {
+    description: '게시글/댓글 수정 기록 (revisions)',
+
+    forum: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+                    target_id INTEGER NOT NULL,
+                    title VARCHAR(200),
+                    content TEXT NOT NULL,
+                    edited_by INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_revisions_target ON revisions(target_type, target_id, id)');
+
+            if (await ctx.hasTable('posts')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS posts_revisions_ad AFTER DELETE ON posts
+                    BEGIN
+                        DELETE FROM revisions WHERE target_type = 'post' AND target_id = old.id;
+                    END
+                `);
+
+                // 조회수, 잠금 등 제목/내용 외의 변경에는 검색 인덱스를 다시 만들지 않도록 제한
+                await ctx.run('DROP TRIGGER IF EXISTS posts_au');
+                await ctx.run(`
+                    CREATE TRIGGER posts_au AFTER UPDATE OF title, content ON posts
+                    BEGIN
+                        INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                        INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+                    END
+                `);
+            }
+
+            if (await ctx.hasTable('comments')) {
+                await ctx.run(`
+                    CREATE TRIGGER IF NOT EXISTS comments_revisions_ad AFTER DELETE ON comments
+                    BEGIN
+                        DELETE FROM revisions WHERE target_type = 'comment' AND target_id = old.id;
+                    END
+                `);
+            }
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TRIGGER IF EXISTS comments_revisions_ad');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_revisions_ad');
+            await ctx.run('DROP TABLE IF EXISTS revisions');
+
+            if (await ctx.hasTable('posts')) {
+                await ctx.run('DROP TRIGGER IF EXISTS posts_au');
+                await ctx.run(`
+                    CREATE TRIGGER posts_au AFTER UPDATE ON posts
+                    BEGIN
+                        INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                        INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+                    END
+                `);
+            }
+        }
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * 게시글/댓글 소프트 삭제 (휴지통) 컬럼 및 트리거 추가
+ */
+module.exports = {
+    description: '게시글/댓글 소프트 삭제 (deleted_at, deleted_by, delete_reason)',
+
+    forum: {
+        async up(ctx) {
+            for (const table of ['posts', 'comments']) {
+                await ctx.addColumnIfMissing(table, 'deleted_at', 'DATETIME');
+                await ctx.addColumnIfMissing(table, 'deleted_by', 'INTEGER');
+                await ctx.addColumnIfMissing(table, 'delete_reason', 'TEXT');
+            }
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_comments_deleted_at ON comments(deleted_at)');
+
+            // 휴지통에 있는 게시글은 검색 인덱스에서 빠지므로 영구 삭제/수정 시 인덱스를 건드리지 않음
+            await ctx.run('DROP TRIGGER IF EXISTS posts_ad');
+            await ctx.run(`
+                CREATE TRIGGER posts_ad AFTER DELETE ON posts
+                WHEN old.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                END
+            `);
+
+            await ctx.run('DROP TRIGGER IF EXISTS posts_au');
+            await ctx.run(`
+                CREATE TRIGGER posts_au AFTER UPDATE OF title, content ON posts
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                    INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trash_au AFTER UPDATE OF deleted_at ON posts
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+                BEGIN
+                    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+                    WHERE post_id = old.id AND status = 'pending';
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_restore_au AFTER UPDATE OF deleted_at ON posts
+                WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trash_au AFTER UPDATE OF deleted_at ON comments
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+                BEGIN
+                    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+                    WHERE target_type = 'comment' AND target_id = old.id AND status = 'pending';
+                END
+            `);
+
+            // 삭제/복원으로 마지막 댓글 시간이 바뀌지 않도록 내용 수정 시에만 갱신
+            await ctx.run('DROP TRIGGER IF EXISTS comments_au');
+            await ctx.run(`
+                CREATE TRIGGER comments_au AFTER UPDATE OF content ON comments
+                BEGIN
+                    UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
+                END
+            `);
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP TRIGGER IF EXISTS comments_trash_au');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_restore_au');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_trash_au');
+
+            // 휴지통의 게시글/댓글은 복원할 수 없으므로 영구 삭제
+            await ctx.run('DELETE FROM comments WHERE deleted_at IS NOT NULL OR post_id IN (SELECT id FROM posts WHERE deleted_at IS NOT NULL)');
+            await ctx.run('DELETE FROM attachments WHERE post_id IN (SELECT id FROM posts WHERE deleted_at IS NOT NULL)');
+            await ctx.run('DROP TRIGGER IF EXISTS posts_ad');
+            await ctx.run('DELETE FROM posts WHERE deleted_at IS NOT NULL');
+
+            await ctx.run(`
+                CREATE TRIGGER posts_ad AFTER DELETE ON posts
+                BEGIN
+                    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                END
+            `);
+
+            await ctx.run('DROP TRIGGER IF EXISTS posts_au');
+            await ctx.run(`
+                CREATE TRIGGER posts_au AFTER UPDATE OF title, content ON posts
+                BEGIN
+                    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                    INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run('DROP TRIGGER IF EXISTS comments_au');
+            await ctx.run(`
+                CREATE TRIGGER comments_au AFTER UPDATE ON comments
+                BEGIN
+                    UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
+                END
+            `);
+
+            await ctx.run('DROP INDEX IF EXISTS idx_comments_deleted_at');
+            await ctx.run('DROP INDEX IF EXISTS idx_posts_deleted_at');
+
+            for (const table of ['posts', 'comments']) {
+                for (const column of ['delete_reason', 'deleted_by', 'deleted_at']) {
+                    if (await ctx.hasColumn(table, column)) {
+                        await ctx.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+                    }
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * config DB에 로그인 실패 기록 조회용 인덱스 추가
+ */
+module.exports = {
+    description: '로그인 잠금 판정용 활동 로그 인덱스',
+
+    config: {
+        async up(ctx) {
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_user_activity_logs_user_action ON user_activity_logs(user_id, action, id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_user_activity_logs_ip_action ON user_activity_logs(ip_address, action, id)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_user_activity_logs_ip_action');
+            await ctx.run('DROP INDEX IF EXISTS idx_user_activity_logs_user_action');
+        }
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * config DB에 비밀번호 재설정 토큰 테이블 추가
+ */
+module.exports = {
+    description: '비밀번호 재설정 토큰',
+
+    config: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    token_hash VARCHAR(64) NOT NULL UNIQUE,
+                    expires_at DATETIME NOT NULL,
+                    used_at DATETIME,
+                    request_ip VARCHAR(45),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_password_reset_tokens_user');
+            await ctx.run('DROP TABLE IF EXISTS password_reset_tokens');
+        }
+    }
+};
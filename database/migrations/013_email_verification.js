@@ -0,0 +1,39 @@
+/**
+ * config DB에 이메일 인증 상태 및 인증 토큰 테이블 추가
+ * (기존 사용자는 가입 시점에 인증된 것으로 간주)
+ */
+module.exports = {
+    description: '이메일 인증 (users.email_verified_at, email_verification_tokens)',
+
+    config: {
+        async up(ctx) {
+            const added = await ctx.addColumnIfMissing('users', 'email_verified_at', 'DATETIME');
+            if (added) {
+                await ctx.run('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+            }
+
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    token_hash VARCHAR(64) NOT NULL UNIQUE,
+                    email VARCHAR(100) NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    used_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id, created_at)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_email_verification_tokens_user');
+            await ctx.run('DROP TABLE IF EXISTS email_verification_tokens');
+
+            if (await ctx.hasColumn('users', 'email_verified_at')) {
+                await ctx.run('ALTER TABLE users DROP COLUMN email_verified_at');
+            }
+        }
+    }
+};
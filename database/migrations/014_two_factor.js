@@ -0,0 +1,37 @@
+/**
+ * config DB에 TOTP 2단계 인증 컬럼 및 복구 코드 테이블 추가
+ */
+module.exports = {
+    description: '2단계 인증 (users.totp_*, user_recovery_codes)',
+
+    config: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('users', 'totp_secret', 'VARCHAR(64)');
+            await ctx.addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME');
+            await ctx.addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    code_hash VARCHAR(64) NOT NULL,
+                    used_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id, code_hash)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_user_recovery_codes_user');
+            await ctx.run('DROP TABLE IF EXISTS user_recovery_codes');
+
+            for (const column of ['totp_last_step', 'totp_enabled_at', 'totp_secret']) {
+                if (await ctx.hasColumn('users', column)) {
+                    await ctx.run(`ALTER TABLE users DROP COLUMN ${column}`);
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * config DB에 세션 저장 테이블 추가 (express-session 영구 저장소)
+ */
+module.exports = {
+    description: '세션 저장소 (sessions)',
+
+    config: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    sid VARCHAR(255) NOT NULL UNIQUE,
+                    sess TEXT NOT NULL,
+                    user_id INTEGER,
+                    ip_address VARCHAR(45),
+                    user_agent VARCHAR(255),
+                    expires_at DATETIME NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_sessions_expires');
+            await ctx.run('DROP INDEX IF EXISTS idx_sessions_user');
+            await ctx.run('DROP TABLE IF EXISTS sessions');
+        }
+    }
+};
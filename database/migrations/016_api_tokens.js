@@ -0,0 +1,33 @@
+/**
+ * config DB에 REST API 개인 액세스 토큰 테이블 추가
+ */
+module.exports = {
+    description: 'API 개인 액세스 토큰 (api_tokens)',
+
+    config: {
+        async up(ctx) {
+            await ctx.run(`
+                CREATE TABLE IF NOT EXISTS api_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    name VARCHAR(100) NOT NULL,
+                    token_hash VARCHAR(64) NOT NULL UNIQUE,
+                    token_hint VARCHAR(20) NOT NULL,
+                    scopes VARCHAR(100) NOT NULL,
+                    expires_at DATETIME,
+                    last_used_at DATETIME,
+                    last_used_ip VARCHAR(45),
+                    revoked_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id)
+                )
+            `);
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id, revoked_at)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_api_tokens_user');
+            await ctx.run('DROP TABLE IF EXISTS api_tokens');
+        }
+    }
+};
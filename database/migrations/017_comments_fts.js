@@ -0,0 +1,70 @@
+/**
+ * 댓글 전문 검색 인덱스(comments_fts) 및 동기화 트리거 추가
+ */
+module.exports = {
+    description: '댓글 FTS5 검색 인덱스 (comments_fts)',
+
+    forum: {
+        async up(ctx) {
+            const exists = await ctx.hasTable('comments_fts');
+
+            await ctx.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+                    content, content='comments', content_rowid='id'
+                )
+            `);
+
+            // 기존 댓글 색인 (휴지통의 댓글은 제외)
+            if (!exists) {
+                await ctx.run('INSERT INTO comments_fts(rowid, content) SELECT id, content FROM comments WHERE deleted_at IS NULL');
+            }
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_fts_ai AFTER INSERT ON comments
+                BEGIN
+                    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_fts_ad AFTER DELETE ON comments
+                WHEN old.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_fts_au AFTER UPDATE OF content ON comments
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+                    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_fts_trash_au AFTER UPDATE OF deleted_at ON comments
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+                BEGIN
+                    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_fts_restore_au AFTER UPDATE OF deleted_at ON comments
+                WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+        },
+
+        async down(ctx) {
+            for (const trigger of ['comments_fts_restore_au', 'comments_fts_trash_au', 'comments_fts_au', 'comments_fts_ad', 'comments_fts_ai']) {
+                await ctx.run(`DROP TRIGGER IF EXISTS ${trigger}`);
+            }
+            await ctx.run('DROP TABLE IF EXISTS comments_fts');
+        }
+    }
+};
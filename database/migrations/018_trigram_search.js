@@ -0,0 +1,122 @@
+/**
+ * 한국어(CJK) 부분 일치 검색용 trigram 인덱스(posts_trigram, comments_trigram) 및 동기화 트리거 추가
+ */
+module.exports = {
+    description: '게시글/댓글 trigram 검색 인덱스 (posts_trigram, comments_trigram)',
+
+    forum: {
+        async up(ctx) {
+            const hasPostsIndex = await ctx.hasTable('posts_trigram');
+            const hasCommentsIndex = await ctx.hasTable('comments_trigram');
+
+            await ctx.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS posts_trigram USING fts5(
+                    title, content, content='posts', content_rowid='id', tokenize='trigram'
+                )
+            `);
+            await ctx.run(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS comments_trigram USING fts5(
+                    content, content='comments', content_rowid='id', tokenize='trigram'
+                )
+            `);
+
+            // 기존 게시글/댓글 색인 (휴지통의 게시글/댓글은 제외)
+            if (!hasPostsIndex) {
+                await ctx.run('INSERT INTO posts_trigram(rowid, title, content) SELECT id, title, content FROM posts WHERE deleted_at IS NULL');
+            }
+            if (!hasCommentsIndex) {
+                await ctx.run('INSERT INTO comments_trigram(rowid, content) SELECT id, content FROM comments WHERE deleted_at IS NULL');
+            }
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trigram_ai AFTER INSERT ON posts
+                BEGIN
+                    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trigram_ad AFTER DELETE ON posts
+                WHEN old.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trigram_au AFTER UPDATE OF title, content ON posts
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trigram_trash_au AFTER UPDATE OF deleted_at ON posts
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+                BEGIN
+                    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS posts_trigram_restore_au AFTER UPDATE OF deleted_at ON posts
+                WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trigram_ai AFTER INSERT ON comments
+                BEGIN
+                    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trigram_ad AFTER DELETE ON comments
+                WHEN old.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trigram_au AFTER UPDATE OF content ON comments
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+                    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trigram_trash_au AFTER UPDATE OF deleted_at ON comments
+                WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+                BEGIN
+                    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+                END
+            `);
+
+            await ctx.run(`
+                CREATE TRIGGER IF NOT EXISTS comments_trigram_restore_au AFTER UPDATE OF deleted_at ON comments
+                WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+                BEGIN
+                    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+        },
+
+        async down(ctx) {
+            for (const table of ['posts', 'comments']) {
+                for (const suffix of ['restore_au', 'trash_au', 'au', 'ad', 'ai']) {
+                    await ctx.run(`DROP TRIGGER IF EXISTS ${table}_trigram_${suffix}`);
+                }
+            }
+            await ctx.run('DROP TABLE IF EXISTS comments_trigram');
+            await ctx.run('DROP TABLE IF EXISTS posts_trigram');
+        }
+    }
+};
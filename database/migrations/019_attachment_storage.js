@@ -0,0 +1,88 @@
+/**
+ * 첨부파일 저장 방식 컬럼(storage, content_hash) 추가
+ * 디스크에 저장한 첨부파일은 file_data가 비어 있으므로 NOT NULL 제약을 없애기 위해 테이블을 재생성
+ * (기존 첨부파일은 blob 방식으로 유지되며, database/migrate_attachments.js로 디스크에 옮길 수 있음)
+ */
+
+// 테이블 재생성 후 다시 만들어야 하는 인덱스
+const ATTACHMENT_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_attachments_post_id ON attachments(post_id)',
+    'CREATE INDEX IF NOT EXISTS idx_attachments_filename ON attachments(filename)'
+];
+
+module.exports = {
+    description: '첨부파일 저장 방식 (storage, content_hash, file_data NULL 허용)',
+
+    forum: {
+        async up(ctx) {
+            if (!(await ctx.hasTable('attachments')) || (await ctx.hasColumn('attachments', 'storage'))) {
+                return;
+            }
+
+            await ctx.run(`
+                CREATE TABLE attachments_new (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id INTEGER NOT NULL,
+                    filename VARCHAR(255) NOT NULL,
+                    original_filename VARCHAR(255) NOT NULL,
+                    mime_type VARCHAR(100) NOT NULL,
+                    file_size INTEGER NOT NULL,
+                    storage TEXT CHECK(storage IN ('blob', 'local')) NOT NULL DEFAULT 'blob',
+                    content_hash TEXT DEFAULT NULL,
+                    file_data BLOB DEFAULT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+            await ctx.run(`
+                INSERT INTO attachments_new (id, post_id, filename, original_filename, mime_type, file_size, storage, file_data, created_at)
+                SELECT id, post_id, filename, original_filename, mime_type, file_size, 'blob', file_data, created_at FROM attachments
+            `);
+
+            await ctx.run('DROP TABLE attachments');
+            await ctx.run('ALTER TABLE attachments_new RENAME TO attachments');
+
+            for (const sql of ATTACHMENT_INDEXES) {
+                await ctx.run(sql);
+            }
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_attachments_content_hash ON attachments(content_hash)');
+        },
+
+        async down(ctx) {
+            if (!(await ctx.hasTable('attachments')) || !(await ctx.hasColumn('attachments', 'storage'))) {
+                return;
+            }
+
+            // 디스크에 있는 첨부파일은 되돌릴 곳이 없으므로 먼저 DB로 옮겨야 함
+            const local = await ctx.get("SELECT COUNT(*) as count FROM attachments WHERE storage != 'blob' OR file_data IS NULL");
+            if (local.count > 0) {
+                throw new Error(`디스크에 저장된 첨부파일 ${local.count}개가 있습니다. 먼저 'node database/migrate_attachments.js to-blob'을 실행하세요.`);
+            }
+
+            await ctx.run(`
+                CREATE TABLE attachments_old (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    post_id INTEGER NOT NULL,
+                    filename VARCHAR(255) NOT NULL,
+                    original_filename VARCHAR(255) NOT NULL,
+                    mime_type VARCHAR(100) NOT NULL,
+                    file_size INTEGER NOT NULL,
+                    file_data BLOB NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+                )
+            `);
+            await ctx.run(`
+                INSERT INTO attachments_old (id, post_id, filename, original_filename, mime_type, file_size, file_data, created_at)
+                SELECT id, post_id, filename, original_filename, mime_type, file_size, file_data, created_at FROM attachments
+            `);
+
+            await ctx.run('DROP TABLE attachments');
+            await ctx.run('ALTER TABLE attachments_old RENAME TO attachments');
+
+            for (const sql of ATTACHMENT_INDEXES) {
+                await ctx.run(sql);
+            }
+        }
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * 사용자 활동 로그의 user_id를 NULL 허용으로 변경
+ * 없는 사용자명으로 로그인에 실패한 기록도 IP 기준 잠금에 포함하기 위해 user_id 없이 저장
+ * (SQLite는 NOT NULL 제약을 바로 바꿀 수 없으므로 테이블을 재생성)
+ */
+
+// 테이블 재생성 후 다시 만들어야 하는 인덱스
+const ACTIVITY_LOG_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_user_activity_logs_user_action ON user_activity_logs(user_id, action, id)',
+    'CREATE INDEX IF NOT EXISTS idx_user_activity_logs_ip_action ON user_activity_logs(ip_address, action, id)'
+];
+
+/**
+ * user_activity_logs 테이블 재생성
+ * @param {Object} ctx - 마이그레이션 컨텍스트
+ * @param {string} userIdDefinition - user_id 컬럼 정의
+ */
+async function rebuildActivityLogs(ctx, userIdDefinition) {
+    await ctx.run(`
+        CREATE TABLE user_activity_logs_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id ${userIdDefinition},
+            action VARCHAR(50) NOT NULL,
+            details TEXT,
+            ip_address VARCHAR(45),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+    await ctx.run(`
+        INSERT INTO user_activity_logs_new (id, user_id, action, details, ip_address, created_at)
+        SELECT id, user_id, action, details, ip_address, created_at FROM user_activity_logs
+    `);
+
+    await ctx.run('DROP TABLE user_activity_logs');
+    await ctx.run('ALTER TABLE user_activity_logs_new RENAME TO user_activity_logs');
+
+    for (const sql of ACTIVITY_LOG_INDEXES) {
+        await ctx.run(sql);
+    }
+}
+
+module.exports = {
+    description: '활동 로그 user_id NULL 허용 (없는 사용자 로그인 실패 기록)',
+
+    config: {
+        async up(ctx) {
+            if (!(await ctx.hasTable('user_activity_logs'))) {
+                return;
+            }
+
+            const columns = await ctx.all('PRAGMA table_info(user_activity_logs)');
+            if (!columns.find(column => column.name === 'user_id')?.notnull) {
+                return;
+            }
+
+            await rebuildActivityLogs(ctx, 'INTEGER DEFAULT NULL');
+        },
+
+        async down(ctx) {
+            if (!(await ctx.hasTable('user_activity_logs'))) {
+                return;
+            }
+
+            // user_id가 없는 기록은 이전 구조에 저장할 수 없으므로 삭제
+            await ctx.run('DELETE FROM user_activity_logs WHERE user_id IS NULL');
+            await rebuildActivityLogs(ctx, 'INTEGER NOT NULL');
+        }
+    }
+};
@@ -0,0 +1,65 @@
+/**
+ * 검색 인덱스(FTS5, trigram) 삽입 트리거가 휴지통에 있는 게시글/댓글을 색인하지 않도록 변경
+ * 게시글 이동 시 휴지통의 댓글도 deleted_at을 유지한 채 복사되는데, 삽입 트리거가 이를 색인하면
+ * 검색에 노출되고 영구 삭제 후에도 인덱스에 남거나 복원 시 두 번 색인됨
+ */
+
+// 검색 인덱스별 삽입 트리거 (트리거 이름, 원본 테이블, 인덱스 테이블, 색인 컬럼)
+const INSERT_TRIGGERS = [
+    { name: 'posts_ai', table: 'posts', index: 'posts_fts', columns: ['title', 'content'] },
+    { name: 'comments_fts_ai', table: 'comments', index: 'comments_fts', columns: ['content'] },
+    { name: 'posts_trigram_ai', table: 'posts', index: 'posts_trigram', columns: ['title', 'content'] },
+    { name: 'comments_trigram_ai', table: 'comments', index: 'comments_trigram', columns: ['content'] }
+];
+
+/**
+ * 삽입 트리거 재생성
+ * @param {Object} ctx - 마이그레이션 컨텍스트
+ * @param {Object} trigger - INSERT_TRIGGERS 항목
+ * @param {boolean} liveOnly - true이면 휴지통에 있지 않은 행만 색인
+ */
+async function recreateInsertTrigger(ctx, trigger, liveOnly) {
+    const columns = trigger.columns.join(', ');
+    const values = trigger.columns.map(column => `new.${column}`).join(', ');
+
+    await ctx.run(`DROP TRIGGER IF EXISTS ${trigger.name}`);
+    await ctx.run(`
+        CREATE TRIGGER ${trigger.name} AFTER INSERT ON ${trigger.table}
+        ${liveOnly ? 'WHEN new.deleted_at IS NULL' : ''}
+        BEGIN
+            INSERT INTO ${trigger.index}(rowid, ${columns}) VALUES (new.id, ${values});
+        END
+    `);
+}
+
+module.exports = {
+    description: '검색 인덱스 삽입 트리거에서 휴지통의 게시글/댓글 제외',
+
+    forum: {
+        async up(ctx) {
+            for (const trigger of INSERT_TRIGGERS) {
+                if (!(await ctx.hasTable(trigger.index))) {
+                    continue;
+                }
+
+                await recreateInsertTrigger(ctx, trigger, true);
+
+                // 이미 잘못 색인된 휴지통 행과 중복 색인을 정리하기 위해 휴지통에 있지 않은 행만으로 다시 색인
+                const columns = trigger.columns.join(', ');
+                await ctx.run(`INSERT INTO ${trigger.index}(${trigger.index}) VALUES('delete-all')`);
+                await ctx.run(`
+                    INSERT INTO ${trigger.index}(rowid, ${columns})
+                    SELECT id, ${columns} FROM ${trigger.table} WHERE deleted_at IS NULL
+                `);
+            }
+        },
+
+        async down(ctx) {
+            for (const trigger of INSERT_TRIGGERS) {
+                if (await ctx.hasTable(trigger.index)) {
+                    await recreateInsertTrigger(ctx, trigger, false);
+                }
+            }
+        }
+    }
+};
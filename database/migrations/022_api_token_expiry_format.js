@@ -0,0 +1,22 @@
+/**
+ * API 토큰 만료 시각을 SQLite 날짜 형식으로 정규화
+ * ISO 형식(2026-10-19T10:00:00.000Z)으로 저장된 만료 시각은 CURRENT_TIMESTAMP(2026-10-19 12:00:00)와
+ * 문자열로 비교할 때 'T'가 공백보다 뒤에 정렬되어, 만료일 당일에는 만료되지 않은 것으로 판단됨
+ */
+module.exports = {
+    description: 'API 토큰 만료 시각 형식 정규화 (YYYY-MM-DD HH:MM:SS)',
+
+    config: {
+        async up(ctx) {
+            if (!(await ctx.hasTable('api_tokens'))) {
+                return;
+            }
+
+            await ctx.run("UPDATE api_tokens SET expires_at = datetime(expires_at) WHERE expires_at LIKE '%T%'");
+        },
+
+        async down() {
+            // 정규화된 형식도 그대로 읽을 수 있으므로 되돌리지 않음
+        }
+    }
+};
@@ -0,0 +1,23 @@
+/**
+ * 사용자 활동 로그에 입력한 사용자명(login_name) 컬럼 추가
+ * 가입된 계정이 없는 사용자명으로 로그인에 실패한 기록도 사용자명 기준으로 집계해
+ * 계정 잠금 응답으로 계정 존재 여부가 드러나지 않도록 함
+ */
+module.exports = {
+    description: '활동 로그 login_name (없는 사용자명 로그인 실패 집계)',
+
+    config: {
+        async up(ctx) {
+            await ctx.addColumnIfMissing('user_activity_logs', 'login_name', 'VARCHAR(255) DEFAULT NULL');
+            await ctx.run('CREATE INDEX IF NOT EXISTS idx_user_activity_logs_login_action ON user_activity_logs(login_name, action, id)');
+        },
+
+        async down(ctx) {
+            await ctx.run('DROP INDEX IF EXISTS idx_user_activity_logs_login_action');
+
+            if (await ctx.hasColumn('user_activity_logs', 'login_name')) {
+                await ctx.run('ALTER TABLE user_activity_logs DROP COLUMN login_name');
+            }
+        }
+    }
+};
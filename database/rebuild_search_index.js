@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * 검색 인덱스 재구축 스크립트
+ * forum_N.db의 전문 검색 인덱스(posts_fts, comments_fts)와 한국어 부분 일치 검색용
+ * trigram 인덱스(posts_trigram, comments_trigram)를 게시글/댓글 원본에서 다시 만듭니다.
+ * (토크나이저 변경 후 기존 포럼 DB를 다시 색인하거나 인덱스가 어긋났을 때 사용)
+ */
+
+const DatabaseManager = require('../services/DatabaseManager');
+const ForumService = require('../services/ForumService');
+
+class SearchIndexRebuilder {
+    constructor() {
+        this.dbManager = DatabaseManager.getInstance();
+        this.forumService = new ForumService();
+    }
+
+    async initialize() {
+        // 인덱스 테이블이 없는 DB는 연결 시 마이그레이션이 먼저 적용됨
+        await this.dbManager.initialize();
+    }
+
+    // 재구축 대상 서브포럼 ID 목록 (지정하지 않으면 모든 카테고리)
+    async getSubforumIds(subforumId = null) {
+        if (subforumId) {
+            const category = await this.dbManager.getQuery(
+                this.dbManager.getConfigDB(),
+                'SELECT id FROM categories WHERE id = ?',
+                [subforumId]
+            );
+            if (!category) {
+                throw new Error(`서브포럼 ${subforumId}을(를) 찾을 수 없습니다.`);
+            }
+            return [category.id];
+        }
+
+        const categories = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT id FROM categories ORDER BY id'
+        );
+        return categories.map(category => category.id);
+    }
+
+    // 서브포럼별 검색 인덱스 재구축
+    async rebuild(subforumId = null) {
+        const rows = [];
+
+        for (const id of await this.getSubforumIds(subforumId)) {
+            const counts = await this.forumService.rebuildSearchIndex(id);
+            rows.push({ database: `forum_${id}.db`, posts: counts.posts, comments: counts.comments });
+        }
+
+        return rows;
+    }
+
+    async close() {
+        try {
+            await this.dbManager.close();
+        } catch (error) {
+            console.error('DatabaseManager 연결 종료 실패:', error);
+        }
+    }
+}
+
+// CLI 실행 지원
+if (require.main === module) {
+    const rebuilder = new SearchIndexRebuilder();
+
+    async function main() {
+        try {
+            const args = process.argv.slice(2);
+            const subforumId = args[0] ? parseInt(args[0], 10) : null;
+
+            if (args[0] && isNaN(subforumId)) {
+                console.error('사용법: node database/rebuild_search_index.js [subforum_id]');
+                process.exitCode = 1;
+                return;
+            }
+
+            await rebuilder.initialize();
+
+            const rows = await rebuilder.rebuild(subforumId);
+            if (rows.length > 0) {
+                console.table(rows);
+            } else {
+                console.log('재구축할 포럼 DB가 없습니다.');
+            }
+        } catch (error) {
+            console.error('실행 실패:', error);
+            process.exitCode = 1;
+        } finally {
+            await rebuilder.close();
+        }
+    }
+
+    main();
+}
+
+module.exports = SearchIndexRebuilder;
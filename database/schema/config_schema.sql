@@ -56,10 +56,11 @@ CREATE TABLE IF NOT EXISTS user_bans (
 -- 사용자 활동 로그 테이블
 CREATE TABLE IF NOT EXISTS user_activity_logs (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
+    user_id INTEGER DEFAULT NULL, -- 없는 사용자명으로 로그인에 실패한 기록은 NULL
     action VARCHAR(50) NOT NULL,
     details TEXT,
     ip_address VARCHAR(45),
+    login_name VARCHAR(255) DEFAULT NULL, -- 없는 사용자명으로 로그인에 실패한 경우 입력한 사용자명
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
\ No newline at end of file
@@ -10,9 +10,14 @@ CREATE TABLE IF NOT EXISTS posts (
     title VARCHAR(200) NOT NULL,
     content TEXT NOT NULL,
     view_count INTEGER DEFAULT 0,
+    is_locked INTEGER NOT NULL DEFAULT 0, -- 1이면 새 댓글 작성 불가
+    is_pinned INTEGER NOT NULL DEFAULT 0, -- 1이면 목록 상단에 고정
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    last_comment_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_comment_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME, -- 삭제(휴지통 이동) 시간, NULL이면 게시 중
+    deleted_by INTEGER,
+    delete_reason TEXT
 );
 
 -- 댓글 테이블
@@ -20,10 +25,16 @@ CREATE TABLE IF NOT EXISTS comments (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     post_id INTEGER NOT NULL,
     user_id INTEGER NOT NULL,
+    parent_id INTEGER DEFAULT NULL, -- 답글 대상 댓글 ID (NULL이면 최상위 댓글)
+    depth INTEGER NOT NULL DEFAULT 0, -- 답글 깊이 (최상위 댓글은 0)
     content TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+    deleted_at DATETIME, -- 삭제(휴지통 이동) 시간, NULL이면 게시 중
+    deleted_by INTEGER,
+    delete_reason TEXT,
+    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE
 );
 
 -- 첨부파일 테이블
@@ -34,59 +45,310 @@ CREATE TABLE IF NOT EXISTS attachments (
     original_filename VARCHAR(255) NOT NULL,
     mime_type VARCHAR(100) NOT NULL,
     file_size INTEGER NOT NULL,
-    file_data BLOB NOT NULL,
+    -- blob: file_data에 내용 저장 (기존 방식), local: 로컬 디스크의 content_hash 경로에 저장
+    storage TEXT CHECK(storage IN ('blob', 'local')) NOT NULL DEFAULT 'blob',
+    content_hash TEXT DEFAULT NULL,
+    file_data BLOB DEFAULT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
 );
 
+-- 반응(추천) 테이블 - 사용자당 게시글/댓글별 1회
+CREATE TABLE IF NOT EXISTS reactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+    target_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(target_type, target_id, user_id)
+);
+
+-- 신고 테이블 - 사용자당 게시글/댓글별 1회
+CREATE TABLE IF NOT EXISTS reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+    target_id INTEGER NOT NULL,
+    post_id INTEGER NOT NULL,
+    reporter_id INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    status TEXT CHECK(status IN ('pending', 'dismissed', 'resolved')) NOT NULL DEFAULT 'pending',
+    handled_by INTEGER,
+    handled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(target_type, target_id, reporter_id)
+);
+
+-- 다른 서브포럼으로 이동된 게시글의 새 위치 (이전 URL 리다이렉트용)
+CREATE TABLE IF NOT EXISTS post_redirects (
+    old_post_id INTEGER PRIMARY KEY,
+    new_category_id INTEGER NOT NULL,
+    new_post_id INTEGER NOT NULL,
+    moved_by INTEGER,
+    moved_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 게시글/댓글 수정 기록 (수정될 때마다 해당 시점의 제목/내용 저장, 첫 수정 시 원본도 함께 저장)
+CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    target_type TEXT CHECK(target_type IN ('post', 'comment')) NOT NULL,
+    target_id INTEGER NOT NULL,
+    title VARCHAR(200), -- 댓글은 NULL
+    content TEXT NOT NULL,
+    edited_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- FTS5 전문 검색 인덱스
 CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
     title, content, content='posts', content_rowid='id'
 );
 
+CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+    content, content='comments', content_rowid='id'
+);
+
+-- 한국어(CJK) 부분 일치 검색용 trigram 인덱스 (공백 단위 토큰화로는 조사가 붙은 단어를 찾을 수 없음)
+CREATE VIRTUAL TABLE IF NOT EXISTS posts_trigram USING fts5(
+    title, content, content='posts', content_rowid='id', tokenize='trigram'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS comments_trigram USING fts5(
+    content, content='comments', content_rowid='id', tokenize='trigram'
+);
+
 -- 게시글 인덱스 (성능 최적화)
 CREATE INDEX IF NOT EXISTS idx_posts_category_id ON posts(category_id);
 CREATE INDEX IF NOT EXISTS idx_posts_user_id ON posts(user_id);
 CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_posts_last_comment_at ON posts(last_comment_at DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_pinned ON posts(category_id, is_pinned);
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts(deleted_at);
 
 -- 댓글 인덱스 (성능 최적화)
 CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id);
 CREATE INDEX IF NOT EXISTS idx_comments_user_id ON comments(user_id);
 CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_comments_deleted_at ON comments(deleted_at);
 
 -- 첨부파일 인덱스 (성능 최적화)
 CREATE INDEX IF NOT EXISTS idx_attachments_post_id ON attachments(post_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_filename ON attachments(filename);
+CREATE INDEX IF NOT EXISTS idx_attachments_content_hash ON attachments(content_hash);
+
+-- 반응 인덱스 (성능 최적화)
+CREATE INDEX IF NOT EXISTS idx_reactions_target ON reactions(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_reactions_user_id ON reactions(user_id);
+
+-- 신고 인덱스 (성능 최적화)
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+
+-- 수정 기록 인덱스 (성능 최적화)
+CREATE INDEX IF NOT EXISTS idx_revisions_target ON revisions(target_type, target_id, id);
 
 -- FTS5 동기화 트리거들
--- 게시글 삽입 시 검색 인덱스 업데이트
+-- 게시글 삽입 시 검색 인덱스 업데이트 (휴지통의 게시글은 제외)
 CREATE TRIGGER IF NOT EXISTS posts_ai AFTER INSERT ON posts
+WHEN new.deleted_at IS NULL
 BEGIN
     INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
 END;
 
--- 게시글 삭제 시 검색 인덱스 업데이트
+-- 게시글 영구 삭제 시 검색 인덱스 업데이트 (휴지통의 게시글은 이미 인덱스에서 제외됨)
 CREATE TRIGGER IF NOT EXISTS posts_ad AFTER DELETE ON posts
+WHEN old.deleted_at IS NULL
 BEGIN
     INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
 END;
 
--- 게시글 수정 시 검색 인덱스 업데이트
-CREATE TRIGGER IF NOT EXISTS posts_au AFTER UPDATE ON posts
+-- 게시글 제목/내용 수정 시 검색 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS posts_au AFTER UPDATE OF title, content ON posts
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
 BEGIN
     INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
     INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
 END;
 
+-- 게시글을 휴지통으로 이동 시 검색 인덱스에서 제외하고 대기 중인 신고 처리 완료
+CREATE TRIGGER IF NOT EXISTS posts_trash_au AFTER UPDATE OF deleted_at ON posts
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    INSERT INTO posts_fts(posts_fts, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+    WHERE post_id = old.id AND status = 'pending';
+END;
+
+-- 휴지통의 게시글 복원 시 검색 인덱스에 다시 추가
+CREATE TRIGGER IF NOT EXISTS posts_restore_au AFTER UPDATE OF deleted_at ON posts
+WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO posts_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+-- 댓글 삽입 시 검색 인덱스 업데이트 (휴지통의 댓글은 제외)
+CREATE TRIGGER IF NOT EXISTS comments_fts_ai AFTER INSERT ON comments
+WHEN new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- 댓글 영구 삭제 시 검색 인덱스 업데이트 (휴지통의 댓글은 이미 인덱스에서 제외됨)
+CREATE TRIGGER IF NOT EXISTS comments_fts_ad AFTER DELETE ON comments
+WHEN old.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+END;
+
+-- 댓글 내용 수정 시 검색 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS comments_fts_au AFTER UPDATE OF content ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- 댓글을 휴지통으로 이동 시 검색 인덱스에서 제외
+CREATE TRIGGER IF NOT EXISTS comments_fts_trash_au AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    INSERT INTO comments_fts(comments_fts, rowid, content) VALUES('delete', old.id, old.content);
+END;
+
+-- 휴지통의 댓글 복원 시 검색 인덱스에 다시 추가
+CREATE TRIGGER IF NOT EXISTS comments_fts_restore_au AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- 한국어(CJK) 부분 일치 검색용 trigram 인덱스 동기화 트리거들
+-- 게시글 삽입 시 trigram 인덱스 업데이트 (휴지통의 게시글은 제외)
+CREATE TRIGGER IF NOT EXISTS posts_trigram_ai AFTER INSERT ON posts
+WHEN new.deleted_at IS NULL
+BEGIN
+    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+-- 게시글 영구 삭제 시 trigram 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS posts_trigram_ad AFTER DELETE ON posts
+WHEN old.deleted_at IS NULL
+BEGIN
+    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+END;
+
+-- 게시글 제목/내용 수정 시 trigram 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS posts_trigram_au AFTER UPDATE OF title, content ON posts
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+-- 게시글을 휴지통으로 이동 시 trigram 인덱스에서 제외
+CREATE TRIGGER IF NOT EXISTS posts_trigram_trash_au AFTER UPDATE OF deleted_at ON posts
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    INSERT INTO posts_trigram(posts_trigram, rowid, title, content) VALUES('delete', old.id, old.title, old.content);
+END;
+
+-- 휴지통의 게시글 복원 시 trigram 인덱스에 다시 추가
+CREATE TRIGGER IF NOT EXISTS posts_trigram_restore_au AFTER UPDATE OF deleted_at ON posts
+WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO posts_trigram(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+-- 댓글 삽입 시 trigram 인덱스 업데이트 (휴지통의 댓글은 제외)
+CREATE TRIGGER IF NOT EXISTS comments_trigram_ai AFTER INSERT ON comments
+WHEN new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- 댓글 영구 삭제 시 trigram 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS comments_trigram_ad AFTER DELETE ON comments
+WHEN old.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+END;
+
+-- 댓글 내용 수정 시 trigram 인덱스 업데이트
+CREATE TRIGGER IF NOT EXISTS comments_trigram_au AFTER UPDATE OF content ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+END;
+
+-- 댓글을 휴지통으로 이동 시 trigram 인덱스에서 제외
+CREATE TRIGGER IF NOT EXISTS comments_trigram_trash_au AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    INSERT INTO comments_trigram(comments_trigram, rowid, content) VALUES('delete', old.id, old.content);
+END;
+
+-- 휴지통의 댓글 복원 시 trigram 인덱스에 다시 추가
+CREATE TRIGGER IF NOT EXISTS comments_trigram_restore_au AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL
+BEGIN
+    INSERT INTO comments_trigram(rowid, content) VALUES (new.id, new.content);
+END;
+
 -- 댓글 추가 시 게시글의 last_comment_at 업데이트
 CREATE TRIGGER IF NOT EXISTS comments_ai AFTER INSERT ON comments
 BEGIN
     UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
 END;
 
--- 댓글 수정 시 게시글의 last_comment_at 업데이트
-CREATE TRIGGER IF NOT EXISTS comments_au AFTER UPDATE ON comments
+-- 댓글 내용 수정 시 게시글의 last_comment_at 업데이트
+CREATE TRIGGER IF NOT EXISTS comments_au AFTER UPDATE OF content ON comments
 BEGIN
     UPDATE posts SET last_comment_at = CURRENT_TIMESTAMP WHERE id = new.post_id;
+END;
+
+-- 게시글 삭제 시 반응 정리
+CREATE TRIGGER IF NOT EXISTS posts_reactions_ad AFTER DELETE ON posts
+BEGIN
+    DELETE FROM reactions WHERE target_type = 'post' AND target_id = old.id;
+END;
+
+-- 댓글 삭제 시 반응 정리
+CREATE TRIGGER IF NOT EXISTS comments_reactions_ad AFTER DELETE ON comments
+BEGIN
+    DELETE FROM reactions WHERE target_type = 'comment' AND target_id = old.id;
+END;
+
+-- 게시글 삭제 시 대기 중인 신고 처리 완료
+CREATE TRIGGER IF NOT EXISTS posts_reports_ad AFTER DELETE ON posts
+BEGIN
+    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+    WHERE post_id = old.id AND status = 'pending';
+END;
+
+-- 댓글을 휴지통으로 이동 시 대기 중인 신고 처리 완료
+CREATE TRIGGER IF NOT EXISTS comments_trash_au AFTER UPDATE OF deleted_at ON comments
+WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL
+BEGIN
+    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+    WHERE target_type = 'comment' AND target_id = old.id AND status = 'pending';
+END;
+
+-- 댓글 삭제 시 대기 중인 신고 처리 완료
+CREATE TRIGGER IF NOT EXISTS comments_reports_ad AFTER DELETE ON comments
+BEGIN
+    UPDATE reports SET status = 'resolved', handled_at = CURRENT_TIMESTAMP
+    WHERE target_type = 'comment' AND target_id = old.id AND status = 'pending';
+END;
+
+-- 게시글 삭제 시 수정 기록 정리
+CREATE TRIGGER IF NOT EXISTS posts_revisions_ad AFTER DELETE ON posts
+BEGIN
+    DELETE FROM revisions WHERE target_type = 'post' AND target_id = old.id;
+END;
+
+-- 댓글 삭제 시 수정 기록 정리
+CREATE TRIGGER IF NOT EXISTS comments_revisions_ad AFTER DELETE ON comments
+BEGIN
+    DELETE FROM revisions WHERE target_type = 'comment' AND target_id = old.id;
 END;
\ No newline at end of file
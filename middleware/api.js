@@ -0,0 +1,100 @@
+const ApiTokenService = require('../services/ApiTokenService');
+
+// ApiTokenService 인스턴스
+const apiTokenService = new ApiTokenService();
+
+/**
+ * API 오류 응답 (모든 오류는 { error: { code, message } } 형식)
+ * @param {Object} res - Express 응답 객체
+ * @param {number} status - HTTP 상태 코드
+ * @param {string} code - 기계가 읽을 수 있는 오류 코드
+ * @param {string} message - 사용자에게 보여줄 오류 메시지
+ */
+const sendApiError = (res, status, code, message) => {
+    res.status(status).json({
+        error: {
+            code: code,
+            message: message
+        }
+    });
+};
+
+// Bearer 토큰 인증 미들웨어 (토큰이 없으면 비로그인 요청으로 처리, 잘못된 토큰은 401)
+const authenticateApiToken = async (req, res, next) => {
+    const authorization = req.get('authorization');
+    if (!authorization) {
+        return next();
+    }
+
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    const result = match && await apiTokenService.authenticate(match[1], {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ipAddress: req.ip
+    });
+
+    if (!result) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return sendApiError(res, 401, 'invalid_token', '유효하지 않거나 만료된 API 토큰입니다.');
+    }
+
+    req.user = result.user;
+    req.apiToken = result.token;
+    next();
+};
+
+// 토큰 권한 범위 확인 미들웨어
+const requireApiScope = (scope) => {
+    return (req, res, next) => {
+        if (!req.apiToken) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return sendApiError(res, 401, 'unauthorized', 'API 토큰이 필요합니다.');
+        }
+
+        if (!req.apiToken.scopes.includes(scope)) {
+            res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+            return sendApiError(res, 403, 'insufficient_scope', `이 요청에는 '${scope}' 권한이 있는 토큰이 필요합니다.`);
+        }
+
+        next();
+    };
+};
+
+// 이메일 인증 필요 미들웨어 (웹의 requireVerifiedEmail과 같은 기준)
+const requireApiVerifiedEmail = (req, res, next) => {
+    if (req.user && !req.user.email_verified_at && req.user.role === 'user') {
+        return sendApiError(res, 403, 'email_not_verified', '이메일 인증을 완료한 후에 이용할 수 있습니다.');
+    }
+    next();
+};
+
+// API 404 처리
+const apiNotFound = (req, res) => {
+    sendApiError(res, 404, 'not_found', '요청하신 API를 찾을 수 없습니다.');
+};
+
+// API 에러 처리 미들웨어 (JSON 파싱 오류 등 HTML 에러 페이지 대신 JSON으로 응답)
+const apiErrorHandler = (err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+
+    if (status >= 500) {
+        console.error('API 서버 오류:', err);
+        return sendApiError(res, 500, 'internal_error', '서버에서 오류가 발생했습니다.');
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return sendApiError(res, 400, 'invalid_json', '요청 본문의 JSON 형식이 올바르지 않습니다.');
+    }
+
+    sendApiError(res, status, 'bad_request', '잘못된 요청입니다.');
+};
+
+module.exports = {
+    sendApiError,
+    authenticateApiToken,
+    requireApiScope,
+    requireApiVerifiedEmail,
+    apiNotFound,
+    apiErrorHandler,
+    apiTokenService
+};
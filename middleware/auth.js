@@ -1,4 +1,5 @@
 const AuthService = require('../services/AuthService');
+const config = require('../config/default');
 
 // AuthService 인스턴스
 const authService = new AuthService();
@@ -39,6 +40,43 @@ const requireLogin = (req, res, next) => {
     next();
 };
 
+// 이메일 인증 필요 미들웨어 (미인증 사용자는 읽기만 가능, 모더레이터 이상은 제외)
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user) {
+        if (isJsonRequest(req) || req.is('application/json')) {
+            return res.status(401).json({ error: '로그인이 필요합니다.' });
+        }
+        return res.redirect('/auth/login');
+    }
+
+    if (!req.user.email_verified_at && req.user.role === 'user') {
+        const message = '이메일 인증을 완료한 후에 이용할 수 있습니다. 메일함의 인증 링크를 확인해주세요.';
+        if (isJsonRequest(req) || req.is('application/json')) {
+            return res.status(403).json({ error: message });
+        }
+        return res.status(403).render('pages/error', {
+            title: '이메일 인증 필요',
+            error: {
+                status: 403,
+                message: message
+            }
+        });
+    }
+    next();
+};
+
+// 2단계 인증 등록 필요 미들웨어 (config.twoFactor.requiredRoles 역할은 등록 후에만 관리 기능 사용 가능)
+const requireTwoFactorEnrollment = (req, res, next) => {
+    if (!req.user || req.user.totp_enabled_at || !config.twoFactor.requiredRoles.includes(req.user.role)) {
+        return next();
+    }
+
+    if (isJsonRequest(req) || req.is('application/json')) {
+        return res.status(403).json({ error: '관리 기능을 사용하려면 먼저 2단계 인증을 등록해야 합니다.' });
+    }
+    return res.redirect('/auth/2fa');
+};
+
 // 관리자 권한 필요 미들웨어
 const requireAdmin = async (req, res, next) => {
     if (!req.user) {
@@ -340,7 +378,9 @@ const routePermissions = {
     '/forum/subforum/*/comment/new': 'user',
     '/forum/subforum/*/comment/*/edit': 'user',
     '/profile': 'user',
-    '/profile/*': 'user'
+    '/profile/*': 'user',
+    '/notifications': 'user',
+    '/notifications/*': 'user'
 };
 
 // 라우트 기반 권한 확인 미들웨어
@@ -354,9 +394,13 @@ const checkRoutePermission = (req, res, next) => {
         '/auth/login',
         '/auth/register',
         '/auth/logout',
+        '/auth/forgot-password',
+        '/auth/reset-password',
+        '/auth/verify-email',
         '/forum/category',
         '/forum/search',
-        '/search'
+        '/search',
+        '/feeds'
     ];
 
     // 서브포럼 및 게시글 조회는 공개
@@ -370,6 +414,7 @@ const checkRoutePermission = (req, res, next) => {
         /^\/forum\/subforum\/\d+\/posts$/, // 서브포럼 내 게시글 목록
         /^\/forum\/subforum\/\d+\/posts\/page\/\d+$/, // 페이지네이션
         /^\/forum\/subforum\/\d+\/attachment\/\d+$/, // 첨부파일 다운로드
+        /^\/forum\/subforum\/\d+\/(post|comment)\/\d+\/history$/, // 게시글/댓글 수정 기록
         /^\/forum\/search/, // 검색 페이지 및 API
         /^\/forum\/search\/suggestions/ // 검색 제안어 API
     ];
@@ -477,7 +522,15 @@ const requireCategoryModerator = async (req, res, next) => {
     }
 
     try {
-        const categoryId = req.params.categoryId || req.body.categoryId;
+        let categoryId = req.params.categoryId || req.body?.categoryId;
+
+        // 라우터 밖(checkRoutePermission)에서 호출된 경우 URL에서 카테고리 ID 추출
+        if (!categoryId && req.path) {
+            const categoryMatch = req.path.match(/^\/category\/(\d+)/);
+            if (categoryMatch) {
+                categoryId = parseInt(categoryMatch[1]);
+            }
+        }
 
         if (!categoryId) {
             if (isJsonRequest(req)) {
@@ -539,6 +592,8 @@ const requireCategoryModerator = async (req, res, next) => {
 module.exports = {
     loadUser,
     requireLogin,
+    requireVerifiedEmail,
+    requireTwoFactorEnrollment,
     requireAdmin,
     requireModerator,
     requireOwnerOrModerator,
@@ -549,5 +604,6 @@ module.exports = {
     checkRoutePermission,
     checkUserBan,
     requireCategoryModerator,
+    isJsonRequest,
     authService
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { isJsonRequest } = require('./auth');
+
+// 토큰 확인 없이 허용하는 메서드 (상태를 바꾸지 않는 요청)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 첨부파일을 multipart 폼으로 받는 경로
+// 본문(_csrf 포함)은 라우터의 multer에서 파싱되므로 이 경로는 라우터에서 multer 다음에 verifyCsrfToken으로 검증
+// (그 밖의 multipart 요청은 본문을 파싱하지 않으므로 X-CSRF-Token 헤더가 있어야 통과)
+const MULTIPART_PATHS = [
+    /^\/forum\/subforum\/\d+\/post\/new$/,
+    /^\/forum\/subforum\/\d+\/post\/\d+\/edit$/
+];
+
+// 세션별 CSRF 토큰 조회 (없으면 새로 발급)
+const getCsrfToken = (session) => {
+    if (!session.csrfToken) {
+        session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return session.csrfToken;
+};
+
+// 제출된 토큰과 세션 토큰 비교 (타이밍 공격 방지)
+const isValidCsrfToken = (submitted, expected) => {
+    if (typeof submitted !== 'string' || !expected || submitted.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(submitted), Buffer.from(expected));
+};
+
+// 요청에서 제출된 토큰과 세션 토큰 비교 (세션에 토큰이 없으면 새로 만들지 않고 실패)
+const verifyRequest = (req) => {
+    const submitted = req.get('x-csrf-token') || req.body?._csrf;
+    return isValidCsrfToken(submitted, req.session?.csrfToken);
+};
+
+// 검증 실패 응답
+const rejectRequest = (req, res) => {
+    console.warn(`CSRF 토큰 검증 실패: ${req.method} ${req.originalUrl} (${req.ip})`);
+
+    const message = '요청이 만료되었거나 올바르지 않습니다. 페이지를 새로고침한 후 다시 시도해주세요.';
+    if (isJsonRequest(req) || req.is('application/json')) {
+        return res.status(403).json({ error: message });
+    }
+    return res.status(403).render('pages/error', {
+        title: '잘못된 요청',
+        error: {
+            status: 403,
+            message: message
+        }
+    });
+};
+
+// CSRF 보호 미들웨어 (synchronizer token)
+// 토큰은 X-CSRF-Token 헤더 또는 _csrf 폼 필드로 받음
+// 템플릿의 csrfToken()은 폼이나 meta 태그를 렌더링할 때만 토큰을 발급함
+// (익명 방문자의 GET 요청마다 발급하면 세션이 수정되어 세션 행이 저장됨)
+const csrfProtection = (req, res, next) => {
+    res.locals.csrfToken = (create = true) => {
+        if (!req.session) {
+            return '';
+        }
+        return create ? getCsrfToken(req.session) : (req.session.csrfToken || '');
+    };
+
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    if (req.is('multipart/form-data') && MULTIPART_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    if (verifyRequest(req)) {
+        return next();
+    }
+    return rejectRequest(req, res);
+};
+
+// multipart 폼용 CSRF 검증 미들웨어 (MULTIPART_PATHS 경로의 라우터에서 multer 다음에 사용)
+const verifyCsrfToken = (req, res, next) => {
+    if (verifyRequest(req)) {
+        return next();
+    }
+    return rejectRequest(req, res);
+};
+
+module.exports = {
+    csrfProtection,
+    verifyCsrfToken,
+    getCsrfToken
+};
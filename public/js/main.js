@@ -1,5 +1,31 @@
 // 포럼 사이트 메인 JavaScript
 
+// CSRF 토큰 조회 (레이아웃의 meta 태그)
+function getCsrfToken() {
+    const meta = document.querySelector('meta[name="csrf-token"]');
+    return meta ? meta.getAttribute('content') : '';
+}
+
+// 같은 출처로 보내는 상태 변경 fetch 요청에 CSRF 토큰 헤더 추가
+// (각 페이지 스크립트의 fetch 호출도 별도 처리 없이 보호됨)
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const originalFetch = window.fetch.bind(window);
+
+window.fetch = function(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const target = new URL(url, window.location.href);
+
+    if (!CSRF_SAFE_METHODS.includes(method) && target.origin === window.location.origin) {
+        const headers = new Headers(options.headers);
+        if (!headers.has('X-CSRF-Token')) {
+            headers.set('X-CSRF-Token', getCsrfToken());
+        }
+        options = { ...options, headers };
+    }
+
+    return originalFetch(url, options);
+};
+
 // 페이지 로드 완료 후 실행
 document.addEventListener('DOMContentLoaded', function() {
     console.log('포럼 사이트 로드 완료');
@@ -12,6 +38,9 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // 자동 저장 기능 (게시글 작성 시)
     setupAutoSave();
+
+    // 알림 배지 주기적 갱신
+    setupNotificationPolling();
 });
 
 // 폼 제출 시 로딩 표시
@@ -118,6 +147,47 @@ function setupAutoSave() {
     }
 }
 
+// 알림 배지 주기적 갱신 (로그인 사용자만)
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000; // 60초
+
+function setupNotificationPolling() {
+    if (!document.querySelector('[data-notification-count]')) {
+        return;
+    }
+
+    const poll = async () => {
+        // 탭이 보이지 않을 때는 요청하지 않음
+        if (document.hidden) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/notifications/unread-count', {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            updateNotificationBadge(data.count);
+        } catch (e) {
+            // 네트워크 오류는 다음 주기에 다시 시도
+        }
+    };
+
+    setInterval(poll, NOTIFICATION_POLL_INTERVAL);
+    document.addEventListener('visibilitychange', poll);
+}
+
+// 알림 배지 숫자 갱신
+function updateNotificationBadge(count) {
+    document.querySelectorAll('[data-notification-count]').forEach(badge => {
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.hidden = count <= 0;
+    });
+}
+
 // 알림 메시지 표시
 function showAlert(message, type = 'info') {
     const alertDiv = document.createElement('div');
@@ -142,11 +212,13 @@ function showAlert(message, type = 'info') {
 async function apiRequest(url, options = {}) {
     try {
         const response = await fetch(url, {
+            ...options,
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-CSRF-Token': getCsrfToken(),
                 ...options.headers
-            },
-            ...options
+            }
         });
 
         const data = await response.json();
@@ -189,10 +261,12 @@ async function submitComment(postId, content) {
 window.forumUtils = {
     showAlert,
     apiRequest,
-    submitComment
+    getCsrfToken,
+    submitComment,
+    updateNotificationBadge
 };
-//
- Alpine.js 글로벌 스토어 설정
+
+// Alpine.js 글로벌 스토어 설정
 document.addEventListener('alpine:init', () => {
     // 전역 상태 관리
     Alpine.store('app', {
@@ -272,11 +346,13 @@ document.addEventListener('alpine:init', () => {
 
                 try {
                     const response = await fetch(url, {
+                        ...options,
                         headers: {
                             'Content-Type': 'application/json',
+                            'Accept': 'application/json',
+                            'X-CSRF-Token': getCsrfToken(),
                             ...options.headers
-                        },
-                        ...options
+                        }
                     });
 
                     const data = await response.json();
@@ -437,6 +437,8 @@ router.post('/users/:userId/ban', requireAdmin, [
 
         const userId = parseInt(req.params.userId);
         const { reason, duration, customDate } = req.body;
+        // 체크 해제 시에만 false (기본값: 강제 로그아웃)
+        const forceLogout = req.body.forceLogout !== false && req.body.forceLogout !== 'false';
 
         // 차단 만료일 계산
         let expiresAt = null;
@@ -467,7 +469,7 @@ router.post('/users/:userId/ban', requireAdmin, [
             }
         }
 
-        const ban = await adminService.banUser(req.user.id, userId, reason, expiresAt);
+        const ban = await adminService.banUser(req.user.id, userId, reason, expiresAt, { forceLogout });
 
         res.json({
             success: true,
@@ -501,6 +503,25 @@ router.post('/users/:userId/unban', requireAdmin, async (req, res) => {
     }
 });
 
+// 사용자 이메일 수동 인증
+router.post('/users/:userId/verify-email', requireAdmin, async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+
+        await adminService.verifyUserEmail(req.user.id, userId);
+
+        res.json({
+            success: true,
+            message: '이메일 인증이 처리되었습니다.'
+        });
+    } catch (error) {
+        console.error('이메일 수동 인증 오류:', error);
+        res.status(500).json({
+            error: error.message || '이메일 인증 처리 중 오류가 발생했습니다.'
+        });
+    }
+});
+
 // 사용자 차단 정보 조회
 router.get('/users/:userId/ban', requireAdmin, async (req, res) => {
     try {
@@ -542,4 +563,57 @@ router.get('/bans', requireAdmin, async (req, res) => {
     }
 });
 
+// 로그인 잠금 목록 조회
+router.get('/lockouts', requireAdmin, async (req, res) => {
+    try {
+        const lockouts = await adminService.getLoginLockouts(req.user.id);
+
+        res.render('pages/admin/lockouts', {
+            title: '로그인 잠금 관리',
+            lockedUsers: lockouts.users,
+            lockedIps: lockouts.ips
+        });
+    } catch (error) {
+        console.error('로그인 잠금 목록 조회 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '로그인 잠금 목록을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 로그인 잠금 해제
+router.post('/lockouts/clear', requireAdmin, [
+    body('scope')
+        .isIn(['user', 'ip'])
+        .withMessage('올바르지 않은 잠금 유형입니다'),
+    body('key')
+        .trim()
+        .notEmpty()
+        .withMessage('잠금 해제 대상이 필요합니다')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const { scope, key } = req.body;
+        await adminService.clearLoginLockout(req.user.id, scope, scope === 'user' ? parseInt(key) : key);
+
+        res.json({
+            success: true,
+            message: '로그인 잠금이 해제되었습니다.'
+        });
+    } catch (error) {
+        console.error('로그인 잠금 해제 오류:', error);
+        res.status(500).json({
+            error: error.message || '로그인 잠금 해제 중 오류가 발생했습니다.'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
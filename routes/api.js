@@ -0,0 +1,454 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ForumService = require('../services/ForumService');
+const ProfileService = require('../services/ProfileService');
+const ApiTokenService = require('../services/ApiTokenService');
+const {
+    sendApiError,
+    authenticateApiToken,
+    requireApiScope,
+    requireApiVerifiedEmail,
+    apiNotFound
+} = require('../middleware/api');
+const config = require('../config/default');
+const { parseSearchFilters, hasContentFilters } = require('../utils/searchQuery');
+const router = express.Router();
+
+// 서비스 인스턴스 생성
+const forumService = new ForumService();
+const profileService = new ProfileService();
+
+const { READ, POST } = ApiTokenService.SCOPES;
+
+// 페이지네이션 쿼리 파싱 (?page=1&limit=20, limit은 최대 config.api.maxPageSize)
+const getPageOptions = (req) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || config.api.defaultPageSize, 1), config.api.maxPageSize);
+    return { page, limit };
+};
+
+// 서비스의 페이지네이션 정보를 API 응답 형식으로 변환
+const toPaginationMeta = (pagination) => ({
+    page: pagination.current_page,
+    limit: pagination.limit,
+    total_count: pagination.total_count,
+    total_pages: pagination.total_pages,
+    has_next: pagination.has_next,
+    has_prev: pagination.has_prev
+});
+
+// 목록 응답 (data + meta.pagination)
+const sendList = (res, items, pagination, extraMeta = {}) => {
+    res.json({
+        data: items,
+        meta: {
+            ...extraMeta,
+            pagination: toPaginationMeta(pagination)
+        }
+    });
+};
+
+// 유효성 검사 실패 응답
+const sendValidationError = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+
+    sendApiError(res, 422, 'validation_failed', errors.array()[0].msg);
+    return true;
+};
+
+const serializeAuthor = (item) => ({
+    id: item.user_id,
+    username: item.username,
+    role: item.role
+});
+
+const serializeSubforum = (subforum) => ({
+    id: subforum.id,
+    name: subforum.name,
+    description: subforum.description,
+    post_count: subforum.post_count,
+    comment_count: subforum.comment_count,
+    last_activity_at: subforum.last_activity_at,
+    created_at: subforum.created_at
+});
+
+const serializePostSummary = (post) => ({
+    id: post.id,
+    subforum_id: post.category_id,
+    title: post.title,
+    preview: post.content_preview,
+    author: serializeAuthor(post),
+    view_count: post.view_count,
+    comment_count: post.comment_count,
+    reaction_count: post.reaction_count,
+    is_pinned: !!post.is_pinned,
+    is_locked: !!post.is_locked,
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+    last_comment_at: post.last_comment_at
+});
+
+const serializeSearchResult = (result) => ({
+    type: result.result_type,
+    id: result.id,
+    post_id: result.post_id,
+    subforum_id: result.category_id,
+    title: result.title,
+    preview: result.content_preview,
+    // 이스케이프된 HTML, 검색어와 일치한 구간만 <mark>로 감쌈
+    highlight: {
+        title: result.title_highlight,
+        snippet: result.snippet
+    },
+    url: result.url,
+    score: result.score,
+    author: serializeAuthor(result),
+    view_count: result.view_count,
+    comment_count: result.comment_count,
+    created_at: result.created_at,
+    updated_at: result.updated_at
+});
+
+const serializePost = (post) => ({
+    id: post.id,
+    subforum_id: post.category_id,
+    title: post.title,
+    content: post.content,
+    content_html: post.content_html,
+    author: serializeAuthor(post),
+    view_count: post.view_count,
+    comment_count: post.comment_count,
+    reaction_count: post.reaction_count,
+    is_pinned: !!post.is_pinned,
+    is_locked: !!post.is_locked,
+    attachments: post.attachments.map(attachment => ({
+        id: attachment.id,
+        filename: attachment.original_filename,
+        size: attachment.file_size,
+        mime_type: attachment.mime_type,
+        url: `/forum/subforum/${post.category_id}/attachment/${attachment.id}`
+    })),
+    created_at: post.created_at,
+    updated_at: post.updated_at,
+    last_comment_at: post.last_comment_at
+});
+
+// 댓글 트리 직렬화 (삭제된 댓글은 답글 스레드 유지를 위해 내용 없이 포함)
+const serializeComment = (comment) => ({
+    id: comment.id,
+    parent_id: comment.parent_id,
+    depth: comment.depth,
+    is_deleted: comment.is_deleted,
+    content: comment.is_deleted ? null : comment.content,
+    content_html: comment.is_deleted ? null : comment.content_html,
+    author: comment.is_deleted ? null : serializeAuthor(comment),
+    reaction_count: comment.reaction_count,
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    replies: (comment.replies || []).map(serializeComment)
+});
+
+const serializeUser = (profile) => ({
+    id: profile.id,
+    username: profile.username,
+    display_name: profile.display_name,
+    role: profile.role,
+    avatar_url: profile.avatar_url,
+    bio: profile.bio,
+    location: profile.location,
+    website: profile.website,
+    created_at: profile.created_at
+});
+
+// 서브포럼 조회 (없으면 404 응답 후 null 반환)
+const findSubforum = async (req, res) => {
+    const subforum = await forumService.getSubforumById(parseInt(req.params.subforumId));
+    if (!subforum) {
+        sendApiError(res, 404, 'not_found', '요청하신 서브포럼을 찾을 수 없습니다.');
+        return null;
+    }
+    return subforum;
+};
+
+// 모든 API 요청은 Bearer 토큰을 확인 (토큰 없이도 공개 데이터는 조회 가능)
+router.use(authenticateApiToken);
+
+// 현재 토큰의 사용자 정보
+router.get('/me', requireApiScope(READ), async (req, res) => {
+    try {
+        const profile = await profileService.getProfileByUserId(req.user.id);
+
+        res.json({
+            data: {
+                ...serializeUser(profile),
+                email: req.user.email,
+                email_verified: !!req.user.email_verified_at
+            },
+            meta: {
+                token: {
+                    name: req.apiToken.name,
+                    scopes: req.apiToken.scopes,
+                    expires_at: req.apiToken.expires_at
+                }
+            }
+        });
+    } catch (error) {
+        console.error('API 내 정보 조회 오류:', error);
+        sendApiError(res, 500, 'internal_error', '사용자 정보를 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 서브포럼 목록
+router.get('/subforums', async (req, res) => {
+    try {
+        const subforums = await forumService.getSubforums();
+        res.json({ data: subforums.map(serializeSubforum) });
+    } catch (error) {
+        console.error('API 서브포럼 목록 오류:', error);
+        sendApiError(res, 500, 'internal_error', '서브포럼 목록을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 서브포럼 정보
+router.get('/subforums/:subforumId', async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        res.json({ data: serializeSubforum(subforum) });
+    } catch (error) {
+        console.error('API 서브포럼 조회 오류:', error);
+        sendApiError(res, 500, 'internal_error', '서브포럼을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 서브포럼 게시글 목록 (?sort=created_at|last_comment_at)
+router.get('/subforums/:subforumId/posts', async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        const sortBy = req.query.sort || 'created_at';
+        if (!['created_at', 'last_comment_at'].includes(sortBy)) {
+            return sendApiError(res, 400, 'bad_request', '올바르지 않은 정렬 방식입니다.');
+        }
+
+        const result = await forumService.getPosts(subforum.id, { ...getPageOptions(req), sortBy });
+        const posts = result.posts.map(post => serializePostSummary({ ...post, category_id: subforum.id }));
+        sendList(res, posts, result.pagination, { sort: sortBy });
+    } catch (error) {
+        console.error('API 게시글 목록 오류:', error);
+        sendApiError(res, 500, 'internal_error', '게시글 목록을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 게시글 작성
+router.post('/subforums/:subforumId/posts', requireApiScope(POST), requireApiVerifiedEmail, [
+    body('title')
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('제목은 1-200자 사이여야 합니다'),
+    body('content')
+        .isString()
+        .isLength({ min: 1 })
+        .withMessage('내용을 입력해주세요')
+], async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        if (sendValidationError(req, res)) return;
+
+        const postId = await forumService.createPost(req.user.id, subforum.id, req.body.title, req.body.content);
+        const post = await forumService.getPost(postId, subforum.id, false, req.user.id);
+
+        res.status(201).json({ data: serializePost(post) });
+    } catch (error) {
+        console.error('API 게시글 작성 오류:', error);
+        sendApiError(res, 500, 'internal_error', '게시글 작성 중 오류가 발생했습니다.');
+    }
+});
+
+// 게시글 상세 (다른 서브포럼으로 이동된 게시글은 새 위치로 301)
+router.get('/subforums/:subforumId/posts/:postId', async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        const postId = parseInt(req.params.postId);
+        // API 조회는 조회수에 반영하지 않음 (봇의 반복 조회로 조회수가 부풀려지지 않도록)
+        const post = await forumService.getPost(postId, subforum.id, false, req.user?.id || null);
+        if (!post) {
+            const redirect = await forumService.getPostRedirect(postId, subforum.id);
+            if (redirect) {
+                return res.redirect(301, `${req.baseUrl}/subforums/${redirect.new_category_id}/posts/${redirect.new_post_id}`);
+            }
+            return sendApiError(res, 404, 'not_found', '요청하신 게시글을 찾을 수 없습니다.');
+        }
+
+        res.json({ data: serializePost(post) });
+    } catch (error) {
+        console.error('API 게시글 조회 오류:', error);
+        sendApiError(res, 500, 'internal_error', '게시글을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 게시글 댓글 목록 (최상위 댓글 기준 페이지네이션, 답글은 replies에 포함)
+router.get('/subforums/:subforumId/posts/:postId/comments', async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        const postId = parseInt(req.params.postId);
+        const post = await forumService.getPost(postId, subforum.id, false);
+        if (!post) {
+            return sendApiError(res, 404, 'not_found', '요청하신 게시글을 찾을 수 없습니다.');
+        }
+
+        const { page, limit } = getPageOptions(req);
+        const comments = await forumService.getComments(postId, subforum.id, { limit: Number.MAX_SAFE_INTEGER });
+        const totalPages = Math.ceil(comments.length / limit);
+
+        sendList(res, comments.slice((page - 1) * limit, page * limit).map(serializeComment), {
+            current_page: page,
+            limit: limit,
+            total_count: comments.length,
+            total_pages: totalPages,
+            has_next: page < totalPages,
+            has_prev: page > 1
+        });
+    } catch (error) {
+        console.error('API 댓글 목록 오류:', error);
+        sendApiError(res, 500, 'internal_error', '댓글 목록을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 댓글/답글 작성 (parent_id를 지정하면 답글)
+router.post('/subforums/:subforumId/posts/:postId/comments', requireApiScope(POST), requireApiVerifiedEmail, [
+    body('content')
+        .isString()
+        .isLength({ min: 1 })
+        .withMessage('댓글 내용을 입력해주세요'),
+    body('parent_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 })
+        .withMessage('올바르지 않은 부모 댓글 ID입니다')
+], async (req, res) => {
+    try {
+        const subforum = await findSubforum(req, res);
+        if (!subforum) return;
+
+        if (sendValidationError(req, res)) return;
+
+        const postId = parseInt(req.params.postId);
+        const post = await forumService.getPost(postId, subforum.id, false);
+        if (!post) {
+            return sendApiError(res, 404, 'not_found', '요청하신 게시글을 찾을 수 없습니다.');
+        }
+        if (post.is_locked) {
+            return sendApiError(res, 403, 'post_locked', '잠긴 게시글에는 댓글을 작성할 수 없습니다.');
+        }
+
+        const parentId = req.body.parent_id ? parseInt(req.body.parent_id) : null;
+        let commentId;
+        try {
+            commentId = await forumService.createComment(req.user.id, postId, subforum.id, req.body.content, parentId);
+        } catch (error) {
+            return sendApiError(res, 400, 'bad_request', error.message);
+        }
+        await forumService.updatePostLastCommentTime(postId, subforum.id);
+
+        res.status(201).json({
+            data: {
+                id: commentId,
+                post_id: postId,
+                parent_id: parentId,
+                url: `/forum/subforum/${subforum.id}/post/${postId}#comment-${commentId}`
+            }
+        });
+    } catch (error) {
+        console.error('API 댓글 작성 오류:', error);
+        sendApiError(res, 500, 'internal_error', '댓글 작성 중 오류가 발생했습니다.');
+    }
+});
+
+// 게시글/댓글 검색 (?q=검색어&subforum=ID,ID&author=사용자명&from=YYYY-MM-DD&to=YYYY-MM-DD&has_attachments=1&sort=relevance|created_at|view_count)
+router.get('/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { filters, error: filterError } = parseSearchFilters(req.query);
+    if (filterError) {
+        return sendApiError(res, 400, 'bad_request', filterError);
+    }
+    if (!query && !hasContentFilters(filters)) {
+        return sendApiError(res, 400, 'bad_request', '검색어(q) 또는 작성자/기간/첨부파일 조건을 입력해주세요.');
+    }
+
+    const sortBy = req.query.sort || 'relevance';
+    if (!['relevance', 'created_at', 'view_count'].includes(sortBy)) {
+        return sendApiError(res, 400, 'bad_request', '올바르지 않은 정렬 방식입니다.');
+    }
+
+    try {
+        for (const subforumId of filters.subforumIds) {
+            if (!await forumService.getSubforumById(subforumId)) {
+                return sendApiError(res, 404, 'not_found', '요청하신 서브포럼을 찾을 수 없습니다.');
+            }
+        }
+
+        const result = await forumService.searchPosts(query, { ...getPageOptions(req), ...filters, sortBy });
+        sendList(res, result.results.map(serializeSearchResult), result.pagination, {
+            query: query,
+            subforum_ids: filters.subforumIds,
+            filters: result.search_info.filters,
+            sort: sortBy,
+            // 단계별 소요 시간은 관리자 토큰에만 공개
+            ...(req.user?.role === 'super_admin' ? { timing: result.search_info.timing } : {})
+        });
+    } catch (error) {
+        console.error('API 검색 오류:', error);
+        sendApiError(res, 500, 'internal_error', '검색 중 오류가 발생했습니다.');
+    }
+});
+
+// 사용자 프로필
+router.get('/users/:username', async (req, res) => {
+    try {
+        const profile = await profileService.getProfileByUsername(req.params.username);
+        if (!profile) {
+            return sendApiError(res, 404, 'not_found', '요청하신 사용자를 찾을 수 없습니다.');
+        }
+
+        res.json({ data: serializeUser(profile) });
+    } catch (error) {
+        console.error('API 사용자 조회 오류:', error);
+        sendApiError(res, 500, 'internal_error', '사용자를 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 사용자가 작성한 게시글/댓글 목록
+router.get('/users/:username/:tab', async (req, res, next) => {
+    if (!['posts', 'comments'].includes(req.params.tab)) {
+        return next();
+    }
+
+    try {
+        const profile = await profileService.getProfileByUsername(req.params.username);
+        if (!profile) {
+            return sendApiError(res, 404, 'not_found', '요청하신 사용자를 찾을 수 없습니다.');
+        }
+
+        const history = await profileService.getUserHistory(profile.id, { ...getPageOptions(req), tab: req.params.tab });
+        sendList(res, history.items, history.pagination);
+    } catch (error) {
+        console.error('API 사용자 활동 조회 오류:', error);
+        sendApiError(res, 500, 'internal_error', '사용자 활동을 조회하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 정의되지 않은 API 경로
+router.use(apiNotFound);
+
+module.exports = router;
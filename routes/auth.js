@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authService } = require('../middleware/auth');
+const TwoFactorService = require('../services/TwoFactorService');
+const config = require('../config/default');
 const router = express.Router();
 
+const twoFactorService = new TwoFactorService();
+
 // 로그인 페이지
 router.get('/login', (req, res) => {
     if (req.session.user) {
@@ -31,12 +35,20 @@ router.post('/login', [
 
         const { username, password } = req.body;
 
-        // AuthService에서 로그인 검증
-        const user = await authService.login(username, password);
+        // AuthService에서 로그인 검증 (계정/IP 잠금 포함)
+        const user = await authService.login(username, password, req.ip);
 
-        if (user) {
-            // 세션 생성
-            authService.createSession(req.session, user);
+        if (user?.twoFactorRequired) {
+            // 비밀번호만 확인된 상태이므로 세션은 인증 코드 확인 후에 생성
+            req.session.pendingTwoFactor = {
+                userId: user.id,
+                expiresAt: Date.now() + config.twoFactor.challengeTTL
+            };
+            res.redirect('/auth/login/2fa');
+        } else if (user) {
+            // 로그인 전 세션 ID를 버리고 새 세션 생성
+            await authService.regenerateSession(req);
+            authService.createSession(req.session, user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
             res.redirect('/');
         } else {
             res.render('pages/auth/login', {
@@ -46,9 +58,83 @@ router.post('/login', [
         }
     } catch (error) {
         console.error('로그인 오류:', error);
+
+        // 로그인 잠금 또는 재시도 대기 중
+        if (error.status === 429) {
+            res.status(429).set('Retry-After', String(error.retryAfter));
+        }
+
+        // 잠금/대기 안내와 로그인 실패(계정 존재 여부와 무관한 공통 메시지)만 그대로 표시
         res.render('pages/auth/login', {
             title: '로그인',
-            error: '로그인 중 오류가 발생했습니다.'
+            error: error.status === 429 || error.status === 401
+                ? error.message
+                : '로그인 중 오류가 발생했습니다.'
+        });
+    }
+});
+
+// 로그인 2단계 인증 대기 정보 조회 (만료된 경우 삭제)
+function getPendingTwoFactor(req) {
+    const pending = req.session.pendingTwoFactor;
+    if (pending && pending.expiresAt > Date.now()) {
+        return pending;
+    }
+    delete req.session.pendingTwoFactor;
+    return null;
+}
+
+// 로그인 2단계 인증 페이지
+router.get('/login/2fa', (req, res) => {
+    if (!getPendingTwoFactor(req)) {
+        return res.redirect('/auth/login');
+    }
+
+    res.render('pages/auth/two-factor-challenge', {
+        title: '2단계 인증',
+        error: null
+    });
+});
+
+// 로그인 2단계 인증 처리
+router.post('/login/2fa', [
+    body('code').trim().notEmpty().withMessage('인증 코드를 입력해주세요')
+], async (req, res) => {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+        return res.status(400).render('pages/auth/login', {
+            title: '로그인',
+            error: '인증 시간이 만료되었습니다. 다시 로그인해주세요.'
+        });
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.render('pages/auth/two-factor-challenge', {
+                title: '2단계 인증',
+                error: errors.array()[0].msg
+            });
+        }
+
+        const user = await twoFactorService.verifyLogin(pending.userId, req.body.code, req.ip);
+
+        // 인증 대기 세션을 버리고 새 세션 ID로 로그인 세션 생성
+        await authService.regenerateSession(req);
+        authService.createSession(req.session, user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
+
+        // 복구 코드로 로그인한 경우 남은 복구 코드를 확인할 수 있도록 관리 페이지로 이동
+        res.redirect(user.recoveryCodeUsed ? '/auth/2fa' : '/');
+    } catch (error) {
+        console.error('2단계 인증 오류:', error);
+
+        if (error.status === 429) {
+            res.status(429).set('Retry-After', String(error.retryAfter));
+        }
+
+        res.render('pages/auth/two-factor-challenge', {
+            title: '2단계 인증',
+            error: error.message || '2단계 인증 중 오류가 발생했습니다.'
         });
     }
 });
@@ -100,8 +186,9 @@ router.post('/register', [
         // AuthService에서 회원가입 처리
         const user = await authService.register({ username, email, password });
 
-        // 회원가입 성공 후 자동 로그인
-        authService.createSession(req.session, user);
+        // 회원가입 성공 후 자동 로그인 (새 세션 ID 발급)
+        await authService.regenerateSession(req);
+        authService.createSession(req.session, user, { ipAddress: req.ip, userAgent: req.get('user-agent') });
 
         res.redirect('/');
     } catch (error) {
@@ -113,6 +200,269 @@ router.post('/register', [
     }
 });
 
+// 비밀번호 찾기 페이지
+router.get('/forgot-password', (req, res) => {
+    res.render('pages/auth/forgot-password', {
+        title: '비밀번호 찾기',
+        error: null,
+        message: null
+    });
+});
+
+// 비밀번호 재설정 메일 요청
+router.post('/forgot-password', [
+    body('email')
+        .isEmail()
+        .withMessage('올바른 이메일 주소를 입력해주세요')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.render('pages/auth/forgot-password', {
+                title: '비밀번호 찾기',
+                error: errors.array()[0].msg,
+                message: null
+            });
+        }
+
+        await authService.requestPasswordReset(req.body.email, req.ip);
+
+        // 가입 여부가 드러나지 않도록 항상 같은 안내 표시
+        res.render('pages/auth/forgot-password', {
+            title: '비밀번호 찾기',
+            error: null,
+            message: '입력하신 이메일로 가입된 계정이 있으면 비밀번호 재설정 링크를 보냈습니다. 메일함을 확인해주세요.'
+        });
+    } catch (error) {
+        console.error('비밀번호 재설정 요청 오류:', error);
+        res.status(500).render('pages/auth/forgot-password', {
+            title: '비밀번호 찾기',
+            error: '비밀번호 재설정 메일을 보내는 중 오류가 발생했습니다. 잠시 후 다시 시도해주세요.',
+            message: null
+        });
+    }
+});
+
+// 비밀번호 재설정 페이지
+router.get('/reset-password/:token', async (req, res) => {
+    const resetUser = await authService.getPasswordResetToken(req.params.token);
+
+    res.status(resetUser ? 200 : 400).render('pages/auth/reset-password', {
+        title: '비밀번호 재설정',
+        token: req.params.token,
+        resetUser: resetUser,
+        completed: false,
+        error: null
+    });
+});
+
+// 비밀번호 재설정 처리
+router.post('/reset-password/:token', [
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('비밀번호는 최소 6자 이상이어야 합니다'),
+    body('confirmPassword')
+        .custom((value, { req }) => {
+            if (value !== req.body.password) {
+                throw new Error('비밀번호가 일치하지 않습니다');
+            }
+            return true;
+        })
+], async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).render('pages/auth/reset-password', {
+                title: '비밀번호 재설정',
+                token: token,
+                resetUser: await authService.getPasswordResetToken(token),
+                completed: false,
+                error: errors.array()[0].msg
+            });
+        }
+
+        const resetUser = await authService.resetPassword(token, req.body.password, req.ip);
+
+        // 같은 계정으로 로그인된 브라우저에서 재설정한 경우 이 세션도 종료 (응답 후 다시 저장되지 않도록 교체)
+        if (req.session.userId === resetUser.id) {
+            await authService.regenerateSession(req);
+        }
+
+        res.render('pages/auth/reset-password', {
+            title: '비밀번호 재설정',
+            token: null,
+            resetUser: null,
+            completed: true,
+            error: null
+        });
+    } catch (error) {
+        console.error('비밀번호 재설정 오류:', error);
+        res.status(400).render('pages/auth/reset-password', {
+            title: '비밀번호 재설정',
+            token: token,
+            resetUser: await authService.getPasswordResetToken(token),
+            completed: false,
+            error: error.message || '비밀번호 재설정 중 오류가 발생했습니다.'
+        });
+    }
+});
+
+// 이메일 인증 링크 처리
+router.get('/verify-email/:token', async (req, res) => {
+    try {
+        await authService.verifyEmail(req.params.token);
+
+        res.render('pages/auth/verify-email', {
+            title: '이메일 인증',
+            user: req.user ? await authService.getUserById(req.user.id) : null,
+            error: null,
+            message: '이메일 인증이 완료되었습니다. 이제 글과 댓글을 작성할 수 있습니다.'
+        });
+    } catch (error) {
+        res.status(400).render('pages/auth/verify-email', {
+            title: '이메일 인증',
+            error: error.message || '이메일 인증 중 오류가 발생했습니다.',
+            message: null
+        });
+    }
+});
+
+// 인증 메일 재발송
+router.post('/verify-email/resend', async (req, res) => {
+    if (!req.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        await authService.sendVerificationEmail(req.user.id);
+
+        res.render('pages/auth/verify-email', {
+            title: '이메일 인증',
+            error: null,
+            message: `${req.user.email} 주소로 인증 메일을 다시 보냈습니다. 메일함을 확인해주세요.`
+        });
+    } catch (error) {
+        if (error.status === 429) {
+            res.status(429);
+        }
+        res.render('pages/auth/verify-email', {
+            title: '이메일 인증',
+            error: error.message || '인증 메일을 보내는 중 오류가 발생했습니다.',
+            message: null
+        });
+    }
+});
+
+// 2단계 인증 관리 페이지 렌더링 (미등록 상태면 등록용 비밀키와 QR 코드를 함께 표시)
+async function renderTwoFactorPage(req, res, { status = 200, error = null, message = null, recoveryCodes = null } = {}) {
+    const twoFactor = await twoFactorService.getStatus(req.user.id);
+
+    let setup = null;
+    if (!twoFactor.enabled) {
+        // 등록이 확인될 때까지 비밀키는 세션에만 보관
+        if (!req.session.twoFactorSetupSecret) {
+            req.session.twoFactorSetupSecret = twoFactorService.generateSecret();
+        }
+
+        const otpauthUri = twoFactorService.getOtpauthUri(req.user.username, req.session.twoFactorSetupSecret);
+        setup = {
+            secret: req.session.twoFactorSetupSecret,
+            otpauthUri: otpauthUri,
+            qrCode: await twoFactorService.getQrCodeDataUrl(otpauthUri)
+        };
+    }
+
+    res.status(status).render('pages/auth/two-factor', {
+        title: '2단계 인증',
+        twoFactor: twoFactor,
+        setup: setup,
+        recoveryCodes: recoveryCodes,
+        error: error,
+        message: message
+    });
+}
+
+// 2단계 인증 관리 페이지
+router.get('/2fa', async (req, res) => {
+    await renderTwoFactorPage(req, res);
+});
+
+// 2단계 인증 등록
+router.post('/2fa/enable', [
+    body('code').trim().matches(/^\d{6}$/).withMessage('인증 앱의 6자리 코드를 입력해주세요')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderTwoFactorPage(req, res, { status: 400, error: errors.array()[0].msg });
+        }
+
+        const recoveryCodes = await twoFactorService.enable(req.user.id, req.session.twoFactorSetupSecret, req.body.code);
+        delete req.session.twoFactorSetupSecret;
+
+        await renderTwoFactorPage(req, res, {
+            message: '2단계 인증이 등록되었습니다. 아래 복구 코드를 안전한 곳에 보관하세요.',
+            recoveryCodes: recoveryCodes
+        });
+    } catch (error) {
+        console.error('2단계 인증 등록 오류:', error);
+        await renderTwoFactorPage(req, res, {
+            status: 400,
+            error: error.message || '2단계 인증 등록 중 오류가 발생했습니다.'
+        });
+    }
+});
+
+// 복구 코드 재발급
+router.post('/2fa/recovery-codes', [
+    body('code').trim().matches(/^\d{6}$/).withMessage('인증 앱의 6자리 코드를 입력해주세요')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderTwoFactorPage(req, res, { status: 400, error: errors.array()[0].msg });
+        }
+
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+        await renderTwoFactorPage(req, res, {
+            message: '복구 코드를 새로 발급했습니다. 이전 복구 코드는 더 이상 사용할 수 없습니다.',
+            recoveryCodes: recoveryCodes
+        });
+    } catch (error) {
+        console.error('복구 코드 재발급 오류:', error);
+        await renderTwoFactorPage(req, res, {
+            status: 400,
+            error: error.message || '복구 코드 재발급 중 오류가 발생했습니다.'
+        });
+    }
+});
+
+// 2단계 인증 해제
+router.post('/2fa/disable', [
+    body('password').notEmpty().withMessage('비밀번호를 입력해주세요'),
+    body('code').trim().notEmpty().withMessage('인증 코드를 입력해주세요')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return renderTwoFactorPage(req, res, { status: 400, error: errors.array()[0].msg });
+        }
+
+        await twoFactorService.disable(req.user.id, req.body.password, req.body.code);
+
+        await renderTwoFactorPage(req, res, { message: '2단계 인증이 해제되었습니다.' });
+    } catch (error) {
+        console.error('2단계 인증 해제 오류:', error);
+        await renderTwoFactorPage(req, res, {
+            status: 400,
+            error: error.message || '2단계 인증 해제 중 오류가 발생했습니다.'
+        });
+    }
+});
+
 // 로그아웃 (GET과 POST 모두 지원)
 router.get('/logout', (req, res) => {
     if (req.session) {
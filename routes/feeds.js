@@ -0,0 +1,76 @@
+const express = require('express');
+const FeedService = require('../services/FeedService');
+const config = require('../config/default');
+const router = express.Router();
+
+// FeedService 인스턴스 생성
+const feedService = new FeedService();
+
+// 피드 응답 (ETag/Last-Modified가 일치하면 304)
+const sendFeed = (req, res, feed) => {
+    const { body, contentType, etag, lastModified } = feedService.render(feed, req.params.format);
+
+    res.set({
+        'Content-Type': contentType,
+        'ETag': etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': `public, max-age=${config.feed.maxAge}`
+    });
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.send(body);
+};
+
+// 지원하지 않는 형식은 404
+const checkFormat = (req, res, next) => {
+    if (!feedService.isSupportedFormat(req.params.format)) {
+        return next('route');
+    }
+    next();
+};
+
+// 사이트 전체 최근 활동 피드 (/feeds/atom.xml, /feeds/rss.xml)
+router.get('/:format.xml', checkFormat, async (req, res) => {
+    try {
+        const feed = await feedService.getSiteFeed();
+        sendFeed(req, res, feed);
+    } catch (error) {
+        console.error('사이트 피드 오류:', error);
+        res.status(500).type('text/plain').send('피드를 생성하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 서브포럼 피드
+router.get('/subforum/:subforumId/:format.xml', checkFormat, async (req, res) => {
+    try {
+        const feed = await feedService.getSubforumFeed(parseInt(req.params.subforumId));
+        if (!feed) {
+            return res.status(404).type('text/plain').send('요청하신 서브포럼을 찾을 수 없습니다.');
+        }
+
+        sendFeed(req, res, feed);
+    } catch (error) {
+        console.error('서브포럼 피드 오류:', error);
+        res.status(500).type('text/plain').send('피드를 생성하는 중 오류가 발생했습니다.');
+    }
+});
+
+// 사용자 게시글 피드
+router.get('/user/:username/:format.xml', checkFormat, async (req, res) => {
+    try {
+        const feed = await feedService.getUserFeed(req.params.username);
+        if (!feed) {
+            return res.status(404).type('text/plain').send('요청하신 사용자를 찾을 수 없습니다.');
+        }
+
+        sendFeed(req, res, feed);
+    } catch (error) {
+        console.error('사용자 피드 오류:', error);
+        res.status(500).type('text/plain').send('피드를 생성하는 중 오류가 발생했습니다.');
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const ForumService = require('../services/ForumService');
+const ReportService = require('../services/ReportService');
+const ModerationService = require('../services/ModerationService');
 const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const { verifyCsrfToken } = require('../middleware/csrf');
+const { parseSearchFilters, hasContentFilters } = require('../utils/searchQuery');
 const router = express.Router();
 
 // ForumService 인스턴스 생성
 const forumService = new ForumService();
+const reportService = new ReportService();
+const moderationService = new ModerationService();
+
+// 신고 사유 검증 규칙
+const reportReasonValidation = [
+    body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('신고 사유는 1-500자 사이여야 합니다')
+];
 
 // 기존 category 라우트를 subforum으로 리다이렉트 (하위 호환성)
 router.get('/category/:id', (req, res) => {
@@ -45,7 +60,8 @@ router.get('/subforum/:id', async (req, res) => {
             pagination: postsData.pagination,
             sortInfo: postsData.sort_info,
             sortBy: sortBy,
-            currentPage: page
+            currentPage: page,
+            feed: { title: subforum.name, path: `/feeds/subforum/${subforum.id}` }
         });
     } catch (error) {
         console.error('서브포럼 페이지 오류:', error);
@@ -60,7 +76,7 @@ router.get('/subforum/:id', async (req, res) => {
 });
 
 // 게시글 작성 페이지 (로그인 필요) - 구체적인 라우트를 먼저 등록
-router.get('/subforum/:subforumId/post/new', async (req, res) => {
+router.get('/subforum/:subforumId/post/new', requireVerifiedEmail, async (req, res) => {
     if (!req.user) {
         return res.redirect('/auth/login');
     }
@@ -100,7 +116,9 @@ router.get('/subforum/:subforumId/post/new', async (req, res) => {
 
 // 게시글 작성 처리
 router.post('/subforum/:subforumId/post/new',
+    requireVerifiedEmail,
     uploadMultiple,
+    verifyCsrfToken,
     [
         body('title')
             .isLength({ min: 1, max: 200 })
@@ -206,8 +224,15 @@ router.get('/subforum/:subforumId/post/:postId', async (req, res) => {
         }
 
         // 게시글 조회
-        const post = await forumService.getPost(postId, subforumId);
+        const viewerId = req.user?.id || null;
+        const post = await forumService.getPost(postId, subforumId, true, viewerId);
         if (!post) {
+            // 다른 서브포럼으로 이동된 게시글이면 새 위치로 이동
+            const redirect = await forumService.getPostRedirect(postId, subforumId);
+            if (redirect) {
+                return res.redirect(301, `/forum/subforum/${redirect.new_category_id}/post/${redirect.new_post_id}`);
+            }
+
             return res.status(404).render('pages/error', {
                 title: '게시글을 찾을 수 없습니다',
                 error: {
@@ -218,13 +243,17 @@ router.get('/subforum/:subforumId/post/:postId', async (req, res) => {
         }
 
         // 댓글 목록 조회
-        const comments = await forumService.getComments(postId, subforumId);
+        const comments = await forumService.getComments(postId, subforumId, { viewerId });
+
+        // 이 서브포럼의 모더레이터에게만 고정/잠금/이동 도구 표시
+        const moderationTools = await moderationService.getPostModerationTools(viewerId, subforumId);
 
         res.render('pages/forum/post', {
             title: post.title,
             subforum: subforum,
             post: post,
             comments: comments,
+            moderationTools: moderationTools,
             user: req.user || null
         });
     } catch (error) {
@@ -305,6 +334,7 @@ router.get('/subforum/:subforumId/post/:postId/edit', async (req, res) => {
 // 게시글 수정 처리
 router.post('/subforum/:subforumId/post/:postId/edit',
     uploadMultiple,
+    verifyCsrfToken,
     [
         body('title')
             .isLength({ min: 1, max: 200 })
@@ -432,8 +462,93 @@ router.post('/subforum/:subforumId/post/:postId/delete', async (req, res) => {
     }
 });
 
+/**
+ * 게시글/댓글 수정 기록 페이지 렌더링
+ * @param {Object} req - 요청 객체
+ * @param {Object} res - 응답 객체
+ * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+ * @param {number} targetId - 대상 ID
+ */
+async function renderRevisionHistory(req, res, targetType, targetId) {
+    const subforumId = parseInt(req.params.subforumId);
+    const targetName = targetType === 'post' ? '게시글' : '댓글';
+
+    try {
+        const subforum = await forumService.getSubforumById(subforumId);
+        const history = subforum ? await forumService.getRevisionHistory(targetType, targetId, subforumId) : null;
+
+        if (!history) {
+            return res.status(404).render('pages/error', {
+                title: `${targetName}을 찾을 수 없습니다`,
+                error: {
+                    status: 404,
+                    message: `요청하신 ${targetName}을 찾을 수 없습니다.`
+                }
+            });
+        }
+
+        // 게시글은 작성자와 해당 서브포럼 모더레이터가 이전 버전으로 되돌릴 수 있음
+        const canRevert = targetType === 'post' && !!req.user && (
+            req.user.id === history.target.user_id ||
+            await moderationService.canModerate(req.user.id, subforumId)
+        );
+
+        res.render('pages/forum/history', {
+            title: `${targetName} 수정 기록`,
+            subforum: subforum,
+            target: history.target,
+            revisions: history.revisions,
+            canRevert: canRevert,
+            user: req.user || null
+        });
+    } catch (error) {
+        console.error('수정 기록 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '수정 기록을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+}
+
+// 게시글 수정 기록
+router.get('/subforum/:subforumId/post/:postId/history', async (req, res) => {
+    await renderRevisionHistory(req, res, 'post', parseInt(req.params.postId));
+});
+
+// 게시글 이전 버전으로 되돌리기 (작성자 또는 모더레이터)
+router.post('/subforum/:subforumId/post/:postId/revert', [
+    body('revisionId')
+        .isInt({ min: 1 })
+        .withMessage('되돌릴 버전을 선택해주세요')
+], async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const postId = parseInt(req.params.postId);
+        const subforumId = parseInt(req.params.subforumId);
+        const isModerator = await moderationService.canModerate(req.user.id, subforumId);
+
+        await forumService.revertPost(postId, subforumId, parseInt(req.body.revisionId), req.user.id, isModerator);
+
+        res.json({ success: true, message: '선택한 버전으로 되돌렸습니다.' });
+    } catch (error) {
+        console.error('게시글 되돌리기 오류:', error);
+        res.status(400).json({ error: error.message || '게시글을 되돌리는 중 오류가 발생했습니다.' });
+    }
+});
+
 // 댓글 작성 처리
-router.post('/subforum/:subforumId/post/:postId/comment', [
+router.post('/subforum/:subforumId/post/:postId/comment', requireVerifiedEmail, [
     body('content')
         .isLength({ min: 1 })
         .withMessage('댓글 내용을 입력해주세요')
@@ -464,6 +579,130 @@ router.post('/subforum/:subforumId/post/:postId/comment', [
     }
 });
 
+// 답글 작성 처리
+router.post('/subforum/:subforumId/post/:postId/comment/:commentId/reply', requireVerifiedEmail, [
+    body('content')
+        .isLength({ min: 1 })
+        .withMessage('답글 내용을 입력해주세요')
+], async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const postId = parseInt(req.params.postId);
+        const subforumId = parseInt(req.params.subforumId);
+        const parentId = parseInt(req.params.commentId);
+        const { content } = req.body;
+        const userId = req.user.id;
+
+        // 답글 생성
+        const commentId = await forumService.createComment(userId, postId, subforumId, content, parentId);
+        await forumService.updatePostLastCommentTime(postId, subforumId);
+
+        res.json({ success: true, message: '답글이 작성되었습니다.', commentId: commentId });
+    } catch (error) {
+        console.error('답글 작성 오류:', error);
+        res.status(500).json({ error: error.message || '답글 작성 중 오류가 발생했습니다.' });
+    }
+});
+
+// 게시글 추천 토글
+router.post('/subforum/:subforumId/post/:postId/reaction', requireVerifiedEmail, async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const postId = parseInt(req.params.postId);
+        const subforumId = parseInt(req.params.subforumId);
+
+        const result = await forumService.toggleReaction(req.user.id, subforumId, 'post', postId);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('게시글 추천 오류:', error);
+        res.status(error.status || 500).json({ error: error.message || '추천 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 댓글 추천 토글
+router.post('/subforum/:subforumId/comment/:commentId/reaction', requireVerifiedEmail, async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const commentId = parseInt(req.params.commentId);
+        const subforumId = parseInt(req.params.subforumId);
+
+        const result = await forumService.toggleReaction(req.user.id, subforumId, 'comment', commentId);
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('댓글 추천 오류:', error);
+        res.status(error.status || 500).json({ error: error.message || '추천 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 게시글 신고
+router.post('/subforum/:subforumId/post/:postId/report', requireVerifiedEmail, reportReasonValidation, async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const postId = parseInt(req.params.postId);
+        const subforumId = parseInt(req.params.subforumId);
+
+        await reportService.createReport(req.user.id, subforumId, 'post', postId, req.body.reason);
+
+        res.json({ success: true, message: '신고가 접수되었습니다.' });
+    } catch (error) {
+        console.error('게시글 신고 오류:', error);
+        res.status(400).json({ error: error.message || '신고 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 댓글 신고
+router.post('/subforum/:subforumId/comment/:commentId/report', requireVerifiedEmail, reportReasonValidation, async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: '로그인이 필요합니다.' });
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const commentId = parseInt(req.params.commentId);
+        const subforumId = parseInt(req.params.subforumId);
+
+        await reportService.createReport(req.user.id, subforumId, 'comment', commentId, req.body.reason);
+
+        res.json({ success: true, message: '신고가 접수되었습니다.' });
+    } catch (error) {
+        console.error('댓글 신고 오류:', error);
+        res.status(400).json({ error: error.message || '신고 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 댓글 수정 기록
+router.get('/subforum/:subforumId/comment/:commentId/history', async (req, res) => {
+    await renderRevisionHistory(req, res, 'comment', parseInt(req.params.commentId));
+});
+
 // 댓글 수정 처리
 router.put('/subforum/:subforumId/comment/:commentId', [
     body('content')
@@ -531,15 +770,34 @@ router.get('/subforum/:subforumId/attachment/:attachmentId', async (req, res) =>
             return res.status(404).json({ error: '첨부파일을 찾을 수 없습니다.' });
         }
 
-        // 파일 헤더 설정
+        // 파일 헤더 설정 (내용 해시를 ETag로 사용해 브라우저 캐시 재검증 시 본문 전송 생략)
         res.set({
             'Content-Type': attachment.mime_type,
             'Content-Length': attachment.file_size,
             'Content-Disposition': `inline; filename="${encodeURIComponent(attachment.original_filename)}"`
         });
+        if (attachment.content_hash) {
+            res.set('ETag', `"${attachment.content_hash}"`);
+            if (req.fresh) {
+                return res.status(304).end();
+            }
+        }
 
-        // 파일 데이터 전송
-        res.send(attachment.file_data);
+        // 파일 데이터 전송 (스트림으로 보내므로 파일 전체를 메모리에 올리지 않음)
+        const stream = await forumService.openAttachmentStream(attachment, subforumId);
+        stream.on('error', (error) => {
+            console.error('첨부파일 읽기 오류:', error);
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('ETag');
+            res.status(error.code === 'ENOENT' ? 404 : 500).json({
+                error: error.code === 'ENOENT' ? '첨부파일을 찾을 수 없습니다.' : '첨부파일 다운로드 중 오류가 발생했습니다.'
+            });
+        });
+        stream.pipe(res);
     } catch (error) {
         console.error('첨부파일 다운로드 오류:', error);
         res.status(500).json({ error: '첨부파일 다운로드 중 오류가 발생했습니다.' });
@@ -588,41 +846,52 @@ router.delete('/subforum/:subforumId/attachment/:attachmentId', async (req, res)
     }
 });
 
-// 검색 페이지
+// 검색 페이지 (?q=검색어&subforum=ID&subforum=ID&author=사용자명&from=YYYY-MM-DD&to=YYYY-MM-DD&has_attachments=1&sort=정렬)
 router.get('/search', async (req, res) => {
     try {
-        const query = req.query.q || '';
-        const subforumId = req.query.subforum ? parseInt(req.query.subforum) : null;
-        const sortBy = req.query.sort || 'relevance';
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const sortBy = ['relevance', 'created_at', 'view_count'].includes(req.query.sort) ? req.query.sort : 'relevance';
         const page = parseInt(req.query.page) || 1;
+        const { filters, error: parseError } = parseSearchFilters(req.query);
 
         // 서브포럼 목록 조회 (필터 옵션용)
         const subforums = await forumService.getSubforums();
 
+        // 없는 서브포럼을 지정하면 검색하지 않고 안내
+        const filterError = parseError || (filters.subforumIds.every(id => subforums.some(subforum => subforum.id === id))
+            ? null
+            : '올바르지 않은 서브포럼입니다.');
+
         let searchResults = null;
-        let selectedSubforum = null;
 
-        if (query.trim().length > 0) {
+        if (!filterError && (query.trim().length > 0 || hasContentFilters(filters))) {
             // 검색 실행
             searchResults = await forumService.searchPosts(query, {
-                subforumId: subforumId,
+                ...filters,
                 page: page,
                 limit: 20,
                 sortBy: sortBy
             });
-
-            // 선택된 서브포럼 정보 조회
-            if (subforumId) {
-                selectedSubforum = await forumService.getSubforumById(subforumId);
-            }
         }
 
+        // 페이지 이동 시 유지할 검색 조건
+        const searchParams = new URLSearchParams();
+        searchParams.set('q', query);
+        filters.subforumIds.forEach(id => searchParams.append('subforum', id));
+        if (filters.author) searchParams.set('author', filters.author);
+        if (filters.dateFrom) searchParams.set('from', filters.dateFrom);
+        if (filters.dateTo) searchParams.set('to', filters.dateTo);
+        if (filters.hasAttachments) searchParams.set('has_attachments', '1');
+        searchParams.set('sort', sortBy);
+
         res.render('pages/forum/search', {
             title: query ? `"${query}" 검색 결과` : '포럼 검색',
             query: query,
             subforums: subforums,
-            selectedSubforum: selectedSubforum,
+            filters: filters,
+            filterError: filterError,
             searchResults: searchResults,
+            searchQueryString: searchParams.toString(),
             sortBy: sortBy,
             currentPage: page
         });
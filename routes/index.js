@@ -1,6 +1,7 @@
 const express = require('express');
 const ForumService = require('../services/ForumService');
 const DatabaseManager = require('../services/DatabaseManager');
+const { parseSearchFilters } = require('../utils/searchQuery');
 const router = express.Router();
 
 // ForumService 인스턴스 생성
@@ -30,7 +31,7 @@ router.get('/', async (req, res) => {
                             p.user_id,
                             p.category_id
                          FROM posts p
-                         WHERE p.category_id = ?
+                         WHERE p.category_id = ? AND p.deleted_at IS NULL
                          ORDER BY p.created_at DESC
                          LIMIT 5`,
                         [category.id]
@@ -106,20 +107,49 @@ router.get('/category/:id', (req, res) => {
     res.redirect(`/forum/subforum/${req.params.id}`);
 });
 
+// 카테고리 모더레이션 페이지 (모더레이션 라우터로 리다이렉트)
+router.get('/category/:categoryId/moderate', (req, res) => {
+    res.redirect(`/moderate/category/${req.params.categoryId}`);
+});
+
 // 검색 페이지
 router.get('/search', async (req, res) => {
     try {
-        const query = req.query.q || '';
-        const subforumId = req.query.subforum || null;
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const page = parseInt(req.query.page) || 1;
+        const { filters } = parseSearchFilters({ subforum: req.query.subforum });
+        const subforumId = filters.subforumIds[0] || null;
+
+        if (subforumId && !(await forumService.getSubforumById(subforumId))) {
+            return res.status(404).render('pages/error', {
+                title: '서브포럼을 찾을 수 없습니다',
+                error: {
+                    status: 404,
+                    message: '요청하신 서브포럼을 찾을 수 없습니다.'
+                }
+            });
+        }
+
+        let searchResults = null;
+        if (query.trim().length > 0) {
+            searchResults = await forumService.searchPosts(query, {
+                subforumIds: subforumId ? [subforumId] : [],
+                page: page,
+                limit: 20
+            });
+        }
 
-        // TODO: ForumService에서 검색 결과 가져오기
-        const searchResults = []; // 임시 빈 배열
+        // 페이지 이동 시 유지할 검색 조건
+        const searchParams = new URLSearchParams();
+        searchParams.set('q', query);
+        if (subforumId) searchParams.set('subforum', subforumId);
 
         res.render('pages/search', {
-            title: '검색 결과',
+            title: '통합 검색',
             query: query,
             subforumId: subforumId,
-            results: searchResults
+            searchResults: searchResults,
+            searchQueryString: searchParams.toString()
         });
     } catch (error) {
         console.error('검색 페이지 오류:', error);
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ReportService = require('../services/ReportService');
+const ModerationService = require('../services/ModerationService');
+const { requireCategoryModerator } = require('../middleware/auth');
+const router = express.Router();
+
+// 서비스 인스턴스 생성
+const reportService = new ReportService();
+const moderationService = new ModerationService();
+
+// 차단 기간 (일 단위, null은 영구 차단)
+const BAN_DURATIONS = {
+    '1day': 1,
+    '7days': 7,
+    '30days': 30,
+    '90days': 90,
+    'permanent': null
+};
+
+// 모더레이터 대시보드 (담당 서브포럼 통계 및 최근 게시글/댓글)
+router.get('/', async (req, res) => {
+    try {
+        const dashboard = await moderationService.getDashboard(req.user.id);
+
+        res.render('pages/moderate/dashboard', {
+            title: '모더레이션',
+            categories: dashboard.categories,
+            recentPosts: dashboard.recentPosts,
+            recentComments: dashboard.recentComments
+        });
+    } catch (error) {
+        console.error('모더레이터 대시보드 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '대시보드를 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 서브포럼 관리 페이지 (게시글/댓글/휴지통 목록 및 일괄 처리)
+router.get('/category/:categoryId', requireCategoryModerator, async (req, res) => {
+    try {
+        const categoryId = parseInt(req.params.categoryId);
+        const tab = ['comments', 'trash'].includes(req.query.tab) ? req.query.tab : 'posts';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const overview = await moderationService.getCategoryOverview(req.user.id, categoryId, { tab, page });
+        if (!overview) {
+            return res.status(404).render('pages/error', {
+                title: '서브포럼을 찾을 수 없습니다',
+                error: {
+                    status: 404,
+                    message: '요청하신 서브포럼을 찾을 수 없습니다.'
+                }
+            });
+        }
+
+        res.render('pages/moderate/category', {
+            title: `${overview.subforum.name} 관리`,
+            ...overview
+        });
+    } catch (error) {
+        console.error('서브포럼 관리 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '서브포럼 관리 페이지를 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 게시글 일괄 처리 (삭제, 잠금, 잠금 해제, 고정, 고정 해제, 이동)
+router.post('/category/:categoryId/posts/bulk', requireCategoryModerator, [
+    body('action')
+        .isIn(ModerationService.POST_BULK_ACTIONS)
+        .withMessage('올바르지 않은 처리 방법입니다'),
+    body('postIds')
+        .isArray({ min: 1 })
+        .withMessage('처리할 게시글을 선택해주세요'),
+    body('targetCategoryId')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 })
+        .withMessage('올바르지 않은 서브포럼입니다'),
+    body('reason')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('삭제 사유는 500자를 초과할 수 없습니다')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const categoryId = parseInt(req.params.categoryId);
+        const { action, postIds, targetCategoryId, reason } = req.body;
+
+        const result = await moderationService.bulkPostAction(
+            req.user.id,
+            categoryId,
+            action,
+            postIds,
+            { targetCategoryId, reason }
+        );
+
+        res.json({
+            success: true,
+            message: `${result.succeeded.length}개의 게시글을 처리했습니다.`,
+            ...result
+        });
+    } catch (error) {
+        console.error('게시글 일괄 처리 오류:', error);
+        res.status(400).json({ error: error.message || '게시글 일괄 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 댓글 일괄 삭제
+router.post('/category/:categoryId/comments/bulk', requireCategoryModerator, [
+    body('commentIds')
+        .isArray({ min: 1 })
+        .withMessage('삭제할 댓글을 선택해주세요'),
+    body('reason')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('삭제 사유는 500자를 초과할 수 없습니다')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const categoryId = parseInt(req.params.categoryId);
+        const result = await moderationService.bulkDeleteComments(
+            req.user.id,
+            categoryId,
+            req.body.commentIds,
+            { reason: req.body.reason }
+        );
+
+        res.json({
+            success: true,
+            message: `${result.succeeded.length}개의 댓글을 삭제했습니다.`,
+            ...result
+        });
+    } catch (error) {
+        console.error('댓글 일괄 삭제 오류:', error);
+        res.status(400).json({ error: error.message || '댓글 일괄 삭제 중 오류가 발생했습니다.' });
+    }
+});
+
+// 휴지통 항목 복원/영구 삭제
+router.post('/category/:categoryId/trash/:targetType/:targetId', requireCategoryModerator, [
+    body('action')
+        .isIn(ModerationService.TRASH_ACTIONS)
+        .withMessage('올바르지 않은 처리 방법입니다')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const categoryId = parseInt(req.params.categoryId);
+        const targetId = parseInt(req.params.targetId);
+        const { action } = req.body;
+
+        await moderationService.handleTrashItem(req.user.id, categoryId, action, req.params.targetType, targetId);
+
+        res.json({
+            success: true,
+            message: action === 'restore' ? '복원되었습니다.' : '영구 삭제되었습니다.'
+        });
+    } catch (error) {
+        console.error('휴지통 처리 오류:', error);
+        res.status(400).json({ error: error.message || '휴지통 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+// 신고 처리 대기열
+router.get('/reports', async (req, res) => {
+    try {
+        const categoryId = parseInt(req.query.category) || null;
+        const queue = await reportService.getReportQueue(req.user.id, { categoryId });
+
+        res.render('pages/moderate/reports', {
+            title: '신고 처리',
+            categories: queue.categories,
+            items: queue.items,
+            selectedCategoryId: categoryId
+        });
+    } catch (error) {
+        console.error('신고 목록 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '신고 목록을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 신고 처리 (기각, 콘텐츠 삭제, 작성자 차단)
+router.post('/reports/:subforumId/:targetType/:targetId', [
+    body('action')
+        .isIn(ReportService.ACTIONS)
+        .withMessage('올바르지 않은 처리 방법입니다'),
+    body('banReason')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('차단 사유는 500자를 초과할 수 없습니다'),
+    body('duration')
+        .optional({ values: 'falsy' })
+        .isIn(Object.keys(BAN_DURATIONS))
+        .withMessage('올바르지 않은 차단 기간입니다')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        const subforumId = parseInt(req.params.subforumId);
+        const targetId = parseInt(req.params.targetId);
+        const { action, banReason, duration = '7days' } = req.body;
+
+        const banDays = BAN_DURATIONS[duration];
+        const banExpiresAt = banDays ? new Date(Date.now() + banDays * 24 * 60 * 60 * 1000) : null;
+
+        const result = await reportService.handleReport(
+            req.user.id,
+            subforumId,
+            req.params.targetType,
+            targetId,
+            action,
+            { banReason, banExpiresAt }
+        );
+
+        res.json({
+            success: true,
+            message: '신고가 처리되었습니다.',
+            ...result
+        });
+    } catch (error) {
+        console.error('신고 처리 오류:', error);
+        res.status(400).json({ error: error.message || '신고 처리 중 오류가 발생했습니다.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const NotificationService = require('../services/NotificationService');
+const { isJsonRequest } = require('../middleware/auth');
+const router = express.Router();
+
+// NotificationService 인스턴스 생성
+const notificationService = new NotificationService();
+
+// 알림 목록 페이지
+router.get('/', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const unreadOnly = req.query.filter === 'unread';
+
+        const result = await notificationService.getNotifications(req.user.id, {
+            page: page,
+            limit: 20,
+            unreadOnly: unreadOnly
+        });
+
+        res.render('pages/notifications/index', {
+            title: '알림',
+            notifications: result.notifications,
+            pagination: result.pagination,
+            filter: unreadOnly ? 'unread' : 'all'
+        });
+    } catch (error) {
+        console.error('알림 목록 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '알림을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 읽지 않은 알림 수 (내비게이션 배지 갱신용)
+router.get('/unread-count', async (req, res) => {
+    const count = await notificationService.getUnreadCount(req.user.id);
+    res.json({ count: count });
+});
+
+// 모든 알림 읽음 처리
+router.post('/read-all', async (req, res) => {
+    try {
+        const updated = await notificationService.markAllAsRead(req.user.id);
+
+        if (isJsonRequest(req)) {
+            return res.json({ success: true, updated: updated, count: 0 });
+        }
+        res.redirect('/notifications');
+    } catch (error) {
+        console.error('전체 알림 읽음 처리 오류:', error);
+        if (isJsonRequest(req)) {
+            return res.status(500).json({ error: '알림을 읽음 처리하는 중 오류가 발생했습니다.' });
+        }
+        res.redirect('/notifications');
+    }
+});
+
+// 알림 열기 (읽음 처리 후 대상 페이지로 이동)
+router.get('/:id/open', async (req, res) => {
+    try {
+        const notificationId = parseInt(req.params.id);
+        const notification = await notificationService.getNotification(req.user.id, notificationId);
+
+        if (!notification) {
+            return res.status(404).render('pages/error', {
+                title: '알림을 찾을 수 없습니다',
+                error: {
+                    status: 404,
+                    message: '요청하신 알림을 찾을 수 없습니다.'
+                }
+            });
+        }
+
+        await notificationService.markAsRead(req.user.id, notificationId);
+
+        // 내부 경로로만 이동 (오픈 리다이렉트 방지)
+        const link = notification.link;
+        if (link && link.startsWith('/') && !link.startsWith('//')) {
+            return res.redirect(link);
+        }
+        res.redirect('/notifications');
+    } catch (error) {
+        console.error('알림 열기 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '알림을 처리하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 알림 읽음 처리
+router.post('/:id/read', async (req, res) => {
+    try {
+        const notificationId = parseInt(req.params.id);
+        await notificationService.markAsRead(req.user.id, notificationId);
+
+        if (isJsonRequest(req)) {
+            const count = await notificationService.getUnreadCount(req.user.id);
+            return res.json({ success: true, count: count });
+        }
+        res.redirect('/notifications');
+    } catch (error) {
+        console.error('알림 읽음 처리 오류:', error);
+        if (isJsonRequest(req)) {
+            return res.status(404).json({ error: error.message || '알림을 읽음 처리하는 중 오류가 발생했습니다.' });
+        }
+        res.redirect('/notifications');
+    }
+});
+
+module.exports = router;
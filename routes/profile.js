@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ProfileService = require('../services/ProfileService');
+const SessionService = require('../services/SessionService');
+const ApiTokenService = require('../services/ApiTokenService');
+const config = require('../config/default');
+const router = express.Router();
+
+// 서비스 인스턴스 생성
+const profileService = new ProfileService();
+const sessionService = new SessionService();
+const apiTokenService = new ApiTokenService();
+
+// 로그인 세션 관리 페이지 렌더링
+async function renderSessionsPage(req, res, { status = 200, error = null, success = null } = {}) {
+    const sessions = await sessionService.getUserSessions(req.user.id, req.sessionID);
+
+    res.status(status).render('pages/profile/sessions', {
+        title: '로그인 세션 관리',
+        sessions: sessions,
+        error: error,
+        success: success
+    });
+}
+
+// API 토큰 관리 페이지 렌더링 (createdToken은 생성 직후 한 번만 표시)
+async function renderTokensPage(req, res, { status = 200, error = null, success = null, createdToken = null } = {}) {
+    const tokens = await apiTokenService.getUserTokens(req.user.id);
+
+    res.status(status).render('pages/profile/tokens', {
+        title: 'API 토큰 관리',
+        tokens: tokens,
+        scopeLabels: ApiTokenService.SCOPE_LABELS,
+        expiryOptions: config.api.tokenExpiryDays,
+        createdToken: createdToken,
+        error: error,
+        success: success
+    });
+}
+
+// 프로필 수정 페이지 (본인)
+router.get('/', async (req, res) => {
+    try {
+        const profile = await profileService.getProfileByUserId(req.user.id);
+
+        res.render('pages/profile/edit', {
+            title: '프로필 수정',
+            profile: profile,
+            error: null,
+            success: null
+        });
+    } catch (error) {
+        console.error('프로필 수정 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '프로필을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 프로필 수정 처리
+router.post('/', [
+    body('displayName')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('표시 이름은 100자를 초과할 수 없습니다'),
+    body('bio')
+        .optional({ values: 'falsy' })
+        .isLength({ max: 500 })
+        .withMessage('자기소개는 500자를 초과할 수 없습니다'),
+    body('avatarUrl')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('아바타 URL은 255자를 초과할 수 없습니다'),
+    body('location')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('지역은 100자를 초과할 수 없습니다'),
+    body('website')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('웹사이트 주소는 255자를 초과할 수 없습니다')
+], async (req, res) => {
+    const { displayName, bio, avatarUrl, location, website } = req.body;
+
+    // 오류 시 입력값을 유지하기 위한 프로필 객체
+    const submittedProfile = {
+        username: req.user.username,
+        display_name: displayName,
+        bio: bio,
+        avatar_url: avatarUrl,
+        location: location,
+        website: website
+    };
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).render('pages/profile/edit', {
+                title: '프로필 수정',
+                profile: submittedProfile,
+                error: errors.array()[0].msg,
+                success: null
+            });
+        }
+
+        const profile = await profileService.updateProfile(req.user.id, {
+            displayName,
+            bio,
+            avatarUrl,
+            location,
+            website
+        });
+
+        res.render('pages/profile/edit', {
+            title: '프로필 수정',
+            profile: profile,
+            error: null,
+            success: '프로필이 저장되었습니다.'
+        });
+    } catch (error) {
+        console.error('프로필 수정 오류:', error);
+        res.status(400).render('pages/profile/edit', {
+            title: '프로필 수정',
+            profile: submittedProfile,
+            error: error.message || '프로필 저장 중 오류가 발생했습니다.',
+            success: null
+        });
+    }
+});
+
+// 로그인 세션 목록
+router.get('/sessions', async (req, res) => {
+    try {
+        await renderSessionsPage(req, res);
+    } catch (error) {
+        console.error('세션 목록 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '세션 목록을 불러오는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 현재 세션을 제외한 모든 세션 종료
+router.post('/sessions/revoke-others', async (req, res) => {
+    try {
+        const count = await sessionService.revokeOtherSessions(req.user.id, req.sessionID);
+
+        await renderSessionsPage(req, res, {
+            success: count > 0 ? `다른 세션 ${count}개를 종료했습니다.` : '종료할 다른 세션이 없습니다.'
+        });
+    } catch (error) {
+        console.error('다른 세션 종료 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '세션을 종료하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 세션 하나 종료
+router.post('/sessions/:sessionId/revoke', async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId);
+        if (!sessionId) {
+            return await renderSessionsPage(req, res, { status: 400, error: '잘못된 세션 ID입니다.' });
+        }
+
+        try {
+            await sessionService.revokeSession(req.user.id, sessionId, req.sessionID);
+        } catch (error) {
+            return await renderSessionsPage(req, res, { status: 404, error: error.message });
+        }
+
+        await renderSessionsPage(req, res, { success: '세션을 종료했습니다.' });
+    } catch (error) {
+        console.error('세션 종료 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '세션을 종료하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// API 토큰 목록
+router.get('/tokens', async (req, res) => {
+    try {
+        await renderTokensPage(req, res);
+    } catch (error) {
+        console.error('API 토큰 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: 'API 토큰 목록을 불러오는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// API 토큰 생성
+router.post('/tokens', [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('토큰 이름은 1-100자 사이여야 합니다'),
+    body('scope')
+        .isIn(Object.values(ApiTokenService.SCOPES))
+        .withMessage('토큰 권한을 선택해주세요')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return await renderTokensPage(req, res, { status: 400, error: errors.array()[0].msg });
+        }
+
+        const expiresInDays = req.body.expiresInDays === 'never' ? null : parseInt(req.body.expiresInDays);
+
+        let createdToken;
+        try {
+            createdToken = await apiTokenService.createToken(req.user.id, {
+                name: req.body.name,
+                scopes: [req.body.scope],
+                expiresInDays: expiresInDays
+            });
+        } catch (error) {
+            return await renderTokensPage(req, res, { status: 400, error: error.message });
+        }
+
+        await renderTokensPage(req, res, {
+            success: '토큰이 생성되었습니다. 이 페이지를 벗어나면 토큰을 다시 확인할 수 없으니 지금 복사해두세요.',
+            createdToken: createdToken
+        });
+    } catch (error) {
+        console.error('API 토큰 생성 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: 'API 토큰을 생성하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// API 토큰 폐기
+router.post('/tokens/:tokenId/revoke', async (req, res) => {
+    try {
+        try {
+            await apiTokenService.revokeToken(req.user.id, parseInt(req.params.tokenId));
+        } catch (error) {
+            return await renderTokensPage(req, res, { status: 404, error: error.message });
+        }
+
+        await renderTokensPage(req, res, { success: '토큰을 폐기했습니다. 이 토큰을 사용하던 프로그램은 더 이상 API에 접근할 수 없습니다.' });
+    } catch (error) {
+        console.error('API 토큰 폐기 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: 'API 토큰을 폐기하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+// 사용자 프로필 페이지 (게시글/댓글 기록)
+router.get('/:username', async (req, res) => {
+    try {
+        const profile = await profileService.getProfileByUsername(req.params.username);
+        if (!profile) {
+            return res.status(404).render('pages/error', {
+                title: '사용자를 찾을 수 없습니다',
+                error: {
+                    status: 404,
+                    message: '요청하신 사용자를 찾을 수 없습니다.'
+                }
+            });
+        }
+
+        const tab = req.query.tab === 'comments' ? 'comments' : 'posts';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const history = await profileService.getUserHistory(profile.id, {
+            tab: tab,
+            page: page,
+            limit: 20
+        });
+
+        res.render('pages/profile/show', {
+            title: `${profile.display_name} 님의 프로필`,
+            profile: profile,
+            history: history,
+            isOwnProfile: req.user && req.user.id === profile.id,
+            feed: { title: `${profile.display_name} 님의 게시글`, path: `/feeds/user/${encodeURIComponent(profile.username)}` }
+        });
+    } catch (error) {
+        console.error('프로필 페이지 오류:', error);
+        res.status(500).render('pages/error', {
+            title: '서버 오류',
+            error: {
+                status: 500,
+                message: '프로필을 로드하는 중 오류가 발생했습니다.'
+            }
+        });
+    }
+});
+
+module.exports = router;
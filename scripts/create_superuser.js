@@ -14,8 +14,8 @@ async function createSuperUser() {
         // 수퍼유저 생성
         const result = await dbManager.runQuery(
             configDB,
-            `INSERT INTO users (username, email, password_hash, role, created_at, updated_at)
-             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+            `INSERT INTO users (username, email, password_hash, role, email_verified_at, created_at, updated_at)
+             VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
             ['superadmin', 'superadmin@example.com', passwordHash, 'super_admin']
         );
 
@@ -1,10 +1,15 @@
 const DatabaseManagerSingleton = require('./DatabaseManager');
 const AuthService = require('./AuthService');
+const NotificationService = require('./NotificationService');
+const SessionService = require('./SessionService');
+const config = require('../config/default');
 
 class AdminService {
     constructor() {
         this.dbManager = DatabaseManagerSingleton.getInstance();
         this.authService = new AuthService();
+        this.notificationService = new NotificationService();
+        this.sessionService = new SessionService();
     }
 
     /**
@@ -219,7 +224,7 @@ class AdminService {
                 const forumDB = await this.dbManager.getForumDB(categoryId);
                 const postCount = await this.dbManager.getQuery(
                     forumDB,
-                    'SELECT COUNT(*) as count FROM posts WHERE category_id = ?',
+                    'SELECT COUNT(*) as count FROM posts WHERE category_id = ? AND deleted_at IS NULL',
                     [categoryId]
                 );
 
@@ -285,7 +290,7 @@ class AdminService {
 
                         const postCount = await this.dbManager.getQuery(
                             forumDB,
-                            'SELECT COUNT(*) as count FROM posts WHERE category_id = ?',
+                            'SELECT COUNT(*) as count FROM posts WHERE category_id = ? AND deleted_at IS NULL',
                             [category.id]
                         );
 
@@ -293,7 +298,7 @@ class AdminService {
                             forumDB,
                             `SELECT COUNT(*) as count FROM comments c
                              JOIN posts p ON c.post_id = p.id
-                             WHERE p.category_id = ?`,
+                             WHERE p.category_id = ? AND p.deleted_at IS NULL AND c.deleted_at IS NULL`,
                             [category.id]
                         );
 
@@ -412,7 +417,7 @@ class AdminService {
 
                     const postCount = await this.dbManager.getQuery(
                         forumDB,
-                        'SELECT COUNT(*) as count FROM posts WHERE category_id = ?',
+                        'SELECT COUNT(*) as count FROM posts WHERE category_id = ? AND deleted_at IS NULL',
                         [category.id]
                     );
 
@@ -420,7 +425,7 @@ class AdminService {
                         forumDB,
                         `SELECT COUNT(*) as count FROM comments c
                          JOIN posts p ON c.post_id = p.id
-                         WHERE p.category_id = ?`,
+                         WHERE p.category_id = ? AND p.deleted_at IS NULL AND c.deleted_at IS NULL`,
                         [category.id]
                     );
 
@@ -765,9 +770,13 @@ class AdminService {
      * @param {number} userId - 차단할 사용자 ID
      * @param {string} reason - 차단 사유
      * @param {Date|null} expiresAt - 차단 만료일 (null이면 영구 차단)
+     * @param {Object} options - 차단 옵션
+     * @param {boolean} options.forceLogout - 사용자의 모든 세션 강제 종료 여부
      * @returns {Promise<Object>} 차단 정보
      */
-    async banUser(adminUserId, userId, reason, expiresAt = null) {
+    async banUser(adminUserId, userId, reason, expiresAt = null, options = {}) {
+        const { forceLogout = true } = options;
+
         // 관리자 권한 확인
         const hasPermission = await this.authService.checkPermission(adminUserId, 'admin_site');
         if (!hasPermission) {
@@ -837,7 +846,7 @@ class AdminService {
                  JOIN users u ON ub.user_id = u.id
                  JOIN users a ON ub.banned_by = a.id
                  WHERE ub.id = ?`,
-                [result.lastID]
+                [result.id]
             );
 
             // 활동 로그 기록
@@ -851,6 +860,20 @@ class AdminService {
                 `사용자 차단: ${user.username} (사유: ${reason.trim()}, ${expiryText})`
             );
 
+            // 로그인 중인 세션 강제 종료
+            if (forceLogout) {
+                const revokedCount = await this.sessionService.revokeAllSessions(userId);
+                ban.sessions_revoked = revokedCount;
+            }
+
+            await this.notificationService.notify({
+                userId: userId,
+                actorId: adminUserId,
+                type: NotificationService.TYPES.BAN,
+                message: `계정이 차단되었습니다. (사유: ${reason.trim()}, ${expiryText})`,
+                link: null
+            });
+
             console.log(`사용자 차단 완료: ${user.username} (관리자: ${adminUserId})`);
             return ban;
 
@@ -925,6 +948,68 @@ class AdminService {
         }
     }
 
+    /**
+     * 이메일 수동 인증 처리 (인증 메일을 받지 못한 사용자 대응)
+     * @param {number} adminUserId - 관리자 사용자 ID
+     * @param {number} userId - 인증 처리할 사용자 ID
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async verifyUserEmail(adminUserId, userId) {
+        // 관리자 권한 확인
+        const hasPermission = await this.authService.checkPermission(adminUserId, 'admin_site');
+        if (!hasPermission) {
+            throw new Error('이메일 인증 처리 권한이 없습니다.');
+        }
+
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const user = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (!user) {
+                throw new Error('사용자를 찾을 수 없습니다.');
+            }
+
+            if (user.email_verified_at) {
+                throw new Error('이미 이메일 인증이 완료된 사용자입니다.');
+            }
+
+            // 인증 처리 후 남아 있는 인증 링크는 무효화
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: 'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    params: [userId]
+                },
+                {
+                    sql: 'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                    params: [userId]
+                }
+            ]);
+
+            // 활동 로그 기록
+            await this.authService.logUserActivity(
+                adminUserId,
+                'user_email_verified',
+                `이메일 수동 인증: ${user.username} (${user.email})`
+            );
+
+            console.log(`이메일 수동 인증 완료: ${user.username} (관리자: ${adminUserId})`);
+            return true;
+
+        } catch (error) {
+            console.error('이메일 수동 인증 실패:', error);
+            throw error;
+        }
+    }
+
     /**
      * 사용자 차단 정보 조회
      * @param {number} adminUserId - 관리자 사용자 ID
@@ -999,6 +1084,130 @@ class AdminService {
         }
     }
 
+    /**
+     * 현재 로그인이 잠긴 계정 및 IP 목록 조회
+     * @param {number} adminUserId - 관리자 사용자 ID
+     * @returns {Promise<Object>} 잠긴 계정 목록(users)과 IP 목록(ips)
+     */
+    async getLoginLockouts(adminUserId) {
+        // 관리자 권한 확인
+        const hasPermission = await this.authService.checkPermission(adminUserId, 'admin_site');
+        if (!hasPermission) {
+            throw new Error('로그인 잠금 조회 권한이 없습니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+            const { maxLoginAttempts, maxLoginAttemptsPerIp, lockoutTime } = config.security;
+            const windowModifier = `-${Math.ceil(lockoutTime / 1000)} seconds`;
+
+            // 잠금 시간 안에 최대 실패 횟수 이상 실패한 대상만 추린 뒤 정확한 잠금 상태 확인
+            const userCandidates = await this.dbManager.allQuery(
+                configDB,
+                `SELECT l.user_id, u.username, u.email, MAX(l.created_at) as last_failed_at
+                 FROM user_activity_logs l
+                 JOIN users u ON l.user_id = u.id
+                 WHERE l.action = 'login_failed' AND l.created_at > datetime('now', ?)
+                 GROUP BY l.user_id
+                 HAVING COUNT(*) >= ?`,
+                [windowModifier, maxLoginAttempts]
+            );
+
+            const ipCandidates = await this.dbManager.allQuery(
+                configDB,
+                `SELECT ip_address, COUNT(DISTINCT user_id) as user_count, MAX(created_at) as last_failed_at
+                 FROM user_activity_logs
+                 WHERE action = 'login_failed' AND ip_address IS NOT NULL AND created_at > datetime('now', ?)
+                 GROUP BY ip_address
+                 HAVING COUNT(*) >= ?`,
+                [windowModifier, maxLoginAttemptsPerIp]
+            );
+
+            const withStatus = async (candidates, scope, keyOf) => {
+                const results = await Promise.all(candidates.map(async (candidate) => {
+                    const status = await this.authService.getLoginFailureStatus(scope, keyOf(candidate));
+                    return {
+                        ...candidate,
+                        failed_attempts: status.failedAttempts,
+                        locked_until: new Date(Date.now() + status.lockedMs),
+                        is_locked: status.lockedMs > 0
+                    };
+                }));
+                return results.filter(result => result.is_locked);
+            };
+
+            return {
+                users: await withStatus(userCandidates, 'user', candidate => candidate.user_id),
+                ips: await withStatus(ipCandidates, 'ip', candidate => candidate.ip_address)
+            };
+
+        } catch (error) {
+            console.error('로그인 잠금 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 로그인 잠금 해제
+     * 실패 기록은 남겨두고 해제 기록을 추가하여 이후의 실패만 다시 집계되도록 함
+     * @param {number} adminUserId - 관리자 사용자 ID
+     * @param {string} scope - 'user' 또는 'ip'
+     * @param {number|string} key - 사용자 ID 또는 IP 주소
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async clearLoginLockout(adminUserId, scope, key) {
+        // 관리자 권한 확인
+        const hasPermission = await this.authService.checkPermission(adminUserId, 'admin_site');
+        if (!hasPermission) {
+            throw new Error('로그인 잠금 해제 권한이 없습니다.');
+        }
+
+        if (!key) {
+            throw new Error('잠금 해제 대상이 필요합니다.');
+        }
+
+        try {
+            if (scope === 'user') {
+                const user = await this.dbManager.getQuery(
+                    this.dbManager.getConfigDB(),
+                    'SELECT id, username FROM users WHERE id = ?',
+                    [key]
+                );
+
+                if (!user) {
+                    throw new Error('사용자를 찾을 수 없습니다.');
+                }
+
+                // 계정 기준 해제 기록은 대상 사용자에게 남김
+                await this.authService.logUserActivity(
+                    user.id,
+                    'login_lockout_cleared',
+                    `관리자 로그인 잠금 해제 (관리자 ID: ${adminUserId})`
+                );
+
+                console.log(`로그인 잠금 해제 완료: ${user.username} (관리자: ${adminUserId})`);
+            } else if (scope === 'ip') {
+                // IP 기준 해제 기록은 관리자에게 남기고 ip_address에 대상 IP를 기록
+                await this.authService.logUserActivity(
+                    adminUserId,
+                    'login_ip_lockout_cleared',
+                    `IP 로그인 잠금 해제: ${key}`,
+                    key
+                );
+
+                console.log(`IP 로그인 잠금 해제 완료: ${key} (관리자: ${adminUserId})`);
+            } else {
+                throw new Error('올바르지 않은 잠금 유형입니다.');
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error('로그인 잠금 해제 실패:', error);
+            throw error;
+        }
+    }
+
     /**
      * 사용자 목록 조회 (관리자용)
      * @param {number} adminUserId - 관리자 사용자 ID
@@ -1053,7 +1262,7 @@ class AdminService {
             // 사용자 목록 조회 (차단 정보 포함)
             const users = await this.dbManager.allQuery(
                 configDB,
-                `SELECT u.id, u.username, u.email, u.role, u.created_at, u.updated_at,
+                `SELECT u.id, u.username, u.email, u.role, u.email_verified_at, u.created_at, u.updated_at,
                         ub.id as ban_id, ub.reason as ban_reason, ub.banned_at, ub.expires_at,
                         ub.is_active as is_banned
                  FROM users u
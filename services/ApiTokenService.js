@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+const config = require('../config/default');
+
+// API 토큰 권한 범위 (post 권한에는 읽기 권한이 포함됨)
+const TOKEN_SCOPES = {
+    READ: 'read', // 읽기 전용 (내 정보 조회 등)
+    POST: 'post'  // 게시글/댓글 작성
+};
+
+// 권한 범위 표시 이름
+const SCOPE_LABELS = {
+    [TOKEN_SCOPES.READ]: '읽기 전용',
+    [TOKEN_SCOPES.POST]: '게시글/댓글 작성'
+};
+
+/**
+ * REST API 개인 액세스 토큰 서비스
+ * 토큰 원본은 생성 시 한 번만 보여주고 DB에는 SHA-256 해시만 저장
+ */
+class ApiTokenService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+    }
+
+    /**
+     * 권한 범위 정규화 (알 수 없는 값 제거, post 권한은 read 포함)
+     * @param {Array|string} scopes - 요청한 권한 범위
+     * @returns {Array<string>} 정규화된 권한 범위
+     */
+    normalizeScopes(scopes) {
+        const requested = (Array.isArray(scopes) ? scopes : [scopes])
+            .filter(scope => Object.values(TOKEN_SCOPES).includes(scope));
+
+        if (requested.includes(TOKEN_SCOPES.POST)) {
+            requested.push(TOKEN_SCOPES.READ);
+        }
+
+        return Object.values(TOKEN_SCOPES).filter(scope => requested.includes(scope));
+    }
+
+    /**
+     * 토큰 행을 응답용 객체로 변환 (해시 제외, 권한 범위는 배열로)
+     * @param {Object} row - api_tokens 행
+     * @returns {Object} 토큰 정보
+     */
+    formatToken(row) {
+        const { token_hash, ...token } = row;
+        return {
+            ...token,
+            scopes: token.scopes.split(',')
+        };
+    }
+
+    /**
+     * 개인 액세스 토큰 생성
+     * @param {number} userId - 사용자 ID
+     * @param {Object} tokenData - 토큰 정보
+     * @param {string} tokenData.name - 토큰 이름 (용도 구분용)
+     * @param {Array<string>} tokenData.scopes - 권한 범위
+     * @param {number|null} tokenData.expiresInDays - 유효 기간 (null이면 만료 없음)
+     * @returns {Promise<Object>} 생성된 토큰 정보 (token에 원본 토큰 포함, 다시 조회할 수 없음)
+     */
+    async createToken(userId, { name, scopes, expiresInDays = null }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName || trimmedName.length > 100) {
+            throw new Error('토큰 이름은 1-100자 사이여야 합니다.');
+        }
+
+        const normalizedScopes = this.normalizeScopes(scopes);
+        if (normalizedScopes.length === 0) {
+            throw new Error('토큰 권한을 하나 이상 선택해주세요.');
+        }
+
+        if (expiresInDays !== null && !config.api.tokenExpiryDays.includes(expiresInDays)) {
+            throw new Error('올바르지 않은 유효 기간입니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const activeCount = await this.dbManager.getQuery(
+                configDB,
+                `SELECT COUNT(*) as count FROM api_tokens
+                 WHERE user_id = ? AND revoked_at IS NULL
+                 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+                [userId]
+            );
+
+            if (activeCount.count >= config.api.maxTokensPerUser) {
+                throw new Error(`API 토큰은 최대 ${config.api.maxTokensPerUser}개까지 만들 수 있습니다. 사용하지 않는 토큰을 폐기해주세요.`);
+            }
+
+            const token = config.api.tokenPrefix + crypto.randomBytes(32).toString('hex');
+
+            // 만료 시각은 CURRENT_TIMESTAMP와 문자열로 비교되므로 SQLite 형식(YYYY-MM-DD HH:MM:SS)으로 저장
+            // (유효 기간이 없으면 datetime()에 NULL이 전달되어 만료 시각도 NULL)
+            const expiresModifier = expiresInDays ? `+${expiresInDays} days` : null;
+
+            const result = await this.dbManager.runQuery(
+                configDB,
+                `INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+                 VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+                [userId, trimmedName, this.authService.hashToken(token), token.slice(-4), normalizedScopes.join(','), expiresModifier]
+            );
+
+            await this.authService.logUserActivity(
+                userId,
+                'api_token_created',
+                `API 토큰 생성: ${trimmedName} (권한: ${normalizedScopes.join(', ')})`
+            );
+
+            const row = await this.dbManager.getQuery(configDB, 'SELECT * FROM api_tokens WHERE id = ?', [result.id]);
+            return {
+                ...this.formatToken(row),
+                token: token
+            };
+        } catch (error) {
+            console.error('API 토큰 생성 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자의 API 토큰 목록 조회 (폐기된 토큰 제외)
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<Array>} 토큰 목록 (is_expired 포함)
+     */
+    async getUserTokens(userId) {
+        try {
+            const tokens = await this.dbManager.allQuery(
+                this.dbManager.getConfigDB(),
+                `SELECT *, (expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) as is_expired
+                 FROM api_tokens
+                 WHERE user_id = ? AND revoked_at IS NULL
+                 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+
+            return tokens.map(token => ({
+                ...this.formatToken(token),
+                is_expired: !!token.is_expired
+            }));
+        } catch (error) {
+            console.error('API 토큰 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자 본인의 API 토큰 폐기
+     * @param {number} userId - 사용자 ID
+     * @param {number} tokenId - api_tokens.id
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async revokeToken(userId, tokenId) {
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const token = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, name FROM api_tokens WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [tokenId, userId]
+            );
+
+            if (!token) {
+                throw new Error('폐기할 토큰을 찾을 수 없습니다.');
+            }
+
+            await this.dbManager.runQuery(
+                configDB,
+                'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [token.id]
+            );
+
+            await this.authService.logUserActivity(userId, 'api_token_revoked', `API 토큰 폐기: ${token.name}`);
+            return true;
+
+        } catch (error) {
+            console.error('API 토큰 폐기 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Bearer 토큰 인증 (유효한 토큰이면 사용 기록을 남기고 사용자 정보 반환)
+     * @param {string} token - 원본 토큰
+     * @param {Object} request - 요청 정보 (활동 로그용)
+     * @param {string} request.method - HTTP 메서드
+     * @param {string} request.path - 요청 경로
+     * @param {string} request.ipAddress - 클라이언트 IP 주소
+     * @returns {Promise<Object|null>} { user, token } 또는 null (유효하지 않은 토큰, 차단된 사용자)
+     */
+    async authenticate(token, { method, path, ipAddress = null } = {}) {
+        if (!token || !token.startsWith(config.api.tokenPrefix)) {
+            return null;
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const row = await this.dbManager.getQuery(
+                configDB,
+                `SELECT * FROM api_tokens
+                 WHERE token_hash = ? AND revoked_at IS NULL
+                 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+                [this.authService.hashToken(token)]
+            );
+
+            if (!row) {
+                return null;
+            }
+
+            const user = await this.authService.getUserById(row.user_id);
+            if (!user || await this.authService.isUserBanned(user.id)) {
+                return null;
+            }
+
+            await this.dbManager.runQuery(
+                configDB,
+                'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?',
+                [ipAddress, row.id]
+            );
+
+            await this.authService.logUserActivity(
+                user.id,
+                'api_token_used',
+                `API 토큰 사용: ${row.name} (${method} ${path})`,
+                ipAddress
+            );
+
+            return {
+                user: user,
+                token: this.formatToken(row)
+            };
+        } catch (error) {
+            console.error('API 토큰 인증 실패:', error);
+            return null;
+        }
+    }
+}
+
+ApiTokenService.SCOPES = TOKEN_SCOPES;
+ApiTokenService.SCOPE_LABELS = SCOPE_LABELS;
+
+module.exports = ApiTokenService;
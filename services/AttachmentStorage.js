@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const config = require('../config/default');
+
+// sha256 해시 (16진수 64자리)
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * 파일 내용의 sha256 해시 계산 (로컬 저장소의 파일 주소이자 중복 판단 기준)
+ * @param {Buffer} buffer - 파일 내용
+ * @returns {string} 16진수 해시
+ */
+function hashContent(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * DB BLOB 저장소 (기존 방식)
+ * 파일 내용을 attachments.file_data에 그대로 저장하므로 별도 파일이 필요 없지만 포럼 DB가 커짐
+ */
+class BlobAttachmentStore {
+    constructor() {
+        this.name = 'blob';
+    }
+
+    /**
+     * 파일 저장 (DB에 넣을 컬럼 값만 만들고 실제 저장은 INSERT가 담당)
+     * @param {Buffer} buffer - 파일 내용
+     * @returns {Promise<Object>} attachments 행에 저장할 값 (storage, content_hash, file_data)
+     */
+    async save(buffer) {
+        return { storage: this.name, content_hash: hashContent(buffer), file_data: buffer };
+    }
+
+    /**
+     * 첨부파일 내용 스트림
+     * @param {Object} attachment - file_data를 포함한 첨부파일 행
+     * @returns {Readable} 파일 내용 스트림
+     */
+    createReadStream(attachment) {
+        if (!attachment.file_data) {
+            throw new Error('첨부파일 데이터가 없습니다.');
+        }
+        return Readable.from([attachment.file_data]);
+    }
+}
+
+/**
+ * 로컬 디스크 저장소 (내용 주소 기반)
+ * 파일은 <저장 경로>/ab/cd/<sha256> 에 한 번만 저장되므로 같은 파일은 몇 번을 올려도 디스크에 하나만 남음
+ * 여러 첨부파일(다른 서브포럼 포함)이 같은 파일을 가리킬 수 있어 첨부파일을 삭제해도 파일은 지우지 않으며,
+ * 아무 첨부파일도 가리키지 않는 파일은 migrate_attachments.js prune 명령으로 정리
+ */
+class LocalAttachmentStore {
+    /**
+     * @param {string} rootDir - 저장 경로 (기본값: config.upload.storagePath)
+     */
+    constructor(rootDir = config.upload.storagePath) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+        this.tmpDir = path.join(this.rootDir, 'tmp');
+    }
+
+    /**
+     * 해시에 해당하는 파일 경로
+     * @param {string} hash - 파일 내용 해시
+     * @returns {string} 파일 경로
+     */
+    pathFor(hash) {
+        if (!HASH_PATTERN.test(hash || '')) {
+            throw new Error(`올바르지 않은 첨부파일 해시입니다: ${hash}`);
+        }
+        return path.join(this.rootDir, hash.slice(0, 2), hash.slice(2, 4), hash);
+    }
+
+    /**
+     * 파일 저장 (같은 내용의 파일이 이미 있으면 다시 쓰지 않고 수정 시각만 갱신)
+     * @param {Buffer} buffer - 파일 내용
+     * @returns {Promise<Object>} attachments 행에 저장할 값 (storage, content_hash, file_data)
+     */
+    async save(buffer) {
+        const hash = hashContent(buffer);
+        const filePath = this.pathFor(hash);
+
+        // 크기가 다르면 쓰다 만 파일로 보고 다시 씀
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        let exists = !!stat && stat.size === buffer.length;
+
+        if (exists) {
+            // prune은 수정 시각으로 아직 DB에 기록되지 않은 파일을 남기므로 재사용하는 파일도 방금 저장한 것으로 갱신
+            // (그 사이 prune이 파일을 지웠으면 새로 씀)
+            const now = new Date();
+            exists = await fs.promises.utimes(filePath, now, now).then(() => true, (error) => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                return false;
+            });
+        }
+
+        if (!exists) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.mkdir(this.tmpDir, { recursive: true });
+
+            // 임시 파일에 다 쓴 뒤 이름을 바꿔 읽는 쪽에서 일부만 쓰인 파일을 보지 않도록 함
+            const tmpPath = path.join(this.tmpDir, `${hash}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`);
+            try {
+                await fs.promises.writeFile(tmpPath, buffer);
+                await fs.promises.rename(tmpPath, filePath);
+            } catch (error) {
+                await fs.promises.unlink(tmpPath).catch(() => {});
+                throw error;
+            }
+        }
+
+        return { storage: this.name, content_hash: hash, file_data: null };
+    }
+
+    /**
+     * 첨부파일 내용 스트림 (파일 전체를 메모리에 올리지 않음)
+     * @param {Object} attachment - content_hash를 포함한 첨부파일 행
+     * @returns {Readable} 파일 내용 스트림 (파일이 없으면 'error' 이벤트 발생)
+     */
+    createReadStream(attachment) {
+        return fs.createReadStream(this.pathFor(attachment.content_hash));
+    }
+
+    /**
+     * 파일 내용 전체 읽기 (BLOB 저장소로 되돌릴 때 사용)
+     * @param {string} hash - 파일 내용 해시
+     * @returns {Promise<Buffer>} 파일 내용
+     */
+    async readFile(hash) {
+        return fs.promises.readFile(this.pathFor(hash));
+    }
+
+    /**
+     * 파일 삭제 (이미 없으면 무시)
+     * @param {string} hash - 파일 내용 해시
+     */
+    async remove(hash) {
+        try {
+            await fs.promises.unlink(this.pathFor(hash));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * 저장된 파일 목록 (임시 디렉터리 제외)
+     * @returns {Promise<Array<Object>>} 파일 목록 ({ hash, size, mtimeMs })
+     */
+    async listFiles() {
+        const files = [];
+        const readDir = dir => fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+        for (const first of await readDir(this.rootDir)) {
+            if (!first.isDirectory() || !/^[0-9a-f]{2}$/.test(first.name)) {
+                continue;
+            }
+            const firstDir = path.join(this.rootDir, first.name);
+
+            for (const second of await readDir(firstDir)) {
+                if (!second.isDirectory()) {
+                    continue;
+                }
+                const secondDir = path.join(firstDir, second.name);
+
+                for (const entry of await readDir(secondDir)) {
+                    if (entry.isFile() && HASH_PATTERN.test(entry.name)) {
+                        const stat = await fs.promises.stat(path.join(secondDir, entry.name));
+                        files.push({ hash: entry.name, size: stat.size, mtimeMs: stat.mtimeMs });
+                    }
+                }
+            }
+        }
+
+        return files;
+    }
+}
+
+/**
+ * 저장 방식별 저장소 생성 함수
+ * - blob: 포럼 DB의 attachments.file_data (기존 방식, 호환용)
+ * - local: 로컬 디스크의 내용 주소 기반 저장소 (기본값)
+ */
+const STORE_FACTORIES = {
+    blob: () => new BlobAttachmentStore(),
+    local: () => new LocalAttachmentStore()
+};
+
+const stores = new Map();
+
+/**
+ * 저장 방식에 맞는 첨부파일 저장소 조회
+ * 새 첨부파일은 config.upload.storage 방식으로 저장하고, 기존 첨부파일은 행에 기록된 storage 방식으로 읽음
+ * @param {string} name - 저장 방식 ('blob' 또는 'local', 기본값: config.upload.storage)
+ * @returns {BlobAttachmentStore|LocalAttachmentStore} 저장소
+ */
+function getAttachmentStore(name = config.upload.storage) {
+    if (!STORE_FACTORIES[name]) {
+        throw new Error(`지원하지 않는 첨부파일 저장 방식입니다: ${name}`);
+    }
+
+    if (!stores.has(name)) {
+        stores.set(name, STORE_FACTORIES[name]());
+    }
+    return stores.get(name);
+}
+
+module.exports = {
+    BlobAttachmentStore,
+    LocalAttachmentStore,
+    getAttachmentStore,
+    hashContent
+};
@@ -1,5 +1,26 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const DatabaseManagerSingleton = require('./DatabaseManager');
+const MailService = require('./MailService');
+const config = require('../config/default');
+
+// 로그인 실패 횟수를 초기화하는 활동 (계정 기준, IP 기준)
+const LOGIN_RESET_ACTIONS = {
+    user: ['login_success', 'login_lockout_cleared', 'password_reset'],
+    ip: ['login_ip_lockout_cleared'],
+    login: []
+};
+
+// 로그인 잠금 집계 기준별 user_activity_logs 컬럼
+// (login: 가입된 계정이 없는 사용자명으로 실패한 기록을 입력한 사용자명 기준으로 집계)
+const LOGIN_FAILURE_COLUMNS = {
+    user: 'user_id',
+    ip: 'ip_address',
+    login: 'login_name'
+};
+
+// 없는 사용자와 틀린 비밀번호에 같은 메시지를 사용해 가입된 계정을 알아낼 수 없도록 함
+const LOGIN_FAILED_MESSAGE = '사용자명 또는 비밀번호가 올바르지 않습니다.';
 
 class AuthService {
     constructor() {
@@ -72,13 +93,20 @@ class AuthService {
             // 생성된 사용자 정보 반환 (비밀번호 해시 제외)
             const newUser = await this.dbManager.getQuery(
                 configDB,
-                'SELECT id, username, email, role, created_at FROM users WHERE id = ?',
+                'SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?',
                 [result.id]
             );
 
             // 사용자 활동 로그 기록
             await this.logUserActivity(result.id, 'register', '사용자 계정 생성');
 
+            // 인증 메일 발송 실패는 가입을 막지 않음 (로그인 후 다시 요청 가능)
+            try {
+                await this.sendVerificationEmail(result.id);
+            } catch (mailError) {
+                console.error('가입 인증 메일 발송 실패:', mailError);
+            }
+
             console.log(`새 사용자 등록 완료: ${username} (ID: ${result.id})`);
             return newUser;
 
@@ -93,7 +121,7 @@ class AuthService {
      * @param {string} username - 사용자명 또는 이메일
      * @param {string} password - 비밀번호
      * @param {string} ipAddress - 클라이언트 IP 주소
-     * @returns {Promise<Object>} 로그인된 사용자 정보
+     * @returns {Promise<Object>} 로그인된 사용자 정보 (2단계 인증 대상이면 twoFactorRequired: true)
      */
     async login(username, password, ipAddress = null) {
         if (!username || !password) {
@@ -103,31 +131,62 @@ class AuthService {
         try {
             const configDB = this.dbManager.getConfigDB();
 
+            // IP 잠금은 사용자 조회 전에 확인 (없는 사용자명을 바꿔 가며 시도하는 경우도 차단)
+            const ipStatus = ipAddress ? await this.getLoginFailureStatus('ip', ipAddress) : null;
+            if (ipStatus?.lockedMs > 0) {
+                throw this.createLoginThrottleError(
+                    `이 IP에서 로그인 실패가 너무 많습니다. ${Math.ceil(ipStatus.lockedMs / 60000)}분 후에 다시 시도해주세요.`,
+                    ipStatus.lockedMs
+                );
+            }
+
             // 사용자 조회 (사용자명 또는 이메일로)
+            const loginName = username.trim();
             const user = await this.dbManager.getQuery(
                 configDB,
                 'SELECT * FROM users WHERE (username = ? OR email = ?) AND id NOT IN (SELECT user_id FROM user_bans WHERE is_active = 1 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP))',
-                [username.trim(), username.trim()]
+                [loginName, loginName]
             );
 
             if (!user) {
-                throw new Error('존재하지 않는 사용자이거나 차단된 사용자입니다.');
+                // 없는 사용자명도 입력한 사용자명 기준으로 실패를 집계해 가입된 계정과 같은 잠금 응답을 보냄
+                // (잠금 메시지가 가입된 계정에만 나타나면 반복 시도로 계정 존재 여부가 드러남)
+                const loginStatus = await this.getLoginFailureStatus('login', loginName);
+                this.assertLoginNotThrottled(loginStatus);
+
+                // 응답 시간으로 계정 존재 여부가 드러나지 않도록 비밀번호 검증과 같은 비용의 해시 비교 수행
+                await bcrypt.compare(password, await this.getDummyPasswordHash());
+
+                // 사용자가 없어도 IP 기준 잠금에는 포함되도록 user_id 없이 기록
+                await this.logUserActivity(null, 'login_failed', '존재하지 않거나 차단된 사용자', ipAddress, loginName);
+                throw this.createLoginFailedError(loginStatus);
             }
 
+            // 계정 잠금 및 재시도 대기 시간 확인 (잠긴 동안에는 비밀번호를 검증하지 않음)
+            const userStatus = await this.getLoginFailureStatus('user', user.id);
+            this.assertLoginNotThrottled(userStatus);
+
             // 비밀번호 검증
             const isPasswordValid = await bcrypt.compare(password, user.password_hash);
             if (!isPasswordValid) {
-                // 로그인 실패 로그 기록
+                // 로그인 실패 로그 기록 (잠금 판정의 기준)
                 await this.logUserActivity(user.id, 'login_failed', '잘못된 비밀번호', ipAddress);
-                throw new Error('잘못된 비밀번호입니다.');
+                throw this.createLoginFailedError(userStatus);
+            }
+
+            // 사용자 정보 (비밀번호 해시, 2단계 인증 비밀키 제외)
+            const { password_hash, totp_secret, totp_last_step, ...userInfo } = user;
+
+            // 2단계 인증을 사용하는 계정은 인증 코드까지 확인된 뒤에 로그인 성공으로 기록
+            // (비밀번호만으로 로그인 실패 횟수가 초기화되지 않도록 함)
+            if (user.totp_enabled_at) {
+                await this.logUserActivity(user.id, 'login_password_verified', '비밀번호 확인 (2단계 인증 대기)', ipAddress);
+                return { ...userInfo, twoFactorRequired: true };
             }
 
             // 로그인 성공 로그 기록
             await this.logUserActivity(user.id, 'login_success', '로그인 성공', ipAddress);
 
-            // 사용자 정보 반환 (비밀번호 해시 제외)
-            const { password_hash, ...userInfo } = user;
-
             console.log(`사용자 로그인 성공: ${user.username} (ID: ${user.id})`);
             return userInfo;
 
@@ -137,6 +196,122 @@ class AuthService {
         }
     }
 
+    /**
+     * 최근 로그인 실패 기록으로 계정 또는 IP의 잠금 상태 조회
+     * 잠금 시간 안에 최대 실패 횟수에 도달하면 마지막 실패부터 잠금 시간 동안 잠기고,
+     * 그 전까지는 실패할 때마다 재시도 대기 시간이 두 배로 늘어남
+     * (계정은 로그인 성공 또는 관리자 해제 이후, IP는 관리자 해제 이후의 실패만 집계)
+     * @param {string} scope - 'user', 'ip' 또는 'login' (가입된 계정이 없는 사용자명)
+     * @param {number|string} key - 사용자 ID, IP 주소 또는 입력한 사용자명
+     * @returns {Promise<Object>} 실패 횟수, 남은 시도 횟수, 잠금 해제까지 남은 시간(ms), 재시도 대기 시간(ms)
+     */
+    async getLoginFailureStatus(scope, key) {
+        const { maxLoginAttempts, maxLoginAttemptsPerIp, lockoutTime, loginDelayBase } = config.security;
+        const maxAttempts = scope === 'ip' ? maxLoginAttemptsPerIp : maxLoginAttempts;
+        const column = LOGIN_FAILURE_COLUMNS[scope];
+        const resetActions = LOGIN_RESET_ACTIONS[scope];
+
+        // 해제 기록이 없는 기준(login)은 모든 실패를 집계
+        const resetCondition = resetActions.length > 0
+            ? `AND id > (
+                   SELECT COALESCE(MAX(id), 0) FROM user_activity_logs
+                   WHERE ${column} = ? AND action IN (${resetActions.map(() => '?').join(', ')})
+               )`
+            : '';
+        const resetParams = resetActions.length > 0 ? [key, ...resetActions] : [];
+
+        const failures = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            `SELECT CAST((julianday('now') - julianday(created_at)) * 86400000 AS INTEGER) as elapsed_ms
+             FROM user_activity_logs
+             WHERE ${column} = ? AND action = 'login_failed'
+               AND created_at > datetime('now', ?)
+               ${resetCondition}
+             ORDER BY id DESC
+             LIMIT ?`,
+            [key, `-${Math.ceil(lockoutTime / 1000)} seconds`, ...resetParams, maxAttempts]
+        );
+
+        const failedAttempts = failures.length;
+        const lockedMs = failedAttempts >= maxAttempts
+            ? Math.max(lockoutTime - failures[0].elapsed_ms, 0)
+            : 0;
+        const retryAfterMs = failedAttempts > 0
+            ? Math.max(Math.min(loginDelayBase * 2 ** (failedAttempts - 1), lockoutTime) - failures[0].elapsed_ms, 0)
+            : 0;
+
+        return {
+            failedAttempts: failedAttempts,
+            remainingAttempts: Math.max(maxAttempts - failedAttempts, 0),
+            lockedMs: lockedMs,
+            retryAfterMs: retryAfterMs
+        };
+    }
+
+    /**
+     * 계정(또는 없는 사용자명)의 잠금 및 재시도 대기 시간 확인
+     * 가입된 계정과 없는 사용자명에 같은 메시지를 사용
+     * @param {Object} status - getLoginFailureStatus 결과
+     */
+    assertLoginNotThrottled(status) {
+        if (status.lockedMs > 0) {
+            throw this.createLoginThrottleError(
+                `로그인 실패가 너무 많아 계정이 잠겼습니다. ${Math.ceil(status.lockedMs / 60000)}분 후에 다시 시도해주세요.`,
+                status.lockedMs
+            );
+        }
+
+        if (status.retryAfterMs > 0) {
+            throw this.createLoginThrottleError(
+                `${Math.ceil(status.retryAfterMs / 1000)}초 후에 다시 시도해주세요.`,
+                status.retryAfterMs
+            );
+        }
+    }
+
+    /**
+     * 로그인 실패 오류 생성 (HTTP 401, 이번 실패로 잠기면 HTTP 429)
+     * 없는 사용자, 차단된 사용자, 틀린 비밀번호 모두 같은 메시지를 사용
+     * @param {Object} status - 이번 실패를 기록하기 전의 getLoginFailureStatus 결과
+     * @returns {Error} status가 설정된 오류
+     */
+    createLoginFailedError(status) {
+        if (status.remainingAttempts - 1 <= 0) {
+            return this.createLoginThrottleError(
+                `${LOGIN_FAILED_MESSAGE} 로그인 실패가 너무 많아 계정이 ${Math.ceil(config.security.lockoutTime / 60000)}분 동안 잠깁니다.`,
+                config.security.lockoutTime
+            );
+        }
+
+        const error = new Error(LOGIN_FAILED_MESSAGE);
+        error.status = 401;
+        return error;
+    }
+
+    /**
+     * 없는 사용자로 로그인할 때 비교용으로 쓰는 비밀번호 해시 (처음 한 번만 생성)
+     * @returns {Promise<string>} bcrypt 해시
+     */
+    async getDummyPasswordHash() {
+        if (!this.dummyPasswordHash) {
+            this.dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.saltRounds);
+        }
+        return this.dummyPasswordHash;
+    }
+
+    /**
+     * 로그인 제한 오류 생성 (HTTP 429)
+     * @param {string} message - 오류 메시지
+     * @param {number} retryAfterMs - 다시 시도할 수 있을 때까지 남은 시간(ms)
+     * @returns {Error} status, retryAfter(초)가 설정된 오류
+     */
+    createLoginThrottleError(message, retryAfterMs) {
+        const error = new Error(message);
+        error.status = 429;
+        error.retryAfter = Math.ceil(retryAfterMs / 1000);
+        return error;
+    }
+
     /**
      * 사용자 정보 조회 (ID로)
      * @param {number} userId - 사용자 ID
@@ -152,7 +327,7 @@ class AuthService {
 
             const user = await this.dbManager.getQuery(
                 configDB,
-                'SELECT id, username, email, role, created_at, updated_at FROM users WHERE id = ?',
+                'SELECT id, username, email, role, email_verified_at, totp_enabled_at, created_at, updated_at FROM users WHERE id = ?',
                 [userId]
             );
 
@@ -247,6 +422,325 @@ class AuthService {
         }
     }
 
+    /**
+     * 토큰 해시 (DB에는 원본 토큰 대신 해시만 저장)
+     * @param {string} token - 원본 토큰
+     * @returns {string} SHA-256 해시 (hex)
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * 비밀번호 재설정 요청 (재설정 링크 메일 발송)
+     * 계정 존재 여부가 드러나지 않도록 호출하는 쪽은 결과와 관계없이 같은 안내를 보여야 함
+     * @param {string} email - 계정 이메일
+     * @param {string} ipAddress - 요청 IP 주소
+     * @returns {Promise<boolean>} 메일 발송 여부
+     */
+    async requestPasswordReset(email, ipAddress = null) {
+        if (!email) {
+            throw new Error('이메일을 입력해주세요.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+            const { passwordResetTokenTTL, maxPasswordResetRequests } = config.security;
+
+            const user = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, username, email FROM users WHERE email = ?',
+                [email.trim()]
+            );
+
+            if (!user) {
+                console.log(`비밀번호 재설정 요청 무시: 등록되지 않은 이메일 (${ipAddress || '알 수 없는 IP'})`);
+                return false;
+            }
+
+            // 메일 폭탄 방지를 위한 요청 횟수 제한
+            const recentRequests = await this.dbManager.getQuery(
+                configDB,
+                `SELECT COUNT(*) as count FROM password_reset_tokens
+                 WHERE user_id = ? AND created_at > datetime('now', '-1 hour')`,
+                [user.id]
+            );
+
+            if (recentRequests.count >= maxPasswordResetRequests) {
+                console.log(`비밀번호 재설정 요청 무시: 요청 횟수 초과 (사용자 ID ${user.id})`);
+                return false;
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+
+            // 이전에 발급된 링크는 무효화하고 새 토큰 저장
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: 'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                    params: [user.id]
+                },
+                {
+                    sql: `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, request_ip)
+                          VALUES (?, ?, datetime('now', ?), ?)`,
+                    params: [user.id, this.hashToken(token), `+${Math.ceil(passwordResetTokenTTL / 1000)} seconds`, ipAddress]
+                }
+            ]);
+
+            const resetUrl = `${config.site.url}/auth/reset-password/${token}`;
+            const validMinutes = Math.ceil(passwordResetTokenTTL / 60000);
+
+            await new MailService().sendMail({
+                to: user.email,
+                subject: `[${config.site.name}] 비밀번호 재설정 안내`,
+                text: [
+                    `${user.username}님, 안녕하세요.`,
+                    '',
+                    '아래 링크에서 새 비밀번호를 설정할 수 있습니다.',
+                    resetUrl,
+                    '',
+                    `이 링크는 ${validMinutes}분 동안 한 번만 사용할 수 있습니다.`,
+                    '비밀번호 재설정을 요청하지 않으셨다면 이 메일을 무시하세요.'
+                ].join('\n')
+            });
+
+            await this.logUserActivity(user.id, 'password_reset_requested', '비밀번호 재설정 메일 발송', ipAddress);
+
+            console.log(`비밀번호 재설정 메일 발송: 사용자 ID ${user.id}`);
+            return true;
+
+        } catch (error) {
+            console.error('비밀번호 재설정 요청 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 유효한 비밀번호 재설정 토큰 조회 (사용되지 않았고 만료되지 않은 토큰)
+     * @param {string} token - 원본 토큰
+     * @returns {Promise<Object|null>} 토큰 정보 (id, user_id, username) 또는 null
+     */
+    async getPasswordResetToken(token) {
+        if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+            return null;
+        }
+
+        try {
+            const resetToken = await this.dbManager.getQuery(
+                this.dbManager.getConfigDB(),
+                `SELECT t.id, t.user_id, u.username
+                 FROM password_reset_tokens t
+                 JOIN users u ON t.user_id = u.id
+                 WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP`,
+                [this.hashToken(token)]
+            );
+
+            return resetToken || null;
+        } catch (error) {
+            console.error('비밀번호 재설정 토큰 조회 실패:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 재설정 토큰으로 비밀번호 변경 (토큰은 한 번만 사용 가능)
+     * @param {string} token - 원본 토큰
+     * @param {string} newPassword - 새 비밀번호
+     * @param {string} ipAddress - 요청 IP 주소
+     * @returns {Promise<Object>} 비밀번호가 변경된 사용자 정보 (id, username)
+     */
+    async resetPassword(token, newPassword, ipAddress = null) {
+        if (!newPassword || newPassword.length < 6) {
+            throw new Error('새 비밀번호는 최소 6자 이상이어야 합니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const resetToken = await this.getPasswordResetToken(token);
+            if (!resetToken) {
+                throw new Error('유효하지 않거나 만료된 재설정 링크입니다.');
+            }
+
+            // 동시에 같은 토큰으로 요청된 경우 먼저 사용한 요청만 처리
+            const claimed = await this.dbManager.runQuery(
+                configDB,
+                'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [resetToken.id]
+            );
+
+            if (claimed.changes === 0) {
+                throw new Error('유효하지 않거나 만료된 재설정 링크입니다.');
+            }
+
+            const newPasswordHash = await bcrypt.hash(newPassword, this.saltRounds);
+
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: 'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    params: [newPasswordHash, resetToken.user_id]
+                },
+                {
+                    sql: 'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                    params: [resetToken.user_id]
+                },
+                // 기존 로그인 세션을 모두 종료 (탈취된 세션이 재설정 후에도 남지 않도록 함,
+                // SessionService.revokeAllSessions와 같은 처리이며 SessionService가 이 서비스를 참조하므로 직접 삭제)
+                {
+                    sql: 'DELETE FROM sessions WHERE user_id = ?',
+                    params: [resetToken.user_id]
+                }
+            ]);
+
+            // 비밀번호 재설정은 로그인 잠금도 함께 해제함 (LOGIN_RESET_ACTIONS)
+            await this.logUserActivity(resetToken.user_id, 'password_reset', '비밀번호 재설정 링크로 변경', ipAddress);
+
+            console.log(`비밀번호 재설정 완료: 사용자 ID ${resetToken.user_id}`);
+            return { id: resetToken.user_id, username: resetToken.username };
+
+        } catch (error) {
+            console.error('비밀번호 재설정 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 이메일 인증 메일 발송 (이전에 발급된 인증 링크는 무효화)
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<boolean>} 메일 발송 여부
+     */
+    async sendVerificationEmail(userId) {
+        try {
+            const configDB = this.dbManager.getConfigDB();
+            const { emailVerificationTokenTTL, maxVerificationEmails } = config.security;
+
+            const user = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, username, email, email_verified_at FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (!user) {
+                throw new Error('사용자를 찾을 수 없습니다.');
+            }
+
+            if (user.email_verified_at) {
+                throw new Error('이미 이메일 인증이 완료된 계정입니다.');
+            }
+
+            // 메일 폭탄 방지를 위한 발송 횟수 제한
+            const recentEmails = await this.dbManager.getQuery(
+                configDB,
+                `SELECT COUNT(*) as count FROM email_verification_tokens
+                 WHERE user_id = ? AND created_at > datetime('now', '-1 hour')`,
+                [user.id]
+            );
+
+            if (recentEmails.count >= maxVerificationEmails) {
+                const error = new Error('인증 메일을 너무 자주 요청했습니다. 잠시 후 다시 시도해주세요.');
+                error.status = 429;
+                throw error;
+            }
+
+            const token = crypto.randomBytes(32).toString('hex');
+
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: 'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                    params: [user.id]
+                },
+                {
+                    sql: `INSERT INTO email_verification_tokens (user_id, token_hash, email, expires_at)
+                          VALUES (?, ?, ?, datetime('now', ?))`,
+                    params: [user.id, this.hashToken(token), user.email, `+${Math.ceil(emailVerificationTokenTTL / 1000)} seconds`]
+                }
+            ]);
+
+            const verifyUrl = `${config.site.url}/auth/verify-email/${token}`;
+            const validHours = Math.ceil(emailVerificationTokenTTL / 3600000);
+
+            await new MailService().sendMail({
+                to: user.email,
+                subject: `[${config.site.name}] 이메일 인증 안내`,
+                text: [
+                    `${user.username}님, 가입을 환영합니다.`,
+                    '',
+                    '아래 링크를 눌러 이메일 주소를 인증해주세요.',
+                    verifyUrl,
+                    '',
+                    `이 링크는 ${validHours}시간 동안 유효합니다.`,
+                    '인증을 마치기 전에는 글과 댓글을 작성할 수 없습니다.'
+                ].join('\n')
+            });
+
+            console.log(`이메일 인증 메일 발송: 사용자 ID ${user.id}`);
+            return true;
+
+        } catch (error) {
+            console.error('이메일 인증 메일 발송 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 인증 링크로 이메일 인증 처리 (토큰은 한 번만 사용 가능)
+     * @param {string} token - 원본 토큰
+     * @returns {Promise<Object>} 인증된 사용자 정보 (id, username)
+     */
+    async verifyEmail(token) {
+        const invalidMessage = '유효하지 않거나 만료된 인증 링크입니다.';
+
+        if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+            throw new Error(invalidMessage);
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const verification = await this.dbManager.getQuery(
+                configDB,
+                `SELECT t.id, t.user_id, t.email, u.username
+                 FROM email_verification_tokens t
+                 JOIN users u ON t.user_id = u.id
+                 WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP`,
+                [this.hashToken(token)]
+            );
+
+            if (!verification) {
+                throw new Error(invalidMessage);
+            }
+
+            // 동시에 같은 토큰으로 요청된 경우 먼저 사용한 요청만 처리
+            const claimed = await this.dbManager.runQuery(
+                configDB,
+                'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [verification.id]
+            );
+
+            if (claimed.changes === 0) {
+                throw new Error(invalidMessage);
+            }
+
+            // 메일 발송 이후 이메일이 바뀌었다면 인증하지 않음
+            const verified = await this.dbManager.runQuery(
+                configDB,
+                `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND email = ? AND email_verified_at IS NULL`,
+                [verification.user_id, verification.email]
+            );
+
+            if (verified.changes > 0) {
+                await this.logUserActivity(verification.user_id, 'email_verified', `이메일 인증 완료: ${verification.email}`);
+                console.log(`이메일 인증 완료: 사용자 ID ${verification.user_id}`);
+            }
+
+            return { id: verification.user_id, username: verification.username };
+
+        } catch (error) {
+            console.error('이메일 인증 실패:', error);
+            throw error;
+        }
+    }
+
     /**
      * 사용자 권한 확인
      * @param {number} userId - 사용자 ID
@@ -395,16 +889,15 @@ class AuthService {
         try {
             const configDB = this.dbManager.getConfigDB();
 
-            const stmt = configDB.prepare(`
-                SELECT c.id, c.name, c.description
-                FROM categories c
-                JOIN moderator_permissions mp ON c.id = mp.category_id
-                WHERE mp.user_id = ? AND c.is_active = 1
-                ORDER BY c.display_order, c.name
-            `);
-
-            const categories = stmt.all(userId);
-            stmt.finalize();
+            const categories = await this.dbManager.allQuery(
+                configDB,
+                `SELECT c.id, c.name, c.description
+                 FROM categories c
+                 JOIN moderator_permissions mp ON c.id = mp.category_id
+                 WHERE mp.user_id = ? AND c.is_active = 1
+                 ORDER BY c.display_order, c.name`,
+                [userId]
+            );
 
             return categories || [];
         } catch (error) {
@@ -621,16 +1114,17 @@ class AuthService {
      * @param {string} action - 수행된 작업
      * @param {string} details - 상세 정보
      * @param {string} ipAddress - IP 주소
+     * @param {string} loginName - 입력한 사용자명 (가입된 계정이 없는 사용자명의 로그인 실패 집계용)
      * @returns {Promise<void>}
      */
-    async logUserActivity(userId, action, details = null, ipAddress = null) {
+    async logUserActivity(userId, action, details = null, ipAddress = null, loginName = null) {
         try {
             const configDB = this.dbManager.getConfigDB();
 
             await this.dbManager.runQuery(
                 configDB,
-                'INSERT INTO user_activity_logs (user_id, action, details, ip_address) VALUES (?, ?, ?, ?)',
-                [userId, action, details, ipAddress]
+                'INSERT INTO user_activity_logs (user_id, action, details, ip_address, login_name) VALUES (?, ?, ?, ?, ?)',
+                [userId, action, details, ipAddress, loginName]
             );
         } catch (error) {
             // 로그 기록 실패는 치명적이지 않으므로 경고만 출력
@@ -712,13 +1206,38 @@ class AuthService {
      * 세션 생성
      * @param {Object} session - Express 세션 객체
      * @param {Object} user - 사용자 정보
+     * @param {Object} client - 접속 정보 (세션 목록에 표시)
+     * @param {string} client.ipAddress - 클라이언트 IP 주소
+     * @param {string} client.userAgent - 브라우저 User-Agent
      * @returns {void}
      */
-    createSession(session, user) {
+    createSession(session, user, client = {}) {
         session.userId = user.id;
         session.username = user.username;
         session.role = user.role;
         session.loginTime = new Date().toISOString();
+        session.ipAddress = client.ipAddress || null;
+        session.userAgent = client.userAgent || null;
+    }
+
+    /**
+     * 세션 ID 재발급 (세션 고정 공격 방지)
+     * 로그인처럼 권한이 바뀔 때 로그인 전에 발급된 세션 ID를 계속 쓰지 않도록 새 세션으로 교체하며,
+     * 기존 세션 데이터는 모두 지워지므로 필요한 값은 재발급 후 다시 저장해야 함
+     * @param {Object} req - Express 요청 객체
+     * @returns {Promise<void>}
+     */
+    regenerateSession(req) {
+        return new Promise((resolve, reject) => {
+            req.session.regenerate((err) => {
+                if (err) {
+                    console.error('세션 재발급 실패:', err);
+                    reject(err);
+                    return;
+                }
+                resolve();
+            });
+        });
     }
 
     /**
@@ -1,6 +1,11 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const MigrationRunner = require('./MigrationRunner');
+
+// 다른 연결이 쓰기 잠금을 잡고 있을 때 SQLITE_BUSY로 실패하기 전까지 기다리는 시간 (ms)
+// (게시글 이동은 별도 연결에서 트랜잭션을 열므로 그동안 공유 연결의 쓰기는 잠시 대기)
+const FORUM_DB_BUSY_TIMEOUT = 5000;
 
 class DatabaseManager {
     constructor() {
@@ -8,6 +13,9 @@ class DatabaseManager {
         this.forumDBs = new Map(); // categoryId -> database connection
         this.dbPath = path.join(__dirname, '../database');
         this.isInitialized = false;
+        this.migrationRunner = new MigrationRunner(this);
+        // false이면 기존 DB에 마이그레이션/스키마 템플릿을 적용하지 않음 (마이그레이션 CLI에서 사용)
+        this.autoMigrate = true;
     }
 
     async initialize() {
@@ -23,8 +31,15 @@ class DatabaseManager {
             await this.initializeConfigDB();
 
             this.isInitialized = true;
+
+            // 기존 포럼 DB들에 대기 중인 마이그레이션 적용
+            if (this.autoMigrate) {
+                await this.migrateAllForumDBs();
+            }
+
             console.log('DatabaseManager 초기화 완료');
         } catch (error) {
+            this.isInitialized = false;
             console.error('DatabaseManager 초기화 실패:', error);
             throw error;
         }
@@ -62,6 +77,16 @@ class DatabaseManager {
     }
 
     async createConfigTables() {
+        const isNewDatabase = !(await this.tableExists(this.configDB, 'users'));
+
+        if (!isNewDatabase) {
+            if (!this.autoMigrate) {
+                return;
+            }
+            // 기존 config DB는 테이블 생성 전에 대기 중인 마이그레이션 적용
+            await this.migrationRunner.migrate(this.configDB, 'config', 'config.db');
+        }
+
         const tables = [
             // 사용자 테이블
             `CREATE TABLE IF NOT EXISTS users (
@@ -70,6 +95,12 @@ class DatabaseManager {
                 email VARCHAR(100) UNIQUE NOT NULL,
                 password_hash VARCHAR(255) NOT NULL,
                 role TEXT CHECK(role IN ('user', 'moderator', 'super_admin')) DEFAULT 'user',
+                avatar_url VARCHAR(255),
+                bio TEXT,
+                email_verified_at DATETIME,
+                totp_secret VARCHAR(64),
+                totp_enabled_at DATETIME,
+                totp_last_step INTEGER,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
@@ -118,19 +149,132 @@ class DatabaseManager {
             // 사용자 활동 로그 테이블
             `CREATE TABLE IF NOT EXISTS user_activity_logs (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
-                user_id INTEGER NOT NULL,
+                user_id INTEGER DEFAULT NULL, -- 없는 사용자명으로 로그인에 실패한 기록은 NULL
                 action VARCHAR(50) NOT NULL,
                 details TEXT,
                 ip_address VARCHAR(45),
+                login_name VARCHAR(255) DEFAULT NULL, -- 없는 사용자명으로 로그인에 실패한 경우 입력한 사용자명
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )`,
+
+            // 사용자 프로필 테이블
+            `CREATE TABLE IF NOT EXISTS user_profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                display_name VARCHAR(100),
+                location VARCHAR(100),
+                website VARCHAR(255),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                UNIQUE(user_id)
+            )`,
+
+            // 사용자 알림 테이블
+            `CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                actor_id INTEGER,
+                type VARCHAR(30) NOT NULL,
+                message TEXT NOT NULL,
+                link VARCHAR(255),
+                is_read BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (actor_id) REFERENCES users(id)
+            )`,
+
+            // 비밀번호 재설정 토큰 테이블 (토큰은 SHA-256 해시로만 저장)
+            `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                request_ip VARCHAR(45),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )`,
+
+            // 이메일 인증 토큰 테이블 (발송 당시 이메일과 함께 해시로 저장)
+            `CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                email VARCHAR(100) NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )`,
+
+            // 2단계 인증 복구 코드 테이블 (코드는 SHA-256 해시로만 저장)
+            `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash VARCHAR(64) NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )`,
+
+            // 세션 저장 테이블 (비로그인 세션은 user_id가 NULL)
+            `CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sid VARCHAR(255) NOT NULL UNIQUE,
+                sess TEXT NOT NULL,
+                user_id INTEGER,
+                ip_address VARCHAR(45),
+                user_agent VARCHAR(255),
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // REST API 개인 액세스 토큰 테이블 (토큰은 SHA-256 해시로만 저장)
+            `CREATE TABLE IF NOT EXISTS api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                token_hint VARCHAR(20) NOT NULL,
+                scopes VARCHAR(100) NOT NULL,
+                expires_at DATETIME,
+                last_used_at DATETIME,
+                last_used_ip VARCHAR(45),
+                revoked_at DATETIME,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id)
             )`
         ];
 
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, is_read, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_user_activity_logs_user_action ON user_activity_logs(user_id, action, id)',
+            'CREATE INDEX IF NOT EXISTS idx_user_activity_logs_ip_action ON user_activity_logs(ip_address, action, id)',
+            'CREATE INDEX IF NOT EXISTS idx_user_activity_logs_login_action ON user_activity_logs(login_name, action, id)',
+            'CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id, code_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)',
+            'CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id, revoked_at)'
+        ];
+
         for (const tableSQL of tables) {
             await this.runQuery(this.configDB, tableSQL);
         }
 
+        for (const indexSQL of indexes) {
+            await this.runQuery(this.configDB, indexSQL);
+        }
+
+        // 새 DB는 최신 구조로 생성되었으므로 모든 마이그레이션을 적용된 것으로 기록
+        if (isNewDatabase) {
+            await this.migrationRunner.baseline(this.configDB, 'config');
+        }
+
         console.log('Config 데이터베이스 테이블 생성 완료');
     }
 
@@ -150,9 +294,14 @@ class DatabaseManager {
         return this.forumDBs.get(categoryId);
     }
 
+    // 포럼 DB 파일 경로
+    getForumDBPath(categoryId) {
+        return path.join(this.dbPath, `forum_${categoryId}.db`);
+    }
+
     async createForumDB(categoryId) {
         return new Promise((resolve, reject) => {
-            const forumDBPath = path.join(this.dbPath, `forum_${categoryId}.db`);
+            const forumDBPath = this.getForumDBPath(categoryId);
 
             const db = new sqlite3.Database(forumDBPath, async (err) => {
                 if (err) {
@@ -162,7 +311,8 @@ class DatabaseManager {
                 }
 
                 try {
-                    await this.createForumTables(db);
+                    db.configure('busyTimeout', FORUM_DB_BUSY_TIMEOUT);
+                    await this.createForumTables(db, `forum_${categoryId}.db`);
                     resolve(db);
                 } catch (error) {
                     reject(error);
@@ -171,8 +321,18 @@ class DatabaseManager {
         });
     }
 
-    async createForumTables(db) {
+    async createForumTables(db, label = 'forum') {
         try {
+            const isNewDatabase = !(await this.tableExists(db, 'posts'));
+
+            if (!isNewDatabase) {
+                if (!this.autoMigrate) {
+                    return;
+                }
+                // 기존 포럼 DB는 스키마 템플릿 적용 전에 마이그레이션 실행 (새 컬럼의 인덱스 생성에 필요)
+                await this.migrationRunner.migrate(db, 'forum', label);
+            }
+
             // 스키마 템플릿 파일에서 SQL 읽기
             const schemaPath = path.join(__dirname, '../database/schema/forum_schema.sql');
             const schemaSQL = await fs.readFile(schemaPath, 'utf8');
@@ -185,12 +345,35 @@ class DatabaseManager {
                     await this.runQuery(db, statement);
                 }
             }
+
+            if (isNewDatabase) {
+                await this.migrationRunner.baseline(db, 'forum');
+            }
         } catch (error) {
             console.error('Forum 스키마 템플릿 적용 실패:', error);
             throw error;
         }
     }
 
+    // 테이블 존재 여부 확인
+    async tableExists(db, tableName) {
+        const row = await this.getQuery(
+            db,
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+            [tableName]
+        );
+        return !!row;
+    }
+
+    // 모든 카테고리의 포럼 DB를 열어 대기 중인 마이그레이션 적용
+    async migrateAllForumDBs() {
+        const categories = await this.allQuery(this.configDB, 'SELECT id FROM categories ORDER BY id');
+
+        for (const category of categories) {
+            await this.getForumDB(category.id);
+        }
+    }
+
     // SQL 문을 정확하게 파싱하는 헬퍼 메서드
     parseSQLStatements(sql) {
         const statements = [];
@@ -220,12 +403,12 @@ class DatabaseManager {
                 triggerDepth = 0;
             }
 
-            // BEGIN/END 블록 추적 (트리거용)
+            // BEGIN/END 블록 추적 (트리거용, 'pending' 같은 단어 일부는 무시)
             if (inTrigger) {
-                if (trimmedLine.toUpperCase().includes('BEGIN')) {
+                if (/\bBEGIN\b/i.test(trimmedLine)) {
                     triggerDepth++;
                 }
-                if (trimmedLine.toUpperCase().includes('END')) {
+                if (/\bEND\b/i.test(trimmedLine)) {
                     triggerDepth--;
                 }
             }
@@ -342,6 +525,55 @@ class DatabaseManager {
         });
     }
 
+    // 다른 포럼 DB를 ATTACH한 상태에서 트랜잭션 실행 (여러 DB 파일에 걸친 변경을 한 번에 커밋)
+    // 트랜잭션이 여러 await에 걸치므로 공유 연결 대신 작업용 연결을 따로 열어
+    // 다른 요청의 쿼리가 트랜잭션에 섞이지 않게 하고, 끝나면 연결을 닫음
+    // categoryId: 트랜잭션을 열 포럼, attachments: { 별칭: 카테고리 ID },
+    // work: 작업용 연결(db)을 받아 트랜잭션 안에서 실행할 비동기 함수
+    async runAttachedTransaction(categoryId, attachments, work) {
+        // 관련 DB의 마이그레이션이 적용되도록 공유 연결을 먼저 생성
+        await this.getForumDB(categoryId);
+        for (const attachedId of Object.values(attachments)) {
+            await this.getForumDB(attachedId);
+        }
+
+        const db = await new Promise((resolve, reject) => {
+            const connection = new sqlite3.Database(this.getForumDBPath(categoryId), (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(connection);
+                }
+            });
+        });
+
+        try {
+            db.configure('busyTimeout', FORUM_DB_BUSY_TIMEOUT);
+
+            for (const [alias, attachedId] of Object.entries(attachments)) {
+                await this.runQuery(db, `ATTACH DATABASE ? AS ${alias}`, [this.getForumDBPath(attachedId)]);
+            }
+
+            await this.runQuery(db, 'BEGIN IMMEDIATE TRANSACTION');
+            try {
+                const result = await work(db);
+                await this.runQuery(db, 'COMMIT');
+                return result;
+            } catch (error) {
+                await this.runQuery(db, 'ROLLBACK').catch(err => console.error('ROLLBACK 실패:', err));
+                throw error;
+            }
+        } finally {
+            // 연결을 닫으면 ATTACH한 DB도 함께 분리됨
+            await new Promise(resolve => {
+                db.close((err) => {
+                    if (err) console.error('작업용 DB 연결 닫기 실패:', err);
+                    resolve();
+                });
+            });
+        }
+    }
+
     async close() {
         try {
             // Config DB 닫기
@@ -528,7 +760,7 @@ class DatabaseManager {
             const forumDB = await this.getForumDB(categoryId);
 
             // 필수 테이블 존재 확인
-            const requiredTables = ['posts', 'comments', 'posts_fts'];
+            const requiredTables = ['posts', 'comments', 'reactions', 'reports', 'revisions', 'posts_fts'];
             const existingTables = await this.allQuery(
                 forumDB,
                 "SELECT name FROM sqlite_master WHERE type='table'"
@@ -543,7 +775,13 @@ class DatabaseManager {
             }
 
             // 필수 트리거 존재 확인
-            const requiredTriggers = ['posts_ai', 'posts_ad', 'posts_au', 'comments_ai', 'comments_au'];
+            const requiredTriggers = [
+                'posts_ai', 'posts_ad', 'posts_au', 'comments_ai', 'comments_au',
+                'posts_reactions_ad', 'comments_reactions_ad',
+                'posts_reports_ad', 'comments_reports_ad',
+                'posts_revisions_ad', 'comments_revisions_ad',
+                'posts_trash_au', 'posts_restore_au', 'comments_trash_au'
+            ];
             const existingTriggers = await this.allQuery(
                 forumDB,
                 "SELECT name FROM sqlite_master WHERE type='trigger'"
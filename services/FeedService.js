@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const ForumService = require('./ForumService');
+const ProfileService = require('./ProfileService');
+const { renderMarkdown, extractPlainText, escapeHtml } = require('../utils/markdown');
+const config = require('../config/default');
+
+// 지원하는 피드 형식
+const FEED_FORMATS = {
+    atom: 'application/atom+xml; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8'
+};
+
+/**
+ * DB 시각 문자열을 Date로 변환 (SQLite의 'YYYY-MM-DD HH:MM:SS'는 UTC)
+ * @param {string|null} value - DB 시각 문자열
+ * @returns {Date|null} 변환된 시각
+ */
+function parseDbDate(value) {
+    if (!value) {
+        return null;
+    }
+
+    const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+    const date = new Date(hasTimezone ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 사이트 경로를 절대 URL로 변환 (피드 리더는 상대 경로를 해석하지 못할 수 있음)
+ * @param {string} path - 사이트 내부 경로
+ * @returns {string} 절대 URL
+ */
+function absoluteUrl(path) {
+    return new URL(path, config.site.url).toString();
+}
+
+/**
+ * 가장 최근 시각 반환
+ * @param {Array<Date|null>} dates - 시각 목록
+ * @returns {Date|null} 가장 최근 시각
+ */
+function latestDate(dates) {
+    return dates.filter(Boolean).reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+}
+
+/**
+ * Atom / RSS 2.0 피드 생성 서비스
+ */
+class FeedService {
+    constructor() {
+        this.forumService = new ForumService();
+        this.profileService = new ProfileService();
+    }
+
+    /**
+     * 지원하는 피드 형식인지 확인
+     * @param {string} format - 피드 형식 ('atom' 또는 'rss')
+     * @returns {boolean} 지원 여부
+     */
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(FEED_FORMATS, format);
+    }
+
+    /**
+     * 사이트 전체 피드 (최근 활동 게시글)
+     * @returns {Promise<Object>} 피드 정보
+     */
+    async getSiteFeed() {
+        const posts = await this.forumService.getRecentActivityPosts(null, config.feed.entryLimit);
+
+        return this.buildFeed({
+            title: `${config.site.name} 최근 활동`,
+            subtitle: config.site.description,
+            path: '/',
+            feedPath: '/feeds',
+            posts: posts
+        });
+    }
+
+    /**
+     * 서브포럼 피드 (최신 게시글)
+     * @param {number} subforumId - 서브포럼 ID
+     * @returns {Promise<Object|null>} 피드 정보 (서브포럼이 없으면 null)
+     */
+    async getSubforumFeed(subforumId) {
+        const subforum = await this.forumService.getSubforumById(subforumId);
+        if (!subforum) {
+            return null;
+        }
+
+        const { posts } = await this.forumService.getPosts(subforum.id, { limit: config.feed.entryLimit });
+
+        // 목록 화면과 달리 고정 게시글을 앞에 두지 않고 작성 순으로 정렬
+        const sortedPosts = posts
+            .map(post => ({ ...post, category_id: subforum.id, subforum_name: subforum.name }))
+            .sort((a, b) => parseDbDate(b.created_at) - parseDbDate(a.created_at));
+
+        return this.buildFeed({
+            title: `${subforum.name} - ${config.site.name}`,
+            subtitle: subforum.description,
+            path: `/forum/subforum/${subforum.id}`,
+            feedPath: `/feeds/subforum/${subforum.id}`,
+            posts: sortedPosts,
+            createdAt: subforum.created_at
+        });
+    }
+
+    /**
+     * 사용자 피드 (사용자가 작성한 게시글)
+     * @param {string} username - 사용자명
+     * @returns {Promise<Object|null>} 피드 정보 (사용자가 없으면 null)
+     */
+    async getUserFeed(username) {
+        const profile = await this.profileService.getProfileByUsername(username);
+        if (!profile) {
+            return null;
+        }
+
+        const { posts } = await this.forumService.getUserPosts(profile.id, { limit: config.feed.entryLimit });
+
+        return this.buildFeed({
+            title: `${profile.display_name} 님의 게시글 - ${config.site.name}`,
+            subtitle: profile.bio,
+            path: `/profile/${encodeURIComponent(profile.username)}`,
+            feedPath: `/feeds/user/${encodeURIComponent(profile.username)}`,
+            posts: posts,
+            createdAt: profile.created_at
+        });
+    }
+
+    /**
+     * 게시글 목록으로 피드 구성
+     * 본문이 없는 목록(최근 활동, 사용자 게시글)은 게시글을 다시 조회해 본문을 채움
+     * @param {Object} feedInfo - 피드 정보
+     * @returns {Promise<Object>} 피드 (entries, updated 포함)
+     */
+    async buildFeed({ title, subtitle, path, feedPath, posts, createdAt = null }) {
+        const entries = [];
+
+        for (const listedPost of posts) {
+            const post = listedPost.content !== undefined
+                ? listedPost
+                : await this.forumService.getPost(listedPost.id, listedPost.category_id, false);
+
+            if (!post) {
+                continue;
+            }
+
+            const link = absoluteUrl(`/forum/subforum/${post.category_id}/post/${post.id}`);
+            const published = parseDbDate(post.created_at);
+
+            entries.push({
+                id: link,
+                link: link,
+                title: post.title,
+                author: post.username,
+                category: listedPost.subforum_name || null,
+                published: published,
+                updated: parseDbDate(post.updated_at) || published,
+                activity: parseDbDate(post.last_comment_at),
+                summary: extractPlainText(post.content, config.feed.summaryLength),
+                content: renderMarkdown(post.content)
+            });
+        }
+
+        // 댓글 활동도 최근 활동 피드의 순서를 바꾸므로 피드 갱신 시각에 포함
+        const updated = latestDate(entries.flatMap(entry => [entry.updated, entry.activity]))
+            || parseDbDate(createdAt)
+            || new Date(0);
+
+        return {
+            title: title,
+            subtitle: subtitle || '',
+            link: absoluteUrl(path),
+            feedPath: feedPath,
+            updated: updated,
+            entries: entries
+        };
+    }
+
+    /**
+     * Atom 1.0 문서 생성
+     * @param {Object} feed - 피드
+     * @returns {string} XML 문자열
+     */
+    renderAtom(feed) {
+        const selfUrl = absoluteUrl(`${feed.feedPath}/atom.xml`);
+
+        const entries = feed.entries.map(entry => `
+    <entry>
+        <id>${escapeHtml(entry.id)}</id>
+        <title>${escapeHtml(entry.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeHtml(entry.link)}"/>
+        <author><name>${escapeHtml(entry.author)}</name></author>
+        ${entry.category ? `<category term="${escapeHtml(entry.category)}"/>` : ''}
+        <published>${entry.published.toISOString()}</published>
+        <updated>${entry.updated.toISOString()}</updated>
+        <summary type="text">${escapeHtml(entry.summary)}</summary>
+        <content type="html">${escapeHtml(entry.content)}</content>
+    </entry>`).join('');
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${config.site.defaultLanguage}">
+    <id>${escapeHtml(selfUrl)}</id>
+    <title>${escapeHtml(feed.title)}</title>
+    <subtitle>${escapeHtml(feed.subtitle)}</subtitle>
+    <link rel="self" type="application/atom+xml" href="${escapeHtml(selfUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeHtml(feed.link)}"/>
+    <updated>${feed.updated.toISOString()}</updated>
+    <generator>${escapeHtml(config.site.name)}</generator>${entries}
+</feed>
+`;
+    }
+
+    /**
+     * RSS 2.0 문서 생성
+     * @param {Object} feed - 피드
+     * @returns {string} XML 문자열
+     */
+    renderRss(feed) {
+        const selfUrl = absoluteUrl(`${feed.feedPath}/rss.xml`);
+
+        const items = feed.entries.map(entry => `
+        <item>
+            <title>${escapeHtml(entry.title)}</title>
+            <link>${escapeHtml(entry.link)}</link>
+            <guid isPermaLink="true">${escapeHtml(entry.id)}</guid>
+            <dc:creator>${escapeHtml(entry.author)}</dc:creator>
+            ${entry.category ? `<category>${escapeHtml(entry.category)}</category>` : ''}
+            <pubDate>${entry.published.toUTCString()}</pubDate>
+            <description>${escapeHtml(entry.content)}</description>
+        </item>`).join('');
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeHtml(feed.title)}</title>
+        <link>${escapeHtml(feed.link)}</link>
+        <description>${escapeHtml(feed.subtitle || feed.title)}</description>
+        <language>${config.site.defaultLanguage}</language>
+        <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+        <atom:link rel="self" type="application/rss+xml" href="${escapeHtml(selfUrl)}"/>${items}
+    </channel>
+</rss>
+`;
+    }
+
+    /**
+     * 피드를 요청한 형식으로 렌더링
+     * @param {Object} feed - 피드
+     * @param {string} format - 피드 형식 ('atom' 또는 'rss')
+     * @returns {Object} { body, contentType, etag, lastModified }
+     */
+    render(feed, format) {
+        const body = format === 'rss' ? this.renderRss(feed) : this.renderAtom(feed);
+
+        return {
+            body: body,
+            contentType: FEED_FORMATS[format],
+            etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            lastModified: feed.updated
+        };
+    }
+}
+
+module.exports = FeedService;
@@ -1,9 +1,36 @@
 const DatabaseManagerSingleton = require('./DatabaseManager');
-const { renderMarkdown, extractPlainText } = require('../utils/markdown');
+const NotificationService = require('./NotificationService');
+const { getAttachmentStore } = require('./AttachmentStorage');
+const { renderMarkdown, extractPlainText, extractMentions } = require('../utils/markdown');
+const { diffLines } = require('../utils/diff');
+const { parseSearchQuery, toFtsMatchQuery, hasContentFilters } = require('../utils/searchQuery');
+const { MARK_START, MARK_END, markSearchTerms, renderMarkedText, buildSnippet } = require('../utils/searchSnippet');
+const config = require('../config/default');
+
+// 답글 최대 깊이 (이 깊이의 댓글에 단 답글은 같은 깊이에 형제로 추가됨)
+const MAX_COMMENT_DEPTH = 5;
+
+// 글 하나에서 멘션 알림을 보낼 최대 사용자 수 (알림 스팸 방지)
+const MAX_MENTION_NOTIFICATIONS = 10;
+
+// 인기 게시글 점수 가중치 (추천 > 댓글 > 조회)
+const POPULARITY_WEIGHTS = { reaction: 10, comment: 3, view: 1 };
+const POPULARITY_SCORE_SQL = `(
+    (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'post' AND r.target_id = p.id) * ${POPULARITY_WEIGHTS.reaction} +
+    (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) * ${POPULARITY_WEIGHTS.comment} +
+    p.view_count * ${POPULARITY_WEIGHTS.view}
+)`;
+
+// 한글/한자/가나가 포함된 검색어는 trigram 인덱스로 부분 일치 검색 (조사가 붙은 단어도 검색되도록)
+const CJK_PATTERN = /[\u1100-\u11FF\u3040-\u30FF\u3130-\u318F\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF]/;
+
+// trigram 인덱스로 검색할 수 있는 최소 글자 수 (더 짧은 단어는 LIKE로 검색)
+const TRIGRAM_MIN_LENGTH = 3;
 
 class ForumService {
     constructor() {
         this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.notificationService = new NotificationService();
     }
 
     /**
@@ -90,7 +117,7 @@ class ForumService {
             // 게시글 수 조회
             const postCountResult = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT COUNT(*) as count FROM posts WHERE category_id = ?',
+                'SELECT COUNT(*) as count FROM posts WHERE category_id = ? AND deleted_at IS NULL',
                 [subforumId]
             );
 
@@ -99,7 +126,7 @@ class ForumService {
                 forumDB,
                 `SELECT COUNT(*) as count FROM comments c
                  JOIN posts p ON c.post_id = p.id
-                 WHERE p.category_id = ?`,
+                 WHERE p.category_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
                 [subforumId]
             );
 
@@ -108,7 +135,7 @@ class ForumService {
                 forumDB,
                 `SELECT p.id, p.title, p.created_at, p.user_id
                  FROM posts p
-                 WHERE p.category_id = ?
+                 WHERE p.category_id = ? AND p.deleted_at IS NULL
                  ORDER BY p.created_at DESC
                  LIMIT 1`,
                 [subforumId]
@@ -134,7 +161,7 @@ class ForumService {
                 `SELECT c.created_at, c.user_id, p.id as post_id, p.title as post_title
                  FROM comments c
                  JOIN posts p ON c.post_id = p.id
-                 WHERE p.category_id = ?
+                 WHERE p.category_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL
                  ORDER BY c.created_at DESC
                  LIMIT 1`,
                 [subforumId]
@@ -229,7 +256,7 @@ class ForumService {
             // 정렬 컬럼 결정
             const orderColumn = sortBy === 'last_comment_at' ? 'p.last_comment_at' : 'p.created_at';
 
-            // 게시글 목록 조회 (사용자 정보는 별도로 조회)
+            // 게시글 목록 조회 (고정 게시글을 먼저, 사용자 정보는 별도로 조회)
             const posts = await this.dbManager.allQuery(
                 forumDB,
                 `SELECT
@@ -241,10 +268,13 @@ class ForumService {
                     p.updated_at,
                     p.last_comment_at,
                     p.user_id,
-                    (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
+                    p.is_locked,
+                    p.is_pinned,
+                    (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count,
+                    (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'post' AND r.target_id = p.id) as reaction_count
                  FROM posts p
-                 WHERE p.category_id = ?
-                 ORDER BY ${orderColumn} DESC
+                 WHERE p.category_id = ? AND p.deleted_at IS NULL
+                 ORDER BY p.is_pinned DESC, ${orderColumn} DESC
                  LIMIT ? OFFSET ?`,
                 [subforumId, limit, offset]
             );
@@ -275,7 +305,7 @@ class ForumService {
             // 전체 게시글 수 조회
             const totalCountResult = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT COUNT(*) as count FROM posts WHERE category_id = ?',
+                'SELECT COUNT(*) as count FROM posts WHERE category_id = ? AND deleted_at IS NULL',
                 [subforumId]
             );
 
@@ -370,7 +400,7 @@ class ForumService {
     }
 
     /**
-     * 인기 게시글 조회 (조회수 기준)
+     * 인기 게시글 조회 (추천수, 댓글수, 조회수 가중치 기준)
      * @param {number} subforumId - 서브포럼 ID (선택사항)
      * @param {number} limit - 조회할 게시글 수 (기본값: 10)
      * @param {number} days - 기간 (일 단위, 기본값: 7일)
@@ -395,10 +425,11 @@ class ForumService {
                         p.created_at,
                         p.category_id,
                         p.user_id,
-                        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
+                        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count,
+                        (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'post' AND r.target_id = p.id) as reaction_count
                      FROM posts p
-                     WHERE p.category_id = ? AND p.created_at >= ?
-                     ORDER BY p.view_count DESC, p.created_at DESC
+                     WHERE p.category_id = ? AND p.created_at >= ? AND p.deleted_at IS NULL
+                     ORDER BY ${POPULARITY_SCORE_SQL} DESC, p.created_at DESC
                      LIMIT ?`,
                     [subforumId, cutoffDateStr, limit]
                 );
@@ -444,10 +475,11 @@ class ForumService {
                                 p.created_at,
                                 p.category_id,
                                 p.user_id,
-                                (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
+                                (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count,
+                                (SELECT COUNT(*) FROM reactions r WHERE r.target_type = 'post' AND r.target_id = p.id) as reaction_count
                              FROM posts p
-                             WHERE p.category_id = ? AND p.created_at >= ?
-                             ORDER BY p.view_count DESC
+                             WHERE p.category_id = ? AND p.created_at >= ? AND p.deleted_at IS NULL
+                             ORDER BY ${POPULARITY_SCORE_SQL} DESC
                              LIMIT ?`,
                             [subforum.id, cutoffDateStr, limit]
                         );
@@ -486,9 +518,9 @@ class ForumService {
                     }
                 }
 
-                // 조회수 기준으로 정렬하고 제한
+                // 인기 점수 기준으로 정렬하고 제한
                 return allPosts
-                    .sort((a, b) => b.view_count - a.view_count)
+                    .sort((a, b) => this.getPopularityScore(b) - this.getPopularityScore(a))
                     .slice(0, limit);
             }
         } catch (error) {
@@ -497,6 +529,17 @@ class ForumService {
         }
     }
 
+    /**
+     * 게시글 인기 점수 계산 (POPULARITY_SCORE_SQL과 동일한 가중치)
+     * @param {Object} post - reaction_count, comment_count, view_count를 포함한 게시글
+     * @returns {number} 인기 점수
+     */
+    getPopularityScore(post) {
+        return (post.reaction_count || 0) * POPULARITY_WEIGHTS.reaction +
+            (post.comment_count || 0) * POPULARITY_WEIGHTS.comment +
+            (post.view_count || 0) * POPULARITY_WEIGHTS.view;
+    }
+
     /**
      * 최근 활동 게시글 조회 (댓글이 달린 게시글)
      * @param {number} subforumId - 서브포럼 ID (선택사항)
@@ -518,12 +561,12 @@ class ForumService {
                         p.last_comment_at,
                         p.category_id,
                         p.user_id,
-                        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count,
+                        (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count,
                         (SELECT c2.user_id FROM comments c2
-                         WHERE c2.post_id = p.id
+                         WHERE c2.post_id = p.id AND c2.deleted_at IS NULL
                          ORDER BY c2.created_at DESC LIMIT 1) as last_commenter_id
                      FROM posts p
-                     WHERE p.category_id = ? AND p.last_comment_at IS NOT NULL
+                     WHERE p.category_id = ? AND p.last_comment_at IS NOT NULL AND p.deleted_at IS NULL
                      ORDER BY p.last_comment_at DESC
                      LIMIT ?`,
                     [subforumId, limit]
@@ -581,12 +624,12 @@ class ForumService {
                                 p.last_comment_at,
                                 p.category_id,
                                 p.user_id,
-                                (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count,
+                                (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count,
                                 (SELECT c2.user_id FROM comments c2
-                                 WHERE c2.post_id = p.id
+                                 WHERE c2.post_id = p.id AND c2.deleted_at IS NULL
                                  ORDER BY c2.created_at DESC LIMIT 1) as last_commenter_id
                              FROM posts p
-                             WHERE p.category_id = ? AND p.last_comment_at IS NOT NULL
+                             WHERE p.category_id = ? AND p.last_comment_at IS NOT NULL AND p.deleted_at IS NULL
                              ORDER BY p.last_comment_at DESC
                              LIMIT ?`,
                             [subforum.id, Math.ceil(limit / subforums.length)]
@@ -653,9 +696,10 @@ class ForumService {
      * @param {number} postId - 게시글 ID
      * @param {number} subforumId - 서브포럼 ID
      * @param {boolean} incrementView - 조회수 증가 여부 (기본값: true)
+     * @param {number|null} viewerId - 조회하는 사용자 ID (추천 여부 확인용, 선택사항)
      * @returns {Promise<Object|null>} 게시글 정보
      */
-    async getPost(postId, subforumId, incrementView = true) {
+    async getPost(postId, subforumId, incrementView = true, viewerId = null) {
         if (!postId || !subforumId) {
             return null;
         }
@@ -674,11 +718,13 @@ class ForumService {
                     p.title,
                     p.content,
                     p.view_count,
+                    p.is_locked,
+                    p.is_pinned,
                     p.created_at,
                     p.updated_at,
                     p.last_comment_at
                  FROM posts p
-                 WHERE p.id = ? AND p.category_id = ?`,
+                 WHERE p.id = ? AND p.category_id = ? AND p.deleted_at IS NULL`,
                 [postId, subforumId]
             );
 
@@ -706,19 +752,35 @@ class ForumService {
             // 댓글 수 조회
             const commentCountResult = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT COUNT(*) as count FROM comments WHERE post_id = ?',
+                'SELECT COUNT(*) as count FROM comments WHERE post_id = ? AND deleted_at IS NULL',
+                [postId]
+            );
+
+            // 추천 수 및 조회자의 추천 여부 조회
+            const reactionSummary = await this.getReactionSummary(forumDB, 'post', [postId], viewerId);
+
+            // 수정 기록 수 조회 (원본 포함, 수정된 적 없으면 0)
+            const revisionCountResult = await this.dbManager.getQuery(
+                forumDB,
+                "SELECT COUNT(*) as count FROM revisions WHERE target_type = 'post' AND target_id = ?",
                 [postId]
             );
 
             // 첨부파일 목록 조회
             const attachments = await this.getAttachments(postId, subforumId);
 
+            // 본문의 @멘션 중 실제 존재하는 사용자 조회
+            const mentions = await this.resolveMentions([post.content]);
+
             return {
                 ...post,
                 username: user?.username || '알 수 없음',
                 role: user?.role || 'user',
                 comment_count: commentCountResult?.count || 0,
-                content_html: renderMarkdown(post.content),
+                reaction_count: reactionSummary.counts.get(post.id) || 0,
+                user_reacted: reactionSummary.reactedIds.has(post.id),
+                revision_count: revisionCountResult?.count || 0,
+                content_html: renderMarkdown(post.content, { mentions }),
                 attachments: attachments
             };
         } catch (error) {
@@ -758,6 +820,14 @@ class ForumService {
             }
 
             console.log(`게시글 생성 완료: ID ${result.id}, 서브포럼 ${subforumId}`);
+
+            await this.notifyMentions({
+                actorId: userId,
+                content: content,
+                postTitle: title,
+                link: `/forum/subforum/${subforumId}/post/${result.id}`
+            });
+
             return result.id;
         } catch (error) {
             console.error('게시글 작성 실패:', error);
@@ -785,7 +855,7 @@ class ForumService {
             // 게시글 존재 및 권한 확인
             const existingPost = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT user_id FROM posts WHERE id = ? AND category_id = ?',
+                'SELECT user_id FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
                 [postId, subforumId]
             );
 
@@ -797,36 +867,276 @@ class ForumService {
                 throw new Error('게시글 수정 권한이 없습니다.');
             }
 
-            // 게시글 수정
+            // 게시글 수정 (수정 기록 저장)
+            await this.saveRevision(forumDB, 'post', postId, userId, { title, content });
+
+            console.log(`게시글 수정 완료: ID ${postId}, 서브포럼 ${subforumId}`);
+            return true;
+        } catch (error) {
+            console.error('게시글 수정 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글 잠금/잠금 해제 (잠긴 게시글에는 댓글 작성 불가)
+     * @param {number} postId - 게시글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {boolean} locked - 잠금 여부
+     * @returns {Promise<boolean>} 변경 성공 여부
+     */
+    async setPostLocked(postId, subforumId, locked) {
+        if (!postId || !subforumId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const result = await this.dbManager.runQuery(
+                forumDB,
+                'UPDATE posts SET is_locked = ? WHERE id = ? AND category_id = ?',
+                [locked ? 1 : 0, postId, subforumId]
+            );
+
+            if (result.changes === 0) {
+                throw new Error('게시글을 찾을 수 없습니다.');
+            }
+
+            console.log(`게시글 ${locked ? '잠금' : '잠금 해제'} 완료: ID ${postId}, 서브포럼 ${subforumId}`);
+            return true;
+        } catch (error) {
+            console.error('게시글 잠금 변경 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글 상단 고정/고정 해제 (고정 게시글은 목록 맨 위에 표시)
+     * @param {number} postId - 게시글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {boolean} pinned - 고정 여부
+     * @returns {Promise<boolean>} 변경 성공 여부
+     */
+    async setPostPinned(postId, subforumId, pinned) {
+        if (!postId || !subforumId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
             const result = await this.dbManager.runQuery(
                 forumDB,
-                `UPDATE posts
-                 SET title = ?, content = ?, updated_at = datetime('now')
-                 WHERE id = ? AND category_id = ?`,
-                [title, content, postId, subforumId]
+                'UPDATE posts SET is_pinned = ? WHERE id = ? AND category_id = ?',
+                [pinned ? 1 : 0, postId, subforumId]
             );
 
             if (result.changes === 0) {
-                throw new Error('게시글 수정에 실패했습니다.');
+                throw new Error('게시글을 찾을 수 없습니다.');
             }
 
-            console.log(`게시글 수정 완료: ID ${postId}, 서브포럼 ${subforumId}`);
+            console.log(`게시글 ${pinned ? '고정' : '고정 해제'} 완료: ID ${postId}, 서브포럼 ${subforumId}`);
             return true;
         } catch (error) {
-            console.error('게시글 수정 실패:', error);
+            console.error('게시글 고정 변경 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글을 다른 서브포럼으로 이동
+     * 댓글, 추천, 첨부파일, 신고, 수정 기록을 대상 포럼 DB로 복사한 뒤 원본을 삭제하며,
+     * 두 DB 파일의 변경은 하나의 트랜잭션으로 커밋됨
+     * @param {number} postId - 게시글 ID
+     * @param {number} fromSubforumId - 현재 서브포럼 ID
+     * @param {number} toSubforumId - 이동할 서브포럼 ID
+     * @param {number} movedBy - 이동을 수행한 사용자 ID
+     * @returns {Promise<number>} 이동된 서브포럼에서의 새 게시글 ID
+     */
+    async movePost(postId, fromSubforumId, toSubforumId, movedBy) {
+        if (!postId || !fromSubforumId || !toSubforumId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        if (fromSubforumId === toSubforumId) {
+            throw new Error('같은 서브포럼으로는 이동할 수 없습니다.');
+        }
+
+        try {
+            const targetSubforum = await this.getSubforumById(toSubforumId);
+            if (!targetSubforum) {
+                throw new Error('이동할 서브포럼을 찾을 수 없습니다.');
+            }
+
+            const sourceDB = await this.dbManager.getForumDB(fromSubforumId);
+
+            const post = await this.dbManager.getQuery(
+                sourceDB,
+                'SELECT id, last_comment_at FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
+                [postId, fromSubforumId]
+            );
+
+            if (!post) {
+                throw new Error('게시글을 찾을 수 없습니다.');
+            }
+
+            // 대상 DB의 작업용 연결에 원본 DB를 src로 연결하여 복사와 삭제를 한 트랜잭션으로 처리
+            const newPostId = await this.dbManager.runAttachedTransaction(toSubforumId, { src: fromSubforumId }, async (moveDB) => {
+                // 상단 고정은 서브포럼별 설정이므로 이동 시 해제
+                const postResult = await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT INTO posts (category_id, user_id, title, content, view_count, is_locked, created_at, updated_at, last_comment_at)
+                     SELECT ?, user_id, title, content, view_count, is_locked, created_at, updated_at, last_comment_at
+                     FROM src.posts WHERE id = ?`,
+                    [toSubforumId, postId]
+                );
+                const movedPostId = postResult.id;
+
+                // 부모 댓글이 먼저 복사되도록 ID 순으로 처리하며 새 ID로 parent_id 연결
+                const comments = await this.dbManager.allQuery(
+                    moveDB,
+                    'SELECT id, parent_id FROM src.comments WHERE post_id = ? ORDER BY id',
+                    [postId]
+                );
+
+                const commentIdMap = new Map();
+                for (const comment of comments) {
+                    const commentResult = await this.dbManager.runQuery(
+                        moveDB,
+                        `INSERT INTO comments (post_id, user_id, parent_id, depth, content, created_at, updated_at, deleted_at, deleted_by, delete_reason)
+                         SELECT ?, user_id, ?, depth, content, created_at, updated_at, deleted_at, deleted_by, delete_reason
+                         FROM src.comments WHERE id = ?`,
+                        [movedPostId, commentIdMap.get(comment.parent_id) || null, comment.id]
+                    );
+                    commentIdMap.set(comment.id, commentResult.id);
+
+                    await this.dbManager.runQuery(
+                        moveDB,
+                        `INSERT INTO reactions (target_type, target_id, user_id, created_at)
+                         SELECT 'comment', ?, user_id, created_at
+                         FROM src.reactions WHERE target_type = 'comment' AND target_id = ?`,
+                        [commentResult.id, comment.id]
+                    );
+
+                    await this.dbManager.runQuery(
+                        moveDB,
+                        `INSERT INTO reports (target_type, target_id, post_id, reporter_id, reason, status, handled_by, handled_at, created_at)
+                         SELECT 'comment', ?, ?, reporter_id, reason, status, handled_by, handled_at, created_at
+                         FROM src.reports WHERE target_type = 'comment' AND target_id = ?`,
+                        [commentResult.id, movedPostId, comment.id]
+                    );
+
+                    await this.dbManager.runQuery(
+                        moveDB,
+                        `INSERT INTO revisions (target_type, target_id, title, content, edited_by, created_at)
+                         SELECT 'comment', ?, title, content, edited_by, created_at
+                         FROM src.revisions WHERE target_type = 'comment' AND target_id = ? ORDER BY id`,
+                        [commentResult.id, comment.id]
+                    );
+                }
+
+                // 댓글 삽입 트리거가 변경한 마지막 댓글 시간 복원
+                await this.dbManager.runQuery(
+                    moveDB,
+                    'UPDATE posts SET last_comment_at = ? WHERE id = ?',
+                    [post.last_comment_at, movedPostId]
+                );
+
+                await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT INTO reactions (target_type, target_id, user_id, created_at)
+                     SELECT 'post', ?, user_id, created_at
+                     FROM src.reactions WHERE target_type = 'post' AND target_id = ?`,
+                    [movedPostId, postId]
+                );
+
+                // 처리 대기 중인 신고도 함께 이동 (원본 삭제 트리거가 원본 신고를 처리 완료로 변경)
+                await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT INTO reports (target_type, target_id, post_id, reporter_id, reason, status, handled_by, handled_at, created_at)
+                     SELECT 'post', ?, ?, reporter_id, reason, status, handled_by, handled_at, created_at
+                     FROM src.reports WHERE target_type = 'post' AND target_id = ?`,
+                    [movedPostId, movedPostId, postId]
+                );
+
+                await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT INTO revisions (target_type, target_id, title, content, edited_by, created_at)
+                     SELECT 'post', ?, title, content, edited_by, created_at
+                     FROM src.revisions WHERE target_type = 'post' AND target_id = ? ORDER BY id`,
+                    [movedPostId, postId]
+                );
+
+                await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT INTO attachments (post_id, filename, original_filename, mime_type, file_size, storage, content_hash, file_data, created_at)
+                     SELECT ?, filename, original_filename, mime_type, file_size, storage, content_hash, file_data, created_at
+                     FROM src.attachments WHERE post_id = ?`,
+                    [movedPostId, postId]
+                );
+
+                // 원본 삭제 (원본 DB의 트리거가 검색 인덱스와 추천을 정리)
+                await this.dbManager.runQuery(moveDB, 'DELETE FROM src.comments WHERE post_id = ?', [postId]);
+                await this.dbManager.runQuery(moveDB, 'DELETE FROM src.attachments WHERE post_id = ?', [postId]);
+                await this.dbManager.runQuery(moveDB, 'DELETE FROM src.posts WHERE id = ?', [postId]);
+
+                // 이전 URL로 접근 시 새 위치로 이동시키기 위한 기록
+                await this.dbManager.runQuery(
+                    moveDB,
+                    `INSERT OR REPLACE INTO src.post_redirects (old_post_id, new_category_id, new_post_id, moved_by)
+                     VALUES (?, ?, ?, ?)`,
+                    [postId, toSubforumId, movedPostId, movedBy || null]
+                );
+
+                return movedPostId;
+            });
+
+            console.log(`게시글 이동 완료: 서브포럼 ${fromSubforumId} 게시글 ${postId} → 서브포럼 ${toSubforumId} 게시글 ${newPostId}`);
+            return newPostId;
+        } catch (error) {
+            console.error('게시글 이동 실패:', error);
             throw error;
         }
     }
 
     /**
-     * 게시글 삭제
+     * 이동된 게시글의 새 위치 조회
+     * @param {number} postId - 이전 게시글 ID
+     * @param {number} subforumId - 이전 서브포럼 ID
+     * @returns {Promise<Object|null>} 새 위치 (new_category_id, new_post_id)
+     */
+    async getPostRedirect(postId, subforumId) {
+        if (!postId || !subforumId) {
+            return null;
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const redirect = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT new_category_id, new_post_id FROM post_redirects WHERE old_post_id = ?',
+                [postId]
+            );
+
+            return redirect || null;
+        } catch (error) {
+            console.error('게시글 리다이렉트 조회 실패:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 게시글 삭제 (휴지통으로 이동, 댓글과 첨부파일은 복원을 위해 유지)
      * @param {number} postId - 게시글 ID
      * @param {number} subforumId - 서브포럼 ID
      * @param {number} userId - 삭제 요청자 ID
      * @param {boolean} isModerator - 모더레이터 여부
+     * @param {string|null} reason - 삭제 사유 (선택사항)
      * @returns {Promise<boolean>} 삭제 성공 여부
      */
-    async deletePost(postId, subforumId, userId, isModerator = false) {
+    async deletePost(postId, subforumId, userId, isModerator = false, reason = null) {
         if (!postId || !subforumId || !userId) {
             throw new Error('필수 정보가 누락되었습니다.');
         }
@@ -837,7 +1147,7 @@ class ForumService {
             // 게시글 존재 및 권한 확인
             const existingPost = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT user_id FROM posts WHERE id = ? AND category_id = ?',
+                'SELECT user_id, title FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
                 [postId, subforumId]
             );
 
@@ -850,11 +1160,13 @@ class ForumService {
                 throw new Error('게시글 삭제 권한이 없습니다.');
             }
 
-            // 게시글 삭제 (댓글은 CASCADE로 자동 삭제됨)
+            // 게시글을 휴지통으로 이동 (트리거가 검색 인덱스 제외 및 대기 중인 신고 처리)
             const result = await this.dbManager.runQuery(
                 forumDB,
-                'DELETE FROM posts WHERE id = ? AND category_id = ?',
-                [postId, subforumId]
+                `UPDATE posts
+                 SET deleted_at = datetime('now'), deleted_by = ?, delete_reason = ?
+                 WHERE id = ? AND category_id = ? AND deleted_at IS NULL`,
+                [userId, reason || null, postId, subforumId]
             );
 
             if (result.changes === 0) {
@@ -862,6 +1174,18 @@ class ForumService {
             }
 
             console.log(`게시글 삭제 완료: ID ${postId}, 서브포럼 ${subforumId}`);
+
+            // 모더레이터가 다른 사용자의 게시글을 삭제한 경우 작성자에게 알림
+            if (existingPost.user_id !== userId) {
+                await this.notificationService.notify({
+                    userId: existingPost.user_id,
+                    actorId: userId,
+                    type: NotificationService.TYPES.POST_DELETED,
+                    message: `회원님의 게시글 "${this.truncateTitle(existingPost.title)}"이(가) 모더레이터에 의해 삭제되었습니다.${reason ? ` (사유: ${reason})` : ''}`,
+                    link: `/forum/subforum/${subforumId}`
+                });
+            }
+
             return true;
         } catch (error) {
             console.error('게시글 삭제 실패:', error);
@@ -929,9 +1253,9 @@ class ForumService {
                             p.updated_at,
                             p.view_count,
                             p.category_id,
-                            (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
+                            (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count
                          FROM posts p
-                         WHERE p.user_id = ?
+                         WHERE p.user_id = ? AND p.deleted_at IS NULL
                          ORDER BY p.created_at DESC`,
                         [userId]
                     );
@@ -972,75 +1296,106 @@ class ForumService {
             throw error;
         }
     }
+
     /**
-     * 댓글 작성
-     * @param {number} userId - 작성자 ID
-     * @param {number} postId - 게시글 ID
-     * @param {number} subforumId - 서브포럼 ID
-     * @param {string} content - 댓글 내용
-     * @returns {Promise<number>} 생성된 댓글 ID
+     * 사용자별 댓글 목록 조회 (전체 서브포럼)
+     * @param {number} userId - 사용자 ID
+     * @param {Object} options - 조회 옵션
+     * @param {number} options.page - 페이지 번호 (기본값: 1)
+     * @param {number} options.limit - 페이지당 댓글 수 (기본값: 20)
+     * @returns {Promise<Object>} 댓글 목록과 페이지네이션 정보
      */
-    async createComment(userId, postId, subforumId, content) {
-        if (!userId || !postId || !subforumId || !content) {
-            throw new Error('필수 정보가 누락되었습니다.');
+    async getUserComments(userId, options = {}) {
+        const { page = 1, limit = 20 } = options;
+
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
         }
 
         try {
-            const forumDB = await this.dbManager.getForumDB(subforumId);
+            const subforums = await this.getSubforums();
+            const allComments = [];
+            const offset = (page - 1) * limit;
 
-            // 게시글 존재 확인
-            const post = await this.dbManager.getQuery(
-                forumDB,
-                'SELECT id FROM posts WHERE id = ? AND category_id = ?',
-                [postId, subforumId]
-            );
+            for (const subforum of subforums) {
+                try {
+                    const forumDB = await this.dbManager.getForumDB(subforum.id);
 
-            if (!post) {
-                throw new Error('게시글을 찾을 수 없습니다.');
-            }
+                    const comments = await this.dbManager.allQuery(
+                        forumDB,
+                        `SELECT
+                            c.id,
+                            c.post_id,
+                            c.content,
+                            c.created_at,
+                            c.updated_at,
+                            p.title as post_title,
+                            p.category_id
+                         FROM comments c
+                         JOIN posts p ON p.id = c.post_id
+                         WHERE c.user_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL
+                         ORDER BY c.created_at DESC`,
+                        [userId]
+                    );
 
-            // 댓글 생성
-            const result = await this.dbManager.runQuery(
-                forumDB,
-                `INSERT INTO comments (post_id, user_id, content, created_at, updated_at)
-                 VALUES (?, ?, ?, datetime('now'), datetime('now'))`,
-                [postId, userId, content]
-            );
+                    // 서브포럼 정보 및 미리보기 추가
+                    const commentsWithSubforum = comments.map(({ content, ...comment }) => ({
+                        ...comment,
+                        content_preview: extractPlainText(content, 150),
+                        subforum_name: subforum.name
+                    }));
 
-            if (!result.id) {
-                throw new Error('댓글 작성에 실패했습니다.');
+                    allComments.push(...commentsWithSubforum);
+                } catch (error) {
+                    console.warn(`서브포럼 ${subforum.id} 사용자 댓글 조회 실패:`, error);
+                }
             }
 
-            console.log(`댓글 생성 완료: ID ${result.id}, 게시글 ${postId}`);
-            return result.id;
+            // 생성 시간 기준으로 정렬
+            const sortedComments = allComments.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+            // 페이지네이션 적용
+            const paginatedComments = sortedComments.slice(offset, offset + limit);
+            const totalCount = sortedComments.length;
+            const totalPages = Math.ceil(totalCount / limit);
+
+            return {
+                comments: paginatedComments,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: totalCount,
+                    limit: limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            };
         } catch (error) {
-            console.error('댓글 작성 실패:', error);
+            console.error('사용자 댓글 목록 조회 실패:', error);
             throw error;
         }
     }
 
     /**
-     * 게시글의 댓글 목록 조회
-     * @param {number} postId - 게시글 ID
+     * 서브포럼 최근 댓글 목록 조회 (모더레이션용)
      * @param {number} subforumId - 서브포럼 ID
      * @param {Object} options - 조회 옵션
-     * @returns {Promise<Array>} 댓글 목록
+     * @param {number} options.page - 페이지 번호 (기본값: 1)
+     * @param {number} options.limit - 페이지당 댓글 수 (기본값: 20)
+     * @returns {Promise<Object>} 댓글 목록과 페이지네이션 정보
      */
-    async getComments(postId, subforumId, options = {}) {
-        const { page = 1, limit = 50 } = options;
+    async getRecentComments(subforumId, options = {}) {
+        const { page = 1, limit = 20 } = options;
 
-        if (!postId || !subforumId) {
-            return [];
+        if (!subforumId) {
+            throw new Error('서브포럼 ID가 필요합니다.');
         }
 
         try {
             const forumDB = await this.dbManager.getForumDB(subforumId);
             const configDB = this.dbManager.getConfigDB();
-
-            // 오프셋 계산
             const offset = (page - 1) * limit;
 
-            // 댓글 목록 조회
             const comments = await this.dbManager.allQuery(
                 forumDB,
                 `SELECT
@@ -1049,55 +1404,442 @@ class ForumService {
                     c.user_id,
                     c.content,
                     c.created_at,
-                    c.updated_at
+                    p.title as post_title
                  FROM comments c
-                 WHERE c.post_id = ?
-                 ORDER BY c.created_at ASC
+                 JOIN posts p ON p.id = c.post_id
+                 WHERE p.category_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL
+                 ORDER BY c.created_at DESC, c.id DESC
                  LIMIT ? OFFSET ?`,
-                [postId, limit, offset]
+                [subforumId, limit, offset]
             );
 
-            // 사용자 정보를 config DB에서 별도로 조회하여 추가
             const commentsWithUserInfo = await Promise.all(
-                comments.map(async (comment) => {
-                    if (comment.user_id) {
-                        const user = await this.dbManager.getQuery(
-                            configDB,
-                            'SELECT username, role FROM users WHERE id = ?',
-                            [comment.user_id]
-                        );
-                        return {
-                            ...comment,
-                            username: user?.username || '알 수 없음',
-                            role: user?.role || 'user'
-                        };
-                    }
+                comments.map(async ({ content, ...comment }) => {
+                    const user = await this.dbManager.getQuery(
+                        configDB,
+                        'SELECT username FROM users WHERE id = ?',
+                        [comment.user_id]
+                    );
                     return {
                         ...comment,
-                        username: '알 수 없음',
-                        role: 'user'
+                        category_id: subforumId,
+                        username: user?.username || '알 수 없음',
+                        content_preview: extractPlainText(content, 100)
                     };
                 })
             );
 
-            return commentsWithUserInfo;
-        } catch (error) {
-            console.error('댓글 목록 조회 실패:', error);
-            return [];
-        }
-    }
+            const totalCountResult = await this.dbManager.getQuery(
+                forumDB,
+                `SELECT COUNT(*) as count FROM comments c
+                 JOIN posts p ON p.id = c.post_id
+                 WHERE p.category_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
+                [subforumId]
+            );
 
-    /**
-     * 댓글 수정
-     * @param {number} commentId - 댓글 ID
-     * @param {number} subforumId - 서브포럼 ID
-     * @param {number} userId - 수정자 ID
-     * @param {string} content - 수정할 내용
-     * @returns {Promise<boolean>} 수정 성공 여부
-     */
-    async updateComment(commentId, subforumId, userId, content) {
-        if (!commentId || !subforumId || !userId || !content) {
-            throw new Error('필수 정보가 누락되었습니다.');
+            const totalCount = totalCountResult?.count || 0;
+            const totalPages = Math.ceil(totalCount / limit);
+
+            return {
+                comments: commentsWithUserInfo,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: totalCount,
+                    limit: limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            };
+        } catch (error) {
+            console.error('서브포럼 최근 댓글 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 댓글 작성
+     * @param {number} userId - 작성자 ID
+     * @param {number} postId - 게시글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} content - 댓글 내용
+     * @param {number|null} parentId - 답글 대상 댓글 ID (null이면 최상위 댓글)
+     * @returns {Promise<number>} 생성된 댓글 ID
+     */
+    async createComment(userId, postId, subforumId, content, parentId = null) {
+        if (!userId || !postId || !subforumId || !content) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            // 게시글 존재 확인
+            const post = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT id, user_id, title, is_locked FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
+                [postId, subforumId]
+            );
+
+            if (!post) {
+                throw new Error('게시글을 찾을 수 없습니다.');
+            }
+
+            if (post.is_locked) {
+                throw new Error('잠긴 게시글에는 댓글을 작성할 수 없습니다.');
+            }
+
+            // 답글인 경우 부모 댓글 확인 및 깊이 계산
+            let depth = 0;
+            let replyToUserId = null;
+            if (parentId) {
+                const parent = await this.dbManager.getQuery(
+                    forumDB,
+                    'SELECT id, user_id, parent_id, depth FROM comments WHERE id = ? AND post_id = ? AND deleted_at IS NULL',
+                    [parentId, postId]
+                );
+
+                if (!parent) {
+                    throw new Error('답글을 달 댓글을 찾을 수 없습니다.');
+                }
+
+                replyToUserId = parent.user_id;
+
+                if (parent.depth >= MAX_COMMENT_DEPTH) {
+                    // 최대 깊이에 도달하면 부모 댓글과 같은 스레드에 형제로 추가
+                    parentId = parent.parent_id;
+                    depth = parent.depth;
+                } else {
+                    depth = parent.depth + 1;
+                }
+            }
+
+            // 댓글 생성
+            const result = await this.dbManager.runQuery(
+                forumDB,
+                `INSERT INTO comments (post_id, user_id, parent_id, depth, content, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+                [postId, userId, parentId || null, depth, content]
+            );
+
+            if (!result.id) {
+                throw new Error('댓글 작성에 실패했습니다.');
+            }
+
+            console.log(`댓글 생성 완료: ID ${result.id}, 게시글 ${postId}${parentId ? `, 부모 댓글 ${parentId}` : ''}`);
+
+            const notifiedUserIds = await this.notifyCommentCreated({
+                actorId: userId,
+                post: post,
+                subforumId: subforumId,
+                commentId: result.id,
+                replyToUserId: replyToUserId
+            });
+
+            // 댓글/답글 알림을 이미 받은 사용자는 멘션 알림에서 제외
+            await this.notifyMentions({
+                actorId: userId,
+                content: content,
+                postTitle: post.title,
+                link: `/forum/subforum/${subforumId}/post/${postId}#comment-${result.id}`,
+                excludeUserIds: notifiedUserIds
+            });
+
+            return result.id;
+        } catch (error) {
+            console.error('댓글 작성 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글의 댓글 목록 조회 (트리 구조)
+     * @param {number} postId - 게시글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {Object} options - 조회 옵션
+     * @param {number} options.page - 페이지 번호 (최상위 댓글 기준, 기본값: 1)
+     * @param {number} options.limit - 페이지당 최상위 댓글 수 (기본값: 50)
+     * @param {number|null} options.viewerId - 조회하는 사용자 ID (추천 여부 확인용)
+     * @returns {Promise<Array>} 최상위 댓글 목록 (각 댓글의 replies에 답글 포함)
+     */
+    async getComments(postId, subforumId, options = {}) {
+        const { page = 1, limit = 50, viewerId = null } = options;
+
+        if (!postId || !subforumId) {
+            return [];
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+            const configDB = this.dbManager.getConfigDB();
+
+            // 오프셋 계산
+            const offset = (page - 1) * limit;
+
+            // 댓글 전체 조회 (트리 구성 후 최상위 댓글 기준으로 페이지네이션)
+            const comments = await this.dbManager.allQuery(
+                forumDB,
+                `SELECT
+                    c.id,
+                    c.post_id,
+                    c.user_id,
+                    c.parent_id,
+                    c.depth,
+                    c.content,
+                    c.created_at,
+                    c.updated_at,
+                    c.deleted_at,
+                    c.deleted_by
+                 FROM comments c
+                 WHERE c.post_id = ?
+                 ORDER BY c.created_at ASC, c.id ASC`,
+                [postId]
+            );
+
+            // 삭제된 댓글은 답글 스레드 유지를 위해 내용 없이 자리만 표시
+            for (const comment of comments) {
+                comment.is_deleted = !!comment.deleted_at;
+                comment.deleted_by_moderator = comment.is_deleted && comment.deleted_by !== comment.user_id;
+                if (comment.is_deleted) {
+                    comment.content = '';
+                }
+                delete comment.deleted_by;
+            }
+
+            // 댓글별 추천 수 및 조회자의 추천 여부 조회
+            const reactionSummary = await this.getReactionSummary(
+                forumDB,
+                'comment',
+                comments.map(comment => comment.id),
+                viewerId
+            );
+
+            // 댓글 본문의 @멘션 중 실제 존재하는 사용자 조회
+            const mentions = await this.resolveMentions(comments.map(comment => comment.content).filter(Boolean));
+
+            // 사용자 정보를 config DB에서 별도로 조회하여 추가
+            const commentsWithUserInfo = await Promise.all(
+                comments.map(async (comment) => {
+                    const reactionInfo = {
+                        reaction_count: reactionSummary.counts.get(comment.id) || 0,
+                        user_reacted: reactionSummary.reactedIds.has(comment.id)
+                    };
+                    if (comment.user_id) {
+                        const user = await this.dbManager.getQuery(
+                            configDB,
+                            'SELECT username, role FROM users WHERE id = ?',
+                            [comment.user_id]
+                        );
+                        return {
+                            ...comment,
+                            ...reactionInfo,
+                            username: user?.username || '알 수 없음',
+                            role: user?.role || 'user',
+                            content_html: renderMarkdown(comment.content, { mentions })
+                        };
+                    }
+                    return {
+                        ...comment,
+                        ...reactionInfo,
+                        username: '알 수 없음',
+                        role: 'user',
+                        content_html: renderMarkdown(comment.content, { mentions })
+                    };
+                })
+            );
+
+            const commentTree = this.buildCommentTree(commentsWithUserInfo);
+
+            return commentTree.slice(offset, offset + limit);
+        } catch (error) {
+            console.error('댓글 목록 조회 실패:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 평면 댓글 목록을 트리 구조로 변환
+     * @param {Array} comments - 작성 시간 순으로 정렬된 댓글 목록
+     * @returns {Array} 최상위 댓글 목록 (replies, reply_count 포함)
+     */
+    buildCommentTree(comments) {
+        const nodes = new Map();
+        const roots = [];
+
+        for (const comment of comments) {
+            nodes.set(comment.id, { ...comment, replies: [], reply_count: 0 });
+        }
+
+        for (const node of nodes.values()) {
+            const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+            if (parent) {
+                parent.replies.push(node);
+            } else {
+                // 부모 댓글이 없는 경우 (최상위 댓글 또는 부모가 삭제된 답글)
+                roots.push(node);
+            }
+        }
+
+        // 하위 답글 전체 개수 계산 (접힌 스레드 표시용)
+        const countReplies = (node) => {
+            node.reply_count = node.replies.reduce((sum, reply) => sum + 1 + countReplies(reply), 0);
+            return node.reply_count;
+        };
+        roots.forEach(countReplies);
+
+        return roots;
+    }
+
+    /**
+     * 댓글 작성 알림 전송 (게시글 작성자, 답글 대상 댓글 작성자)
+     * @param {Object} params - 알림 정보
+     * @param {number} params.actorId - 댓글 작성자 ID
+     * @param {Object} params.post - 게시글 (id, user_id, title)
+     * @param {number} params.subforumId - 서브포럼 ID
+     * @param {number} params.commentId - 작성된 댓글 ID
+     * @param {number|null} params.replyToUserId - 답글 대상 댓글 작성자 ID
+     * @returns {Promise<Array<number>>} 알림 대상 사용자 ID 목록
+     */
+    async notifyCommentCreated({ actorId, post, subforumId, commentId, replyToUserId = null }) {
+        const actorName = await this.getUsername(actorId);
+        const postTitle = this.truncateTitle(post.title);
+        const link = `/forum/subforum/${subforumId}/post/${post.id}#comment-${commentId}`;
+        const recipientIds = [];
+
+        if (replyToUserId) {
+            recipientIds.push(replyToUserId);
+            await this.notificationService.notify({
+                userId: replyToUserId,
+                actorId: actorId,
+                type: NotificationService.TYPES.REPLY,
+                message: `${actorName}님이 "${postTitle}"의 회원님 댓글에 답글을 남겼습니다.`,
+                link: link
+            });
+        }
+
+        // 답글 알림을 받은 게시글 작성자에게는 중복 알림을 보내지 않음
+        if (post.user_id !== replyToUserId) {
+            recipientIds.push(post.user_id);
+            await this.notificationService.notify({
+                userId: post.user_id,
+                actorId: actorId,
+                type: NotificationService.TYPES.COMMENT,
+                message: `${actorName}님이 회원님의 게시글 "${postTitle}"에 댓글을 남겼습니다.`,
+                link: link
+            });
+        }
+
+        return recipientIds;
+    }
+
+    /**
+     * 본문의 @멘션을 실제 사용자로 변환
+     * @param {Array<string>} contents - 마크다운 본문 목록
+     * @returns {Promise<Map<string, number>>} 존재하는 사용자명 → 사용자 ID
+     */
+    async resolveMentions(contents) {
+        const usernames = new Set();
+        for (const content of contents) {
+            extractMentions(content).forEach(username => usernames.add(username));
+        }
+
+        const mentions = new Map();
+        if (usernames.size === 0) {
+            return mentions;
+        }
+
+        const usernameList = Array.from(usernames);
+        const placeholders = usernameList.map(() => '?').join(',');
+        const users = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            `SELECT id, username FROM users WHERE username IN (${placeholders})`,
+            usernameList
+        );
+
+        users.forEach(user => mentions.set(user.username, user.id));
+        return mentions;
+    }
+
+    /**
+     * 게시글/댓글에서 멘션된 사용자에게 알림 전송
+     * @param {Object} params - 알림 정보
+     * @param {number} params.actorId - 작성자 ID
+     * @param {string} params.content - 마크다운 본문
+     * @param {string} params.postTitle - 게시글 제목
+     * @param {string} params.link - 알림 클릭 시 이동할 경로
+     * @param {Array<number>} params.excludeUserIds - 이미 다른 알림을 받은 사용자 ID 목록
+     * @returns {Promise<Array<number>>} 멘션 알림을 받은 사용자 ID 목록
+     */
+    async notifyMentions({ actorId, content, postTitle, link, excludeUserIds = [] }) {
+        try {
+            const mentions = await this.resolveMentions([content]);
+            const recipientIds = Array.from(mentions.values())
+                .filter(userId => userId !== actorId && !excludeUserIds.includes(userId))
+                .slice(0, MAX_MENTION_NOTIFICATIONS);
+
+            if (recipientIds.length === 0) {
+                return [];
+            }
+
+            const actorName = await this.getUsername(actorId);
+            const title = this.truncateTitle(postTitle);
+
+            for (const userId of recipientIds) {
+                await this.notificationService.notify({
+                    userId: userId,
+                    actorId: actorId,
+                    type: NotificationService.TYPES.MENTION,
+                    message: `${actorName}님이 "${title}"에서 회원님을 언급했습니다.`,
+                    link: link
+                });
+            }
+
+            return recipientIds;
+        } catch (error) {
+            // 멘션 알림 실패는 글 작성에 영향을 주지 않음
+            console.warn('멘션 알림 전송 실패:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 사용자명 조회 (알림 메시지용)
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<string>} 사용자명
+     */
+    async getUsername(userId) {
+        const user = await this.dbManager.getQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT username FROM users WHERE id = ?',
+            [userId]
+        );
+        return user?.username || '알 수 없음';
+    }
+
+    /**
+     * 알림 메시지용 제목 줄임
+     * @param {string} title - 게시글 제목
+     * @param {number} maxLength - 최대 길이 (기본값: 30)
+     * @returns {string} 줄인 제목
+     */
+    truncateTitle(title, maxLength = 30) {
+        if (!title || title.length <= maxLength) {
+            return title || '';
+        }
+        return title.substring(0, maxLength) + '...';
+    }
+
+    /**
+     * 댓글 수정
+     * @param {number} commentId - 댓글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {number} userId - 수정자 ID
+     * @param {string} content - 수정할 내용
+     * @returns {Promise<boolean>} 수정 성공 여부
+     */
+    async updateComment(commentId, subforumId, userId, content) {
+        if (!commentId || !subforumId || !userId || !content) {
+            throw new Error('필수 정보가 누락되었습니다.');
         }
 
         try {
@@ -1106,7 +1848,7 @@ class ForumService {
             // 댓글 존재 및 권한 확인
             const existingComment = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT user_id FROM comments WHERE id = ?',
+                'SELECT user_id FROM comments WHERE id = ? AND deleted_at IS NULL',
                 [commentId]
             );
 
@@ -1118,36 +1860,235 @@ class ForumService {
                 throw new Error('댓글 수정 권한이 없습니다.');
             }
 
-            // 댓글 수정
-            const result = await this.dbManager.runQuery(
+            // 댓글 수정 (수정 기록 저장)
+            await this.saveRevision(forumDB, 'comment', commentId, userId, { content });
+
+            console.log(`댓글 수정 완료: ID ${commentId}`);
+            return true;
+        } catch (error) {
+            console.error('댓글 수정 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글/댓글 내용을 변경하고 수정 기록 저장
+     * 첫 수정이면 수정 전 내용을 원본 기록으로 함께 저장하며, 모든 변경은 한 트랜잭션으로 처리
+     * @param {Object} forumDB - 포럼 데이터베이스 연결
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @param {number} editorId - 수정자 ID
+     * @param {Object} changes - 변경할 내용
+     * @param {string} changes.title - 제목 (게시글만)
+     * @param {string} changes.content - 내용
+     * @returns {Promise<boolean>} 변경 여부 (기존과 같은 내용이면 false)
+     */
+    async saveRevision(forumDB, targetType, targetId, editorId, { title = null, content }) {
+        const isPost = targetType === 'post';
+        const table = isPost ? 'posts' : 'comments';
+        const titleColumn = isPost ? 'title' : 'NULL';
+
+        const current = await this.dbManager.getQuery(
+            forumDB,
+            `SELECT ${titleColumn} as title, content FROM ${table} WHERE id = ?`,
+            [targetId]
+        );
+
+        if (!current) {
+            throw new Error(isPost ? '게시글을 찾을 수 없습니다.' : '댓글을 찾을 수 없습니다.');
+        }
+
+        const nextTitle = isPost ? title : null;
+        if (current.content === content && current.title === nextTitle) {
+            return false;
+        }
+
+        await this.dbManager.runTransaction(forumDB, [
+            {
+                sql: `INSERT INTO revisions (target_type, target_id, title, content, edited_by, created_at)
+                      SELECT ?, id, ${titleColumn}, content, user_id, updated_at
+                      FROM ${table}
+                      WHERE id = ? AND NOT EXISTS (
+                          SELECT 1 FROM revisions WHERE target_type = ? AND target_id = ?
+                      )`,
+                params: [targetType, targetId, targetType, targetId]
+            },
+            {
+                sql: isPost
+                    ? `UPDATE posts SET title = ?, content = ?, updated_at = datetime('now') WHERE id = ?`
+                    : `UPDATE comments SET content = ?, updated_at = datetime('now') WHERE id = ?`,
+                params: isPost ? [title, content, targetId] : [content, targetId]
+            },
+            {
+                sql: `INSERT INTO revisions (target_type, target_id, title, content, edited_by, created_at)
+                      VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+                params: [targetType, targetId, nextTitle, content, editorId]
+            }
+        ]);
+
+        return true;
+    }
+
+    /**
+     * 게시글/댓글 수정 기록 조회 (이전 버전과의 줄 단위 차이 포함)
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @returns {Promise<Object|null>} 대상 정보와 최신순 수정 기록 목록
+     */
+    async getRevisionHistory(targetType, targetId, subforumId) {
+        if (!['post', 'comment'].includes(targetType) || !targetId || !subforumId) {
+            return null;
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+            const configDB = this.dbManager.getConfigDB();
+
+            const target = targetType === 'post'
+                ? await this.dbManager.getQuery(
+                    forumDB,
+                    `SELECT id, id as post_id, user_id, title, content, created_at, updated_at
+                     FROM posts
+                     WHERE id = ? AND category_id = ? AND deleted_at IS NULL`,
+                    [targetId, subforumId]
+                )
+                : await this.dbManager.getQuery(
+                    forumDB,
+                    `SELECT c.id, c.post_id, c.user_id, NULL as title, c.content, c.created_at, c.updated_at,
+                            p.title as post_title
+                     FROM comments c
+                     JOIN posts p ON p.id = c.post_id
+                     WHERE c.id = ? AND p.category_id = ? AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
+                    [targetId, subforumId]
+                );
+
+            if (!target) {
+                return null;
+            }
+
+            let rows = await this.dbManager.allQuery(
                 forumDB,
-                `UPDATE comments
-                 SET content = ?, updated_at = datetime('now')
-                 WHERE id = ?`,
-                [content, commentId]
+                `SELECT id, title, content, edited_by, created_at
+                 FROM revisions
+                 WHERE target_type = ? AND target_id = ?
+                 ORDER BY id`,
+                [targetType, targetId]
             );
 
-            if (result.changes === 0) {
-                throw new Error('댓글 수정에 실패했습니다.');
+            // 수정된 적 없으면 현재 내용이 유일한 버전
+            if (rows.length === 0) {
+                rows = [{
+                    id: null,
+                    title: target.title,
+                    content: target.content,
+                    edited_by: target.user_id,
+                    created_at: target.created_at
+                }];
             }
 
-            console.log(`댓글 수정 완료: ID ${commentId}`);
+            const usernames = new Map();
+            for (const editorId of new Set(rows.map(row => row.edited_by))) {
+                const user = await this.dbManager.getQuery(
+                    configDB,
+                    'SELECT username FROM users WHERE id = ?',
+                    [editorId]
+                );
+                usernames.set(editorId, user?.username || '알 수 없음');
+            }
+
+            const revisions = rows.map((revision, index) => {
+                const previous = index > 0 ? rows[index - 1] : null;
+                return {
+                    ...revision,
+                    number: index + 1,
+                    editor_username: usernames.get(revision.edited_by),
+                    is_current: index === rows.length - 1,
+                    previous_title: previous ? previous.title : null,
+                    title_changed: !!previous && previous.title !== revision.title,
+                    diff: diffLines(previous ? previous.content : '', revision.content)
+                };
+            });
+
+            return {
+                target: { ...target, type: targetType },
+                revisions: revisions.reverse()
+            };
+        } catch (error) {
+            console.error('수정 기록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 게시글을 이전 버전으로 되돌리기 (되돌린 내용도 새 수정 기록으로 저장)
+     * @param {number} postId - 게시글 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {number} revisionId - 되돌릴 수정 기록 ID
+     * @param {number} userId - 요청자 ID
+     * @param {boolean} isModerator - 모더레이터 여부
+     * @returns {Promise<boolean>} 되돌리기 성공 여부
+     */
+    async revertPost(postId, subforumId, revisionId, userId, isModerator = false) {
+        if (!postId || !subforumId || !revisionId || !userId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const existingPost = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT user_id FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
+                [postId, subforumId]
+            );
+
+            if (!existingPost) {
+                throw new Error('게시글을 찾을 수 없습니다.');
+            }
+
+            if (existingPost.user_id !== userId && !isModerator) {
+                throw new Error('게시글을 되돌릴 권한이 없습니다.');
+            }
+
+            const revision = await this.dbManager.getQuery(
+                forumDB,
+                `SELECT title, content FROM revisions
+                 WHERE id = ? AND target_type = 'post' AND target_id = ?`,
+                [revisionId, postId]
+            );
+
+            if (!revision) {
+                throw new Error('수정 기록을 찾을 수 없습니다.');
+            }
+
+            const changed = await this.saveRevision(forumDB, 'post', postId, userId, {
+                title: revision.title,
+                content: revision.content
+            });
+
+            if (!changed) {
+                throw new Error('현재 내용이 선택한 버전과 같습니다.');
+            }
+
+            console.log(`게시글 되돌리기 완료: ID ${postId}, 서브포럼 ${subforumId}, 수정 기록 ${revisionId}`);
             return true;
         } catch (error) {
-            console.error('댓글 수정 실패:', error);
+            console.error('게시글 되돌리기 실패:', error);
             throw error;
         }
     }
 
     /**
-     * 댓글 삭제
+     * 댓글 삭제 (휴지통으로 이동)
      * @param {number} commentId - 댓글 ID
      * @param {number} subforumId - 서브포럼 ID
      * @param {number} userId - 삭제 요청자 ID
      * @param {boolean} isModerator - 모더레이터 여부
+     * @param {string|null} reason - 삭제 사유 (선택사항)
      * @returns {Promise<boolean>} 삭제 성공 여부
      */
-    async deleteComment(commentId, subforumId, userId, isModerator = false) {
+    async deleteComment(commentId, subforumId, userId, isModerator = false, reason = null) {
         if (!commentId || !subforumId || !userId) {
             throw new Error('필수 정보가 누락되었습니다.');
         }
@@ -1158,7 +2099,7 @@ class ForumService {
             // 댓글 존재 및 권한 확인
             const existingComment = await this.dbManager.getQuery(
                 forumDB,
-                'SELECT user_id FROM comments WHERE id = ?',
+                'SELECT user_id, post_id FROM comments WHERE id = ? AND deleted_at IS NULL',
                 [commentId]
             );
 
@@ -1171,11 +2112,13 @@ class ForumService {
                 throw new Error('댓글 삭제 권한이 없습니다.');
             }
 
-            // 댓글 삭제
+            // 댓글을 휴지통으로 이동 (답글은 그대로 두고 스레드에는 삭제 표시만 남김)
             const result = await this.dbManager.runQuery(
                 forumDB,
-                'DELETE FROM comments WHERE id = ?',
-                [commentId]
+                `UPDATE comments
+                 SET deleted_at = datetime('now'), deleted_by = ?, delete_reason = ?
+                 WHERE id = ? AND deleted_at IS NULL`,
+                [userId, reason || null, commentId]
             );
 
             if (result.changes === 0) {
@@ -1183,6 +2126,18 @@ class ForumService {
             }
 
             console.log(`댓글 삭제 완료: ID ${commentId}`);
+
+            // 모더레이터가 다른 사용자의 댓글을 삭제한 경우 작성자에게 알림
+            if (existingComment.user_id !== userId) {
+                await this.notificationService.notify({
+                    userId: existingComment.user_id,
+                    actorId: userId,
+                    type: NotificationService.TYPES.COMMENT_DELETED,
+                    message: `회원님의 댓글이 모더레이터에 의해 삭제되었습니다.${reason ? ` (사유: ${reason})` : ''}`,
+                    link: `/forum/subforum/${subforumId}/post/${existingComment.post_id}`
+                });
+            }
+
             return true;
         } catch (error) {
             console.error('댓글 삭제 실패:', error);
@@ -1191,7 +2146,360 @@ class ForumService {
     }
 
     /**
-     * 첨부파일 저장
+     * 서브포럼 휴지통 목록 조회 (삭제된 게시글과, 게시 중인 게시글의 삭제된 댓글)
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {Object} options - 조회 옵션
+     * @param {number} options.page - 페이지 번호
+     * @param {number} options.limit - 페이지당 항목 수
+     * @returns {Promise<Object>} 휴지통 항목 목록과 페이지네이션 정보
+     */
+    async getTrash(subforumId, options = {}) {
+        const { page = 1, limit = 20 } = options;
+
+        if (!subforumId) {
+            throw new Error('서브포럼 ID가 필요합니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+            const offset = (page - 1) * limit;
+
+            const trashSQL = `
+                SELECT 'post' as target_type, p.id, p.id as post_id, p.title as post_title, p.content,
+                       p.user_id, p.deleted_at, p.deleted_by, p.delete_reason
+                FROM posts p
+                WHERE p.category_id = ? AND p.deleted_at IS NOT NULL
+                UNION ALL
+                SELECT 'comment' as target_type, c.id, c.post_id, p.title as post_title, c.content,
+                       c.user_id, c.deleted_at, c.deleted_by, c.delete_reason
+                FROM comments c
+                JOIN posts p ON p.id = c.post_id
+                WHERE p.category_id = ? AND c.deleted_at IS NOT NULL AND p.deleted_at IS NULL`;
+
+            const items = await this.dbManager.allQuery(
+                forumDB,
+                `${trashSQL}
+                 ORDER BY deleted_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [subforumId, subforumId, limit, offset]
+            );
+
+            const itemsWithUserInfo = await Promise.all(
+                items.map(async ({ content, ...item }) => ({
+                    ...item,
+                    username: await this.getUsername(item.user_id),
+                    deleted_by_username: await this.getUsername(item.deleted_by),
+                    content_preview: extractPlainText(content, 150)
+                }))
+            );
+
+            const totalCountResult = await this.dbManager.getQuery(
+                forumDB,
+                `SELECT COUNT(*) as count FROM (${trashSQL})`,
+                [subforumId, subforumId]
+            );
+
+            const totalCount = totalCountResult?.count || 0;
+            const totalPages = Math.ceil(totalCount / limit);
+
+            return {
+                items: itemsWithUserInfo,
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: totalCount,
+                    limit: limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            };
+        } catch (error) {
+            console.error('휴지통 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 휴지통의 게시글/댓글 복원
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @returns {Promise<boolean>} 복원 성공 여부
+     */
+    async restoreFromTrash(subforumId, targetType, targetId) {
+        if (!subforumId || !targetType || !targetId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const result = targetType === 'post'
+                ? await this.dbManager.runQuery(
+                    forumDB,
+                    `UPDATE posts
+                     SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL
+                     WHERE id = ? AND category_id = ? AND deleted_at IS NOT NULL`,
+                    [targetId, subforumId]
+                )
+                : await this.dbManager.runQuery(
+                    forumDB,
+                    `UPDATE comments
+                     SET deleted_at = NULL, deleted_by = NULL, delete_reason = NULL
+                     WHERE id = ? AND deleted_at IS NOT NULL
+                       AND post_id IN (SELECT id FROM posts WHERE category_id = ? AND deleted_at IS NULL)`,
+                    [targetId, subforumId]
+                );
+
+            if (result.changes === 0) {
+                throw new Error('휴지통에서 항목을 찾을 수 없습니다.');
+            }
+
+            console.log(`휴지통 복원 완료: ${targetType} ${targetId}, 서브포럼 ${subforumId}`);
+            return true;
+        } catch (error) {
+            console.error('휴지통 복원 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 휴지통의 게시글/댓글 영구 삭제
+     * 게시글은 댓글과 첨부파일을 함께 삭제하고, 댓글은 답글을 상위 댓글로 올린 뒤 삭제
+     * (추천, 신고, 수정 기록은 트리거가 정리)
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @returns {Promise<boolean>} 삭제 성공 여부
+     */
+    async purgeFromTrash(subforumId, targetType, targetId) {
+        if (!subforumId || !targetType || !targetId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            if (targetType === 'post') {
+                const post = await this.dbManager.getQuery(
+                    forumDB,
+                    'SELECT id FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NOT NULL',
+                    [targetId, subforumId]
+                );
+
+                if (!post) {
+                    throw new Error('휴지통에서 항목을 찾을 수 없습니다.');
+                }
+
+                await this.dbManager.runTransaction(forumDB, [
+                    { sql: 'DELETE FROM comments WHERE post_id = ?', params: [targetId] },
+                    { sql: 'DELETE FROM attachments WHERE post_id = ?', params: [targetId] },
+                    { sql: 'DELETE FROM posts WHERE id = ?', params: [targetId] }
+                ]);
+            } else {
+                const comment = await this.dbManager.getQuery(
+                    forumDB,
+                    `SELECT c.id, c.parent_id
+                     FROM comments c
+                     JOIN posts p ON p.id = c.post_id
+                     WHERE c.id = ? AND p.category_id = ? AND c.deleted_at IS NOT NULL`,
+                    [targetId, subforumId]
+                );
+
+                if (!comment) {
+                    throw new Error('휴지통에서 항목을 찾을 수 없습니다.');
+                }
+
+                await this.dbManager.runTransaction(forumDB, [
+                    {
+                        sql: `WITH RECURSIVE thread(id) AS (
+                                  SELECT id FROM comments WHERE parent_id = ?
+                                  UNION ALL
+                                  SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id
+                              )
+                              UPDATE comments SET depth = depth - 1 WHERE id IN (SELECT id FROM thread)`,
+                        params: [targetId]
+                    },
+                    { sql: 'UPDATE comments SET parent_id = ? WHERE parent_id = ?', params: [comment.parent_id, targetId] },
+                    { sql: 'DELETE FROM comments WHERE id = ?', params: [targetId] }
+                ]);
+            }
+
+            console.log(`휴지통 영구 삭제 완료: ${targetType} ${targetId}, 서브포럼 ${subforumId}`);
+            return true;
+        } catch (error) {
+            console.error('휴지통 영구 삭제 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 보관 기간이 지난 휴지통 항목 영구 삭제 (전체 서브포럼)
+     * @param {number} retentionDays - 휴지통 보관 기간 (일)
+     * @returns {Promise<Object>} 영구 삭제된 게시글/댓글 수
+     */
+    async purgeExpiredTrash(retentionDays) {
+        const cutoff = `-${Math.max(parseInt(retentionDays) || 0, 0)} days`;
+        const purged = { posts: 0, comments: 0 };
+
+        const categories = await this.dbManager.allQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT id FROM categories ORDER BY id'
+        );
+
+        for (const category of categories) {
+            try {
+                const forumDB = await this.dbManager.getForumDB(category.id);
+
+                const posts = await this.dbManager.allQuery(
+                    forumDB,
+                    `SELECT id FROM posts
+                     WHERE category_id = ? AND deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)`,
+                    [category.id, cutoff]
+                );
+                for (const post of posts) {
+                    await this.purgeFromTrash(category.id, 'post', post.id);
+                    purged.posts++;
+                }
+
+                const comments = await this.dbManager.allQuery(
+                    forumDB,
+                    `SELECT id FROM comments
+                     WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)
+                     ORDER BY depth DESC`,
+                    [cutoff]
+                );
+                for (const comment of comments) {
+                    await this.purgeFromTrash(category.id, 'comment', comment.id);
+                    purged.comments++;
+                }
+            } catch (error) {
+                console.error(`서브포럼 ${category.id} 휴지통 정리 실패:`, error);
+            }
+        }
+
+        if (purged.posts > 0 || purged.comments > 0) {
+            console.log(`휴지통 정리 완료: 게시글 ${purged.posts}개, 댓글 ${purged.comments}개 영구 삭제`);
+        }
+
+        return purged;
+    }
+
+    /**
+     * 게시글 또는 댓글 추천 토글 (사용자당 대상별 1회)
+     * @param {number} userId - 사용자 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @returns {Promise<Object>} 토글 후 추천 상태와 추천 수 (대상이 없거나 휴지통에 있으면 status 404 오류)
+     */
+    async toggleReaction(userId, subforumId, targetType, targetId) {
+        if (!userId || !subforumId || !targetType || !targetId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        if (!['post', 'comment'].includes(targetType)) {
+            throw new Error('올바르지 않은 추천 대상입니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            // 추천 대상 존재 확인 (댓글은 해당 서브포럼의 휴지통에 있지 않은 게시글에 달린 것만)
+            const target = targetType === 'post'
+                ? await this.dbManager.getQuery(
+                    forumDB,
+                    'SELECT id FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
+                    [targetId, subforumId]
+                )
+                : await this.dbManager.getQuery(
+                    forumDB,
+                    `SELECT c.id FROM comments c
+                     JOIN posts p ON c.post_id = p.id
+                     WHERE c.id = ? AND c.deleted_at IS NULL
+                     AND p.category_id = ? AND p.deleted_at IS NULL`,
+                    [targetId, subforumId]
+                );
+
+            if (!target) {
+                const error = new Error(targetType === 'post' ? '게시글을 찾을 수 없습니다.' : '댓글을 찾을 수 없습니다.');
+                error.status = 404;
+                throw error;
+            }
+
+            // 이미 추천한 경우 취소, 아니면 추가
+            const removed = await this.dbManager.runQuery(
+                forumDB,
+                'DELETE FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ?',
+                [targetType, targetId, userId]
+            );
+
+            if (removed.changes === 0) {
+                await this.dbManager.runQuery(
+                    forumDB,
+                    `INSERT OR IGNORE INTO reactions (target_type, target_id, user_id, created_at)
+                     VALUES (?, ?, ?, datetime('now'))`,
+                    [targetType, targetId, userId]
+                );
+            }
+
+            const countResult = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT COUNT(*) as count FROM reactions WHERE target_type = ? AND target_id = ?',
+                [targetType, targetId]
+            );
+
+            return {
+                reacted: removed.changes === 0,
+                reaction_count: countResult?.count || 0
+            };
+        } catch (error) {
+            console.error('추천 처리 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 대상별 추천 수와 조회자의 추천 여부 조회
+     * @param {Object} forumDB - 포럼 데이터베이스 연결
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {Array<number>} targetIds - 대상 ID 목록
+     * @param {number|null} viewerId - 조회하는 사용자 ID (선택사항)
+     * @returns {Promise<Object>} counts(대상 ID별 추천 수 Map), reactedIds(조회자가 추천한 대상 ID Set)
+     */
+    async getReactionSummary(forumDB, targetType, targetIds, viewerId = null) {
+        const counts = new Map();
+        const reactedIds = new Set();
+
+        if (targetIds.length === 0) {
+            return { counts, reactedIds };
+        }
+
+        const placeholders = targetIds.map(() => '?').join(', ');
+        const rows = await this.dbManager.allQuery(
+            forumDB,
+            `SELECT
+                target_id,
+                COUNT(*) as count,
+                SUM(CASE WHEN user_id = ? THEN 1 ELSE 0 END) as viewer_count
+             FROM reactions
+             WHERE target_type = ? AND target_id IN (${placeholders})
+             GROUP BY target_id`,
+            [viewerId || 0, targetType, ...targetIds]
+        );
+
+        for (const row of rows) {
+            counts.set(row.target_id, row.count);
+            if (viewerId && row.viewer_count > 0) {
+                reactedIds.add(row.target_id);
+            }
+        }
+
+        return { counts, reactedIds };
+    }
+
+    /**
+     * 첨부파일 저장 (config.upload.storage 방식의 저장소 사용)
      * @param {number} postId - 게시글 ID
      * @param {number} subforumId - 서브포럼 ID
      * @param {Object} file - 업로드된 파일 객체
@@ -1209,17 +2517,22 @@ class ForumService {
             const timestamp = Date.now();
             const uniqueFilename = `${timestamp}_${file.originalname}`;
 
+            // 파일 내용을 먼저 저장 (로컬 저장소는 같은 내용의 파일이 있으면 재사용)
+            const stored = await getAttachmentStore().save(file.buffer);
+
             const result = await this.dbManager.runQuery(
                 forumDB,
-                `INSERT INTO attachments (post_id, filename, original_filename, mime_type, file_size, file_data, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+                `INSERT INTO attachments (post_id, filename, original_filename, mime_type, file_size, storage, content_hash, file_data, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
                 [
                     postId,
                     uniqueFilename,
                     file.originalname,
                     file.mimetype,
                     file.size,
-                    file.buffer
+                    stored.storage,
+                    stored.content_hash,
+                    stored.file_data
                 ]
             );
 
@@ -1266,10 +2579,10 @@ class ForumService {
     }
 
     /**
-     * 첨부파일 데이터 조회
+     * 첨부파일 정보 조회 (파일 내용은 포함하지 않음, 내용은 openAttachmentStream으로 읽음)
      * @param {number} attachmentId - 첨부파일 ID
      * @param {number} subforumId - 서브포럼 ID
-     * @returns {Promise<Object|null>} 첨부파일 데이터
+     * @returns {Promise<Object|null>} 첨부파일 정보 (storage, content_hash 포함)
      */
     async getAttachmentData(attachmentId, subforumId) {
         if (!attachmentId || !subforumId) {
@@ -1281,9 +2594,9 @@ class ForumService {
 
             const attachment = await this.dbManager.getQuery(
                 forumDB,
-                `SELECT id, filename, original_filename, mime_type, file_size, file_data, created_at
+                `SELECT id, post_id, filename, original_filename, mime_type, file_size, storage, content_hash, created_at
                  FROM attachments
-                 WHERE id = ?`,
+                 WHERE id = ? AND post_id IN (SELECT id FROM posts WHERE deleted_at IS NULL)`,
                 [attachmentId]
             );
 
@@ -1294,8 +2607,33 @@ class ForumService {
         }
     }
 
+    /**
+     * 첨부파일 내용 스트림 열기
+     * 로컬 저장소는 디스크에서 바로 읽고, blob 방식(기존 첨부파일)만 DB에서 내용을 읽어옴
+     * @param {Object} attachment - getAttachmentData()로 조회한 첨부파일 정보
+     * @param {number} subforumId - 서브포럼 ID
+     * @returns {Promise<Readable>} 파일 내용 스트림
+     */
+    async openAttachmentStream(attachment, subforumId) {
+        const store = getAttachmentStore(attachment.storage);
+
+        if (attachment.storage !== 'blob') {
+            return store.createReadStream(attachment);
+        }
+
+        const forumDB = await this.dbManager.getForumDB(subforumId);
+        const row = await this.dbManager.getQuery(
+            forumDB,
+            'SELECT file_data FROM attachments WHERE id = ?',
+            [attachment.id]
+        );
+
+        return store.createReadStream({ ...attachment, file_data: row?.file_data });
+    }
+
     /**
      * 첨부파일 삭제
+     * 디스크의 파일은 다른 첨부파일과 공유될 수 있으므로 지우지 않음 (migrate_attachments.js prune으로 정리)
      * @param {number} attachmentId - 첨부파일 ID
      * @param {number} subforumId - 서브포럼 ID
      * @returns {Promise<boolean>} 삭제 성공 여부
@@ -1322,78 +2660,93 @@ class ForumService {
     }
 
     /**
-     * FTS5를 사용한 게시글 전문 검색
-     * @param {string} query - 검색어
+     * FTS5를 사용한 게시글/댓글 전문 검색
+     * 검색어는 parseSearchQuery()로 분석하므로 따옴표나 연산자가 섞여도 문법 오류가 나지 않음
+     * @param {string} query - 검색어 ("구문", -제외, A OR B 지원)
      * @param {Object} options - 검색 옵션
      * @param {number|null} options.subforumId - 특정 서브포럼 ID (null이면 전체 검색)
+     * @param {Array<number>} options.subforumIds - 검색할 서브포럼 ID 목록 (비어 있으면 subforumId 또는 전체)
+     * @param {string} options.author - 작성자 사용자명
+     * @param {string} options.dateFrom - 작성일 시작 (YYYY-MM-DD)
+     * @param {string} options.dateTo - 작성일 끝 (YYYY-MM-DD, 해당 날짜 포함)
+     * @param {boolean} options.hasAttachments - 첨부파일이 있는 게시글(댓글은 게시글 기준)만 검색
      * @param {number} options.page - 페이지 번호 (기본값: 1)
      * @param {number} options.limit - 페이지당 결과 수 (기본값: 20)
      * @param {string} options.sortBy - 정렬 방식 ('relevance', 'created_at', 'view_count')
-     * @returns {Promise<Object>} 검색 결과와 페이지네이션 정보
+     * @returns {Promise<Object>} 검색 결과(results: 게시글/댓글 혼합, result_type으로 구분)와 페이지네이션 정보
      */
     async searchPosts(query, options = {}) {
         const {
             subforumId = null,
+            subforumIds = [],
+            author = '',
+            dateFrom = '',
+            dateTo = '',
+            hasAttachments = false,
             page = 1,
             limit = 20,
             sortBy = 'relevance'
         } = options;
 
-        if (!query || query.trim().length === 0) {
-            return {
-                posts: [],
-                pagination: {
-                    current_page: page,
-                    total_pages: 0,
-                    total_count: 0,
-                    limit: limit,
-                    has_next: false,
-                    has_prev: false
-                },
-                search_info: {
-                    query: query,
-                    subforum_id: subforumId,
-                    sort_by: sortBy
-                }
-            };
+        const searchQuery = (query || '').trim();
+        const parsed = parseSearchQuery(searchQuery);
+        const targetIds = subforumIds.length > 0 ? subforumIds : (subforumId ? [subforumId] : []);
+        const filters = { author, dateFrom, dateTo, hasAttachments };
+
+        // 포함할 검색어도, 검색어 없이 쓸 수 있는 필터도 없으면 빈 결과
+        if (parsed.clauses.length === 0 && !hasContentFilters(filters)) {
+            return this.getEmptySearchResult(searchQuery, { ...options, subforumIds: targetIds });
         }
 
         try {
-            const searchQuery = query.trim();
             const offset = (page - 1) * limit;
+            const plan = this.buildSearchPlan(parsed);
+
+            // 작성자 필터 (없는 사용자면 결과 없음)
+            if (author) {
+                const user = await this.dbManager.getQuery(
+                    this.dbManager.getConfigDB(),
+                    'SELECT id FROM users WHERE username = ?',
+                    [author]
+                );
+                if (!user) {
+                    return this.getEmptySearchResult(searchQuery, { ...options, subforumIds: targetIds });
+                }
+                filters.userId = user.id;
+            }
 
-            // 정렬 방식 결정
+            // 정렬 방식 결정 (게시글/댓글 통합 결과의 컬럼 이름 기준, 병합 시 getSearchResultComparator와 같은 순서)
             let orderClause;
             switch (sortBy) {
                 case 'created_at':
-                    orderClause = 'ORDER BY p.created_at DESC';
+                    orderClause = 'ORDER BY created_at DESC, result_type, id DESC';
                     break;
                 case 'view_count':
-                    orderClause = 'ORDER BY p.view_count DESC, p.created_at DESC';
+                    orderClause = 'ORDER BY view_count DESC, created_at DESC, result_type, id DESC';
                     break;
                 case 'relevance':
                 default:
-                    orderClause = 'ORDER BY posts_fts.rank, p.created_at DESC';
+                    orderClause = 'ORDER BY score DESC, created_at DESC, result_type, id DESC';
                     break;
             }
 
-            if (subforumId) {
+            const searchOptions = {
+                page,
+                limit,
+                offset,
+                orderClause,
+                sortBy,
+                plan,
+                filters,
+                highlightTerms: parsed.terms
+            };
+
+            if (targetIds.length === 1) {
                 // 특정 서브포럼에서 검색
-                return await this.searchInSubforum(searchQuery, subforumId, {
-                    page,
-                    limit,
-                    offset,
-                    orderClause
-                });
+                return await this.searchInSubforum(searchQuery, targetIds[0], searchOptions);
             } else {
-                // 전체 서브포럼에서 검색
-                return await this.searchInAllSubforums(searchQuery, {
-                    page,
-                    limit,
-                    offset,
-                    orderClause,
-                    sortBy
-                });
+                // 여러 서브포럼 또는 전체 서브포럼에서 검색
+                return await this.searchInAllSubforums(searchQuery, { ...searchOptions, subforumIds: targetIds });
             }
         } catch (error) {
             console.error('게시글 검색 실패:', error);
@@ -1402,323 +2755,534 @@ class ForumService {
     }
 
     /**
-     * 특정 서브포럼에서 검색
+     * 결과가 없는 검색 응답
      * @param {string} searchQuery - 검색어
-     * @param {number} subforumId - 서브포럼 ID
      * @param {Object} options - 검색 옵션
-     * @returns {Promise<Object>} 검색 결과
+     * @returns {Object} 빈 검색 결과
      */
-    async searchInSubforum(searchQuery, subforumId, options) {
-        const { page, limit, offset, orderClause } = options;
+    getEmptySearchResult(searchQuery, options = {}) {
+        const { page = 1, limit = 20, sortBy = 'relevance', subforumIds = [] } = options;
+
+        return {
+            results: [],
+            pagination: {
+                current_page: page,
+                total_pages: 0,
+                total_count: 0,
+                limit: limit,
+                has_next: false,
+                has_prev: false
+            },
+            search_info: {
+                query: searchQuery,
+                subforum_id: subforumIds.length === 1 ? subforumIds[0] : null,
+                subforum_ids: subforumIds,
+                sort_by: sortBy,
+                filters: this.getSearchFilterInfo(options)
+            }
+        };
+    }
 
-        try {
-            const forumDB = await this.dbManager.getForumDB(subforumId);
-            const configDB = this.dbManager.getConfigDB();
+    /**
+     * 검색 응답에 포함할 필터 정보
+     * @param {Object} filters - 작성자/기간/첨부파일 필터
+     * @returns {Object} 필터 정보
+     */
+    getSearchFilterInfo(filters = {}) {
+        return {
+            author: filters.author || null,
+            date_from: filters.dateFrom || null,
+            date_to: filters.dateTo || null,
+            has_attachments: !!filters.hasAttachments
+        };
+    }
 
-            // 서브포럼 정보 조회
-            const subforum = await this.getSubforumById(subforumId);
-            if (!subforum) {
-                throw new Error('서브포럼을 찾을 수 없습니다.');
+    /**
+     * 분석한 검색어를 FTS5 검색 조건으로 변환
+     * 한글/한자/가나가 포함된 검색어는 trigram 인덱스로 단어 일부만 일치해도 검색되도록 다시 작성
+     * (3글자 이상 단어로만 이뤄진 조건은 trigram MATCH, 짧은 단어가 섞인 조건과 제외 단어는 LIKE)
+     * @param {Object} parsed - parseSearchQuery()로 분석한 검색어
+     * @returns {Object} 검색 계획 (useTrigram, matchQuery, likeClauses, likeTerms, excludePatterns)
+     */
+    buildSearchPlan(parsed) {
+        const toLikePattern = term => `%${term.text.replace(/[\\%_]/g, '\\$&')}%`;
+        const allTerms = [...parsed.clauses.flat(), ...parsed.excluded];
+
+        // 검색할 단어가 없으면(필터만 사용) 제외 단어만 LIKE로 처리
+        if (parsed.clauses.length === 0) {
+            return {
+                useTrigram: false,
+                matchQuery: null,
+                likeClauses: [],
+                likeTerms: [],
+                excludePatterns: parsed.excluded.map(toLikePattern)
+            };
+        }
+
+        if (!allTerms.some(term => CJK_PATTERN.test(term.text))) {
+            return {
+                useTrigram: false,
+                matchQuery: toFtsMatchQuery(parsed.clauses, parsed.excluded),
+                likeClauses: [],
+                likeTerms: [],
+                excludePatterns: []
+            };
+        }
+
+        const isTrigramClause = clause => clause.every(term => Array.from(term.text).length >= TRIGRAM_MIN_LENGTH);
+        const likeClauses = parsed.clauses.filter(clause => !isTrigramClause(clause));
+
+        return {
+            useTrigram: true,
+            matchQuery: toFtsMatchQuery(parsed.clauses.filter(isTrigramClause)),
+            likeClauses: likeClauses.map(clause => clause.map(toLikePattern)),
+            likeTerms: likeClauses.flat().map(term => term.text),
+            excludePatterns: parsed.excluded.map(toLikePattern)
+        };
+    }
+
+    /**
+     * 서브포럼 DB 하나에서 게시글과 댓글을 함께 검색하는 SQL
+     * 기본은 posts_fts/comments_fts, 한국어 검색은 posts_trigram/comments_trigram 인덱스 사용
+     * 댓글 결과의 title/view_count는 댓글이 달린 게시글 기준이며, 휴지통의 게시글/댓글은 제외
+     * score는 bm25 점수를 인덱스별 최고 점수로 나눈 값(0~1, 1이 가장 관련도 높음)이므로
+     * 문서 수가 다른 게시글/댓글 인덱스와 여러 서브포럼 DB의 결과를 함께 정렬할 수 있음
+     * @param {Object} plan - buildSearchPlan()으로 만든 검색 계획
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {Object} filters - 작성자(userId), 기간(dateFrom, dateTo), 첨부파일(hasAttachments) 필터
+     * @returns {Object} UNION ALL 쿼리와 파라미터 ({ sql, params })
+     */
+    getSearchSql(plan, subforumId, filters = {}) {
+        const postIndex = plan.useTrigram ? 'posts_trigram' : 'posts_fts';
+        const commentIndex = plan.useTrigram ? 'comments_trigram' : 'comments_fts';
+
+        // 검색어 조건(MATCH, LIKE)과 필터 조건 (target: 결과 행의 테이블 별칭)
+        const buildConditions = (index, target, columns) => {
+            const conditions = [];
+            const params = [];
+            const like = column => `${column} LIKE ? ESCAPE '\\'`;
+
+            if (plan.matchQuery) {
+                conditions.push(`${index} MATCH ?`);
+                params.push(plan.matchQuery);
+            }
+            for (const clause of plan.likeClauses) {
+                conditions.push(`(${clause.flatMap(() => columns.map(like)).join(' OR ')})`);
+                params.push(...clause.flatMap(pattern => columns.map(() => pattern)));
+            }
+            for (const pattern of plan.excludePatterns) {
+                conditions.push(`NOT (${columns.map(like).join(' OR ')})`);
+                params.push(...columns.map(() => pattern));
             }
 
-            // FTS5 검색 쿼리 실행
-            const searchResults = await this.dbManager.allQuery(
-                forumDB,
-                `SELECT
+            conditions.push('p.category_id = ?', 'p.deleted_at IS NULL');
+            params.push(subforumId);
+            if (target === 'c') {
+                conditions.push('c.deleted_at IS NULL');
+            }
+
+            if (filters.userId) {
+                conditions.push(`${target}.user_id = ?`);
+                params.push(filters.userId);
+            }
+            if (filters.dateFrom) {
+                conditions.push(`${target}.created_at >= ?`);
+                params.push(filters.dateFrom);
+            }
+            if (filters.dateTo) {
+                conditions.push(`${target}.created_at < date(?, '+1 day')`);
+                params.push(filters.dateTo);
+            }
+            if (filters.hasAttachments) {
+                conditions.push('EXISTS (SELECT 1 FROM attachments a WHERE a.post_id = p.id)');
+            }
+
+            return { conditions, params };
+        };
+
+        // MATCH 조건이 없으면 인덱스 없이 원본 테이블에서 검색 (관련도 점수 없음)
+        const postSource = plan.matchQuery
+            ? `FROM ${postIndex} JOIN posts p ON ${postIndex}.rowid = p.id`
+            : 'FROM posts p';
+        const commentSource = plan.matchQuery
+            ? `FROM ${commentIndex} JOIN comments c ON ${commentIndex}.rowid = c.id`
+            : 'FROM comments c';
+
+        const post = buildConditions(postIndex, 'p', ['p.title', 'p.content']);
+        const comment = buildConditions(commentIndex, 'c', ['c.content']);
+
+        const sql = `SELECT
+                    'post' as result_type,
                     p.id,
+                    p.id as post_id,
                     p.title,
                     p.content,
                     p.view_count,
                     p.created_at,
                     p.updated_at,
-                    p.last_comment_at,
                     p.user_id,
                     p.category_id,
-                    posts_fts.rank,
-                    (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
-                 FROM posts_fts
-                 JOIN posts p ON posts_fts.rowid = p.id
-                 WHERE posts_fts MATCH ? AND p.category_id = ?
-                 ${orderClause}
-                 LIMIT ? OFFSET ?`,
-                [searchQuery, subforumId, limit, offset]
-            );
-
-            // 전체 검색 결과 수 조회
-            const totalCountResult = await this.dbManager.getQuery(
-                forumDB,
-                `SELECT COUNT(*) as count
-                 FROM posts_fts
-                 JOIN posts p ON posts_fts.rowid = p.id
-                 WHERE posts_fts MATCH ? AND p.category_id = ?`,
-                [searchQuery, subforumId]
-            );
-
-            // 사용자 정보 추가
-            const postsWithUserInfo = await Promise.all(
-                searchResults.map(async (post) => {
-                    if (post.user_id) {
-                        const user = await this.dbManager.getQuery(
-                            configDB,
-                            'SELECT username, role FROM users WHERE id = ?',
-                            [post.user_id]
-                        );
-                        return {
-                            ...post,
-                            username: user?.username || '알 수 없음',
-                            role: user?.role || 'user'
-                        };
-                    }
-                    return {
-                        ...post,
-                        username: '알 수 없음',
-                        role: 'user'
-                    };
-                })
-            );
-
-            // 검색 결과에 미리보기 및 하이라이트 추가
-            const postsWithPreview = postsWithUserInfo.map(post => ({
-                ...post,
-                content_preview: this.generateSearchPreview(post.content, searchQuery, 200),
-                title_highlight: this.highlightSearchTerms(post.title, searchQuery),
-                subforum_name: subforum.name
-            }));
-
-            const totalCount = totalCountResult?.count || 0;
-            const totalPages = Math.ceil(totalCount / limit);
+                    ${plan.matchQuery ? `COALESCE(${postIndex}.rank * 1.0 / MIN(${postIndex}.rank) OVER (), 1)` : '0'} as score,
+                    (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id AND c.deleted_at IS NULL) as comment_count
+                 ${postSource}
+                 WHERE ${post.conditions.join(' AND ')}
+                 UNION ALL
+                 SELECT
+                    'comment' as result_type,
+                    c.id,
+                    c.post_id,
+                    p.title,
+                    c.content,
+                    p.view_count,
+                    c.created_at,
+                    c.updated_at,
+                    c.user_id,
+                    p.category_id,
+                    ${plan.matchQuery ? `COALESCE(${commentIndex}.rank * 1.0 / MIN(${commentIndex}.rank) OVER (), 1)` : '0'} as score,
+                    (SELECT COUNT(*) FROM comments c2 WHERE c2.post_id = p.id AND c2.deleted_at IS NULL) as comment_count
+                 ${commentSource}
+                 JOIN posts p ON c.post_id = p.id
+                 WHERE ${comment.conditions.join(' AND ')}`;
 
-            return {
-                posts: postsWithPreview,
-                pagination: {
-                    current_page: page,
-                    total_pages: totalPages,
-                    total_count: totalCount,
-                    limit: limit,
-                    has_next: page < totalPages,
-                    has_prev: page > 1
-                },
-                search_info: {
-                    query: searchQuery,
-                    subforum_id: subforumId,
-                    subforum_name: subforum.name,
-                    sort_by: options.sortBy || 'relevance'
-                }
-            };
-        } catch (error) {
-            console.error(`서브포럼 ${subforumId} 검색 실패:`, error);
-            throw error;
-        }
+        return {
+            sql,
+            params: [...post.params, ...comment.params]
+        };
     }
 
     /**
-     * 전체 서브포럼에서 검색
-     * @param {string} searchQuery - 검색어
-     * @param {Object} options - 검색 옵션
-     * @returns {Promise<Object>} 검색 결과
+     * 현재 페이지 검색 결과에 FTS5 highlight()로 일치 구간을 표시한 제목/본문 추가 (title_marked, content_marked)
+     * 일치 구간은 MARK_START/MARK_END 제어 문자로 감싸며, 실제 HTML 변환은 addSearchResultDetails에서 처리
+     * MATCH 조건이 없는 검색(짧은 한국어 단어, 필터만 사용)은 아무것도 추가하지 않음
+     * @param {Array} results - 검색 결과 행 (각 행의 subforum에 서브포럼 정보)
+     * @param {Object} plan - buildSearchPlan()으로 만든 검색 계획
+     * @returns {Promise<void>}
      */
-    async searchInAllSubforums(searchQuery, options) {
-        const { page, limit, offset, orderClause, sortBy } = options;
-
-        try {
-            const subforums = await this.getSubforums();
-            const allResults = [];
+    async addSearchHighlights(results, plan) {
+        if (!plan.matchQuery || results.length === 0) {
+            return;
+        }
 
-            // 각 서브포럼에서 검색 실행
-            for (const subforum of subforums) {
-                try {
-                    const forumDB = await this.dbManager.getForumDB(subforum.id);
-                    const configDB = this.dbManager.getConfigDB();
+        const postIndex = plan.useTrigram ? 'posts_trigram' : 'posts_fts';
+        const commentIndex = plan.useTrigram ? 'comments_trigram' : 'comments_fts';
+        const markers = [MARK_START, MARK_END];
 
-                    // FTS5 검색 쿼리 실행 (페이지네이션 없이 모든 결과 조회)
-                    const searchResults = await this.dbManager.allQuery(
-                        forumDB,
-                        `SELECT
-                            p.id,
-                            p.title,
-                            p.content,
-                            p.view_count,
-                            p.created_at,
-                            p.updated_at,
-                            p.last_comment_at,
-                            p.user_id,
-                            p.category_id,
-                            posts_fts.rank,
-                            (SELECT COUNT(*) FROM comments c WHERE c.post_id = p.id) as comment_count
-                         FROM posts_fts
-                         JOIN posts p ON posts_fts.rowid = p.id
-                         WHERE posts_fts MATCH ? AND p.category_id = ?
-                         ${orderClause}`,
-                        [searchQuery, subforum.id]
-                    );
+        const groups = new Map();
+        for (const result of results) {
+            if (!groups.has(result.subforum.id)) {
+                groups.set(result.subforum.id, []);
+            }
+            groups.get(result.subforum.id).push(result);
+        }
 
-                    // 사용자 정보 추가
-                    const postsWithUserInfo = await Promise.all(
-                        searchResults.map(async (post) => {
-                            if (post.user_id) {
-                                const user = await this.dbManager.getQuery(
-                                    configDB,
-                                    'SELECT username, role FROM users WHERE id = ?',
-                                    [post.user_id]
-                                );
-                                return {
-                                    ...post,
-                                    username: user?.username || '알 수 없음',
-                                    role: user?.role || 'user'
-                                };
-                            }
-                            return {
-                                ...post,
-                                username: '알 수 없음',
-                                role: 'user'
-                            };
-                        })
-                    );
+        const highlightRows = async (forumDB, sql, params, ids) => {
+            if (ids.length === 0) {
+                return new Map();
+            }
+            const placeholders = ids.map(() => '?').join(',');
+            const rows = await this.dbManager.allQuery(
+                forumDB,
+                `${sql} AND rowid IN (${placeholders})`,
+                [...params, plan.matchQuery, ...ids]
+            );
+            return new Map(rows.map(row => [row.id, row]));
+        };
 
-                    // 서브포럼 정보 추가
-                    const postsWithSubforum = postsWithUserInfo.map(post => ({
-                        ...post,
-                        subforum_name: subforum.name,
-                        subforum_id: subforum.id
-                    }));
+        await Promise.all(Array.from(groups, async ([subforumId, rows]) => {
+            try {
+                const forumDB = await this.dbManager.getForumDB(subforumId);
+                const idsOf = type => rows.filter(row => row.result_type === type).map(row => row.id);
 
-                    allResults.push(...postsWithSubforum);
-                } catch (error) {
-                    console.warn(`서브포럼 ${subforum.id} 검색 실패:`, error);
+                const [posts, comments] = await Promise.all([
+                    highlightRows(
+                        forumDB,
+                        `SELECT rowid as id, highlight(${postIndex}, 0, ?, ?) as title_marked,
+                                highlight(${postIndex}, 1, ?, ?) as content_marked
+                         FROM ${postIndex}
+                         WHERE ${postIndex} MATCH ?`,
+                        [...markers, ...markers],
+                        idsOf('post')
+                    ),
+                    highlightRows(
+                        forumDB,
+                        // 댓글 인덱스에는 본문만 있으므로 게시글 제목은 검색어 단순 일치로 표시
+                        `SELECT rowid as id, NULL as title_marked, highlight(${commentIndex}, 0, ?, ?) as content_marked
+                         FROM ${commentIndex}
+                         WHERE ${commentIndex} MATCH ?`,
+                        markers,
+                        idsOf('comment')
+                    )
+                ]);
+
+                for (const row of rows) {
+                    const marked = (row.result_type === 'comment' ? comments : posts).get(row.id);
+                    if (marked) {
+                        row.title_marked = marked.title_marked;
+                        row.content_marked = marked.content_marked;
+                    }
                 }
+            } catch (error) {
+                // 하이라이트를 못 구해도 검색 결과는 그대로 보여줌 (검색어 단순 일치로 대체)
+                console.warn(`서브포럼 ${subforumId} 검색 하이라이트 실패:`, error);
             }
+        }));
+    }
 
-            // 전체 결과를 정렬 방식에 따라 정렬
-            let sortedResults;
-            switch (sortBy) {
-                case 'created_at':
-                    sortedResults = allResults.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-                    break;
-                case 'view_count':
-                    sortedResults = allResults.sort((a, b) => {
-                        if (b.view_count !== a.view_count) {
-                            return b.view_count - a.view_count;
-                        }
-                        return new Date(b.created_at) - new Date(a.created_at);
-                    });
-                    break;
-                case 'relevance':
-                default:
-                    sortedResults = allResults.sort((a, b) => {
-                        if (a.rank !== b.rank) {
-                            return a.rank - b.rank; // FTS5 rank는 낮을수록 관련도가 높음
-                        }
-                        return new Date(b.created_at) - new Date(a.created_at);
-                    });
-                    break;
-            }
-
-            // 페이지네이션 적용
-            const paginatedResults = sortedResults.slice(offset, offset + limit);
+    /**
+     * 검색 결과에 작성자, 스니펫, 하이라이트, 이동 링크 추가
+     * 작성자 정보는 config DB에서 한 번에 조회하고, 댓글 결과는 게시글 안의 댓글 위치(#comment-ID)로 연결
+     * title_highlight/snippet은 이스케이프된 HTML(일치 구간만 <mark>), content_preview는 같은 구간의 플레인 텍스트
+     * @param {Array} results - 검색 결과 행 (각 행의 subforum에 서브포럼 정보)
+     * @param {Object} plan - buildSearchPlan()으로 만든 검색 계획
+     * @param {Array<string>} highlightTerms - 하이라이트할 검색어 (제외 단어와 연산자를 뺀 단어 목록)
+     * @returns {Promise<Array>} 표시용 검색 결과
+     */
+    async addSearchResultDetails(results, plan, highlightTerms = []) {
+        const userIds = Array.from(new Set(results.map(result => result.user_id).filter(Boolean)));
+        const users = new Map();
+
+        if (userIds.length > 0) {
+            const placeholders = userIds.map(() => '?').join(',');
+            const rows = await this.dbManager.allQuery(
+                this.dbManager.getConfigDB(),
+                `SELECT id, username, role FROM users WHERE id IN (${placeholders})`,
+                userIds
+            );
+            rows.forEach(user => users.set(user.id, user));
+        }
 
-            // 검색 결과에 미리보기 및 하이라이트 추가
-            const postsWithPreview = paginatedResults.map(post => ({
-                ...post,
-                content_preview: this.generateSearchPreview(post.content, searchQuery, 200),
-                title_highlight: this.highlightSearchTerms(post.title, searchQuery)
-            }));
+        // highlight() 결과가 있으면 LIKE로 찾은 짧은 단어만 추가로 표시, 없으면 검색어 전체를 직접 표시
+        const markText = (marked, original) => (marked != null
+            ? markSearchTerms(marked, plan.likeTerms)
+            : markSearchTerms(original, highlightTerms));
 
-            const totalCount = sortedResults.length;
-            const totalPages = Math.ceil(totalCount / limit);
+        return results.map(({ subforum, title_marked, content_marked, ...result }) => {
+            const user = users.get(result.user_id);
+            const postUrl = `/forum/subforum/${result.category_id}/post/${result.post_id}`;
+            const snippet = buildSnippet(markText(content_marked, result.content));
 
             return {
-                posts: postsWithPreview,
-                pagination: {
-                    current_page: page,
-                    total_pages: totalPages,
-                    total_count: totalCount,
-                    limit: limit,
-                    has_next: page < totalPages,
-                    has_prev: page > 1
-                },
-                search_info: {
-                    query: searchQuery,
-                    subforum_id: null,
-                    subforum_name: '전체 포럼',
-                    sort_by: sortBy,
-                    searched_subforums: subforums.length
-                }
+                ...result,
+                username: user?.username || '알 수 없음',
+                role: user?.role || 'user',
+                subforum_name: subforum.name,
+                subforum_id: subforum.id,
+                url: result.result_type === 'comment' ? `${postUrl}#comment-${result.id}` : postUrl,
+                content_preview: snippet.text,
+                snippet: snippet.html,
+                title_highlight: renderMarkedText(markText(title_marked, result.title))
             };
-        } catch (error) {
-            console.error('전체 서브포럼 검색 실패:', error);
-            throw error;
-        }
+        });
     }
 
     /**
-     * 검색어가 포함된 내용 미리보기 생성
-     * @param {string} content - 원본 내용
+     * 특정 서브포럼에서 검색
      * @param {string} searchQuery - 검색어
-     * @param {number} maxLength - 최대 길이
-     * @returns {string} 미리보기 텍스트
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {Object} options - 검색 옵션
+     * @returns {Promise<Object>} 검색 결과
      */
-    generateSearchPreview(content, searchQuery, maxLength = 200) {
-        if (!content) {
-            return '';
+    async searchInSubforum(searchQuery, subforumId, options) {
+        // 서브포럼 정보 조회
+        const subforum = await this.getSubforumById(subforumId);
+        if (!subforum) {
+            throw new Error('서브포럼을 찾을 수 없습니다.');
         }
 
-        // 마크다운 및 HTML 태그 제거
-        const plainText = extractPlainText(content);
-
-        // 검색어 위치 찾기
-        const searchTerms = searchQuery.toLowerCase().split(/\s+/).filter(term => term.length > 0);
-        let bestMatch = -1;
-        let bestMatchTerm = '';
+        const result = await this.searchSubforumDatabases(searchQuery, [subforum], options);
+        result.search_info.subforum_id = subforumId;
+        result.search_info.subforum_ids = [subforumId];
+        result.search_info.subforum_name = subforum.name;
+        return result;
+    }
 
-        for (const term of searchTerms) {
-            const index = plainText.toLowerCase().indexOf(term);
-            if (index !== -1 && (bestMatch === -1 || index < bestMatch)) {
-                bestMatch = index;
-                bestMatchTerm = term;
-            }
-        }
+    /**
+     * 여러 서브포럼 또는 전체 서브포럼에서 검색
+     * @param {string} searchQuery - 검색어
+     * @param {Object} options - 검색 옵션 (subforumIds가 비어 있으면 전체 서브포럼)
+     * @returns {Promise<Object>} 검색 결과
+     */
+    async searchInAllSubforums(searchQuery, options) {
+        const { subforumIds = [] } = options;
 
-        if (bestMatch === -1) {
-            // 검색어가 없으면 처음부터 자르기
-            return plainText.length <= maxLength ? plainText : plainText.substring(0, maxLength) + '...';
-        }
+        const subforums = (await this.getSubforums())
+            .filter(subforum => subforumIds.length === 0 || subforumIds.includes(subforum.id));
 
-        // 검색어 주변 텍스트 추출
-        const start = Math.max(0, bestMatch - Math.floor(maxLength / 3));
-        const end = Math.min(plainText.length, start + maxLength);
+        const result = await this.searchSubforumDatabases(searchQuery, subforums, options);
+        result.search_info.subforum_name = subforumIds.length > 0
+            ? subforums.map(subforum => subforum.name).join(', ')
+            : '전체 포럼';
+        result.search_info.searched_subforums = subforums.length;
+        return result;
+    }
 
-        let preview = plainText.substring(start, end);
+    /**
+     * 서브포럼 DB들을 병렬로 검색하고 결과 병합
+     * 서브포럼이 하나면 DB에서 바로 현재 페이지만 조회하고, 여러 개면 DB마다 상위 (offset + limit)개만
+     * 조회해 정규화된 관련도(score) 또는 정렬 기준으로 병합 (config.search.maxResults까지만 페이지 이동 가능)
+     * @param {string} searchQuery - 검색어
+     * @param {Array<Object>} subforums - 검색할 서브포럼 목록
+     * @param {Object} options - 검색 옵션
+     * @returns {Promise<Object>} 검색 결과 (search_info.timing에 단계별 소요 시간)
+     */
+    async searchSubforumDatabases(searchQuery, subforums, options) {
+        const { page, limit, offset, orderClause, sortBy, plan, filters, highlightTerms, subforumIds = [] } = options;
+        const startedAt = Date.now();
+        const single = subforums.length === 1;
+        const maxResults = config.search.maxResults;
+
+        // 서브포럼 DB마다 가져올 결과 범위 (여러 DB를 병합할 때는 각 DB의 상위 N개만 필요)
+        const fetchOffset = single ? offset : 0;
+        const fetchLimit = Math.max(0, Math.min(offset + limit, maxResults) - fetchOffset);
+
+        const perSubforum = await Promise.all(subforums.map(async (subforum) => {
+            const queryStartedAt = Date.now();
+
+            try {
+                const forumDB = await this.dbManager.getForumDB(subforum.id);
+                const { sql, params } = this.getSearchSql(plan, subforum.id, filters);
+
+                const [rows, countRow] = await Promise.all([
+                    fetchLimit > 0
+                        ? this.dbManager.allQuery(
+                            forumDB,
+                            `${sql}
+                             ${orderClause}
+                             LIMIT ? OFFSET ?`,
+                            [...params, fetchLimit, fetchOffset]
+                        )
+                        : [],
+                    this.dbManager.getQuery(forumDB, `SELECT COUNT(*) as count FROM (${sql})`, params)
+                ]);
+
+                return {
+                    subforum,
+                    rows: rows.map(row => ({ ...row, subforum })),
+                    count: countRow?.count || 0,
+                    ms: Date.now() - queryStartedAt
+                };
+            } catch (error) {
+                // 서브포럼 하나만 검색할 때는 오류를 그대로 전달, 여러 서브포럼이면 해당 DB만 건너뜀
+                if (single) {
+                    console.error(`서브포럼 ${subforum.id} 검색 실패:`, error);
+                    throw error;
+                }
+                console.warn(`서브포럼 ${subforum.id} 검색 실패:`, error);
+                return { subforum, rows: [], count: 0, ms: Date.now() - queryStartedAt, failed: true };
+            }
+        }));
+
+        // 서브포럼별 결과를 정렬 방식에 따라 병합
+        const mergeStartedAt = Date.now();
+        const merged = perSubforum.flatMap(entry => entry.rows).sort(this.getSearchResultComparator(sortBy));
+        const pageResults = single ? merged : merged.slice(offset, Math.min(offset + limit, maxResults));
+        const mergeMs = Date.now() - mergeStartedAt;
+
+        // 현재 페이지 결과에만 하이라이트/스니펫과 작성자 추가
+        const snippetsStartedAt = Date.now();
+        await this.addSearchHighlights(pageResults, plan);
+        const snippetsMs = Date.now() - snippetsStartedAt;
+
+        const usersStartedAt = Date.now();
+        const results = await this.addSearchResultDetails(pageResults, plan, highlightTerms);
+        const usersMs = Date.now() - usersStartedAt;
+
+        const totalCount = perSubforum.reduce((sum, entry) => sum + entry.count, 0);
+        const totalPages = Math.ceil(Math.min(totalCount, maxResults) / limit);
+
+        return {
+            results: results,
+            pagination: {
+                current_page: page,
+                total_pages: totalPages,
+                total_count: totalCount,
+                limit: limit,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            },
+            search_info: {
+                query: searchQuery,
+                subforum_id: null,
+                subforum_ids: subforumIds,
+                sort_by: sortBy || 'relevance',
+                filters: this.getSearchFilterInfo(filters),
+                timing: {
+                    total_ms: Date.now() - startedAt,
+                    merge_ms: mergeMs,
+                    snippets_ms: snippetsMs,
+                    users_ms: usersMs,
+                    subforums: perSubforum.map(entry => ({
+                        id: entry.subforum.id,
+                        name: entry.subforum.name,
+                        ms: entry.ms,
+                        count: entry.count,
+                        failed: !!entry.failed
+                    }))
+                }
+            }
+        };
+    }
 
-        if (start > 0) {
-            preview = '...' + preview;
-        }
-        if (end < plainText.length) {
-            preview = preview + '...';
+    /**
+     * 검색 결과 병합용 정렬 함수 (getSearchSql 결과의 ORDER BY와 같은 기준)
+     * @param {string} sortBy - 정렬 방식 ('relevance', 'created_at', 'view_count')
+     * @returns {Function} Array.prototype.sort 비교 함수
+     */
+    getSearchResultComparator(sortBy) {
+        // 같은 값이면 결과 종류와 ID로 순서를 고정 (페이지 간 중복/누락 방지)
+        const byCreatedAt = (a, b) => (new Date(b.created_at) - new Date(a.created_at))
+            || a.result_type.localeCompare(b.result_type)
+            || (b.id - a.id);
+
+        switch (sortBy) {
+            case 'created_at':
+                return byCreatedAt;
+            case 'view_count':
+                return (a, b) => (b.view_count - a.view_count) || byCreatedAt(a, b);
+            case 'relevance':
+            default:
+                // score는 인덱스별로 정규화한 관련도 (1이 가장 높음)
+                return (a, b) => (b.score - a.score) || byCreatedAt(a, b);
         }
-
-        return preview;
     }
 
     /**
-     * 검색어 하이라이트 처리
-     * @param {string} text - 원본 텍스트
-     * @param {string} searchQuery - 검색어
-     * @returns {string} 하이라이트된 텍스트
+     * 서브포럼의 검색 인덱스 재구축 (posts_fts, comments_fts, posts_trigram, comments_trigram)
+     * 인덱스를 비운 뒤 휴지통에 없는 게시글/댓글만 다시 색인
+     * @param {number} subforumId - 서브포럼 ID
+     * @returns {Promise<Object>} 색인한 게시글/댓글 수
      */
-    highlightSearchTerms(text, searchQuery) {
-        if (!text || !searchQuery) {
-            return text;
-        }
+    async rebuildSearchIndex(subforumId) {
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+            const indexes = [
+                { name: 'posts_fts', table: 'posts', columns: 'title, content' },
+                { name: 'posts_trigram', table: 'posts', columns: 'title, content' },
+                { name: 'comments_fts', table: 'comments', columns: 'content' },
+                { name: 'comments_trigram', table: 'comments', columns: 'content' }
+            ];
+
+            await this.dbManager.runTransaction(forumDB, indexes.flatMap(index => [
+                { sql: `INSERT INTO ${index.name}(${index.name}) VALUES('delete-all')` },
+                {
+                    sql: `INSERT INTO ${index.name}(rowid, ${index.columns})
+                          SELECT id, ${index.columns} FROM ${index.table} WHERE deleted_at IS NULL`
+                }
+            ]));
 
-        const searchTerms = searchQuery.toLowerCase().split(/\s+/).filter(term => term.length > 0);
-        let highlightedText = text;
+            const counts = await this.dbManager.getQuery(
+                forumDB,
+                `SELECT
+                    (SELECT COUNT(*) FROM posts WHERE deleted_at IS NULL) as posts,
+                    (SELECT COUNT(*) FROM comments WHERE deleted_at IS NULL) as comments`
+            );
 
-        for (const term of searchTerms) {
-            const regex = new RegExp(`(${term})`, 'gi');
-            highlightedText = highlightedText.replace(regex, '<mark>$1</mark>');
+            console.log(`검색 인덱스 재구축 완료: 서브포럼 ${subforumId} (게시글 ${counts.posts}개, 댓글 ${counts.comments}개)`);
+            return counts;
+        } catch (error) {
+            console.error(`서브포럼 ${subforumId} 검색 인덱스 재구축 실패:`, error);
+            throw error;
         }
-
-        return highlightedText;
     }
 
     /**
@@ -1745,7 +3309,7 @@ class ForumService {
                         forumDB,
                         `SELECT DISTINCT title
                          FROM posts
-                         WHERE title LIKE ? AND category_id = ?
+                         WHERE title LIKE ? AND category_id = ? AND deleted_at IS NULL
                          ORDER BY created_at DESC
                          LIMIT ?`,
                         [`%${partialQuery}%`, subforum.id, Math.ceil(limit / subforums.length)]
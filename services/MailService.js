@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/default');
+
+/**
+ * 메일 전송 방식별 nodemailer 트랜스포트 생성 함수
+ * - console: 메일 내용을 콘솔에 출력 (개발용)
+ * - file: 메일을 .eml 파일로 저장 (개발용)
+ * - smtp: SMTP 서버로 발송 (운영용)
+ */
+const TRANSPORT_FACTORIES = {
+    console: () => nodemailer.createTransport({ jsonTransport: true }),
+    file: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' }),
+    smtp: (mailConfig) => nodemailer.createTransport(mailConfig.smtp)
+};
+
+/**
+ * 메일 발송 서비스
+ * config.mail.transport 설정에 따라 전송 방식을 선택하며, 호출하는 쪽은 전송 방식과 무관하게 sendMail만 사용
+ */
+class MailService {
+    /**
+     * @param {Object} mailConfig - 메일 설정 (기본값: config.mail)
+     */
+    constructor(mailConfig = config.mail) {
+        if (!TRANSPORT_FACTORIES[mailConfig.transport]) {
+            throw new Error(`지원하지 않는 메일 전송 방식입니다: ${mailConfig.transport}`);
+        }
+
+        this.mailConfig = mailConfig;
+        this.transporter = TRANSPORT_FACTORIES[mailConfig.transport](mailConfig);
+    }
+
+    /**
+     * 메일 발송
+     * @param {Object} mail - 메일 정보
+     * @param {string} mail.to - 받는 사람 주소
+     * @param {string} mail.subject - 제목
+     * @param {string} mail.text - 본문 (텍스트)
+     * @param {string} mail.html - 본문 (HTML, 선택)
+     * @returns {Promise<Object>} 발송 결과 (messageId)
+     */
+    async sendMail({ to, subject, text, html = null }) {
+        if (!to || !subject || !text) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const info = await this.transporter.sendMail({
+                from: this.mailConfig.from,
+                to: to,
+                subject: subject,
+                text: text,
+                ...(html ? { html } : {})
+            });
+
+            if (this.mailConfig.transport === 'console') {
+                console.log(`\n===== 메일 =====\n받는 사람: ${to}\n제목: ${subject}\n\n${text}\n===== 메일 끝 =====\n`);
+            } else if (this.mailConfig.transport === 'file') {
+                const filePath = await this.saveToFile(info);
+                console.log(`메일 저장 완료: ${filePath}`);
+            } else {
+                console.log(`메일 발송 완료: ${to} (${info.messageId})`);
+            }
+
+            return { messageId: info.messageId };
+        } catch (error) {
+            console.error('메일 발송 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 메일을 .eml 파일로 저장 (file 전송 방식)
+     * @param {Object} info - nodemailer 발송 결과
+     * @returns {Promise<string>} 저장된 파일 경로
+     */
+    async saveToFile(info) {
+        const dir = path.resolve(this.mailConfig.fileDir);
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}_${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        const filePath = path.join(dir, fileName);
+        await fs.promises.writeFile(filePath, info.message);
+
+        return filePath;
+    }
+}
+
+module.exports = MailService;
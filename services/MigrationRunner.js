@@ -0,0 +1,310 @@
+const path = require('path');
+const fs = require('fs');
+
+// 마이그레이션 파일명 형식: 001_description.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// 마이그레이션 적용 대상 DB 종류
+const MIGRATION_SCOPES = ['config', 'forum'];
+
+/**
+ * 번호가 매겨진 마이그레이션 파일을 config.db 및 각 forum_N.db에 적용하는 실행기
+ *
+ * 각 마이그레이션 파일은 대상 DB 종류별로 up/down 단계를 내보냅니다:
+ *   module.exports = {
+ *       description: '설명',
+ *       config: { async up(ctx) {}, async down(ctx) {} },
+ *       forum: { async up(ctx) {}, async down(ctx) {} }
+ *   };
+ *
+ * 적용 이력은 DB 파일마다 schema_version 테이블에 기록됩니다.
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} dbManager - DatabaseManager 인스턴스 (runQuery/getQuery/allQuery 사용)
+     * @param {string} migrationsDir - 마이그레이션 파일 디렉토리
+     */
+    constructor(dbManager, migrationsDir = path.join(__dirname, '../database/migrations')) {
+        this.dbManager = dbManager;
+        this.migrationsDir = migrationsDir;
+        this.migrations = null;
+    }
+
+    /**
+     * 마이그레이션 파일 목록 로드 (버전 순 정렬)
+     * @returns {Array<Object>} 마이그레이션 목록
+     */
+    loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+
+        const files = fs.existsSync(this.migrationsDir) ? fs.readdirSync(this.migrationsDir) : [];
+        const migrations = [];
+
+        for (const file of files) {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                continue;
+            }
+
+            const definition = require(path.join(this.migrationsDir, file));
+            const version = parseInt(match[1], 10);
+
+            if (migrations.some(migration => migration.version === version)) {
+                throw new Error(`중복된 마이그레이션 버전: ${version} (${file})`);
+            }
+
+            for (const scope of MIGRATION_SCOPES) {
+                const step = definition[scope];
+                if (step && (typeof step.up !== 'function' || typeof step.down !== 'function')) {
+                    throw new Error(`마이그레이션 ${file}의 ${scope} 단계에 up/down 함수가 필요합니다.`);
+                }
+            }
+
+            migrations.push({
+                version: version,
+                name: match[2],
+                description: definition.description || match[2],
+                config: definition.config || null,
+                forum: definition.forum || null
+            });
+        }
+
+        this.migrations = migrations.sort((a, b) => a.version - b.version);
+        return this.migrations;
+    }
+
+    /**
+     * 특정 DB 종류에 해당하는 마이그레이션 목록
+     * @param {string} scope - 'config' 또는 'forum'
+     * @returns {Array<Object>} 마이그레이션 목록
+     */
+    getMigrationsForScope(scope) {
+        if (!MIGRATION_SCOPES.includes(scope)) {
+            throw new Error(`알 수 없는 마이그레이션 대상: ${scope}`);
+        }
+
+        return this.loadMigrations().filter(migration => migration[scope]);
+    }
+
+    /**
+     * 최신 마이그레이션 버전
+     * @param {string} scope - 'config' 또는 'forum'
+     * @returns {number} 최신 버전 (마이그레이션이 없으면 0)
+     */
+    getLatestVersion(scope) {
+        const migrations = this.getMigrationsForScope(scope);
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    /**
+     * schema_version 테이블 생성
+     * @param {Object} db - 데이터베이스 연결
+     */
+    async ensureVersionTable(db) {
+        await this.dbManager.runQuery(
+            db,
+            `CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`
+        );
+    }
+
+    /**
+     * 적용된 마이그레이션 이력 조회
+     * @param {Object} db - 데이터베이스 연결
+     * @returns {Promise<Map<number, Object>>} 버전별 적용 이력
+     */
+    async getAppliedVersions(db) {
+        await this.ensureVersionTable(db);
+
+        const rows = await this.dbManager.allQuery(
+            db,
+            'SELECT version, name, applied_at FROM schema_version ORDER BY version'
+        );
+
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    /**
+     * 현재 스키마 버전 조회
+     * @param {Object} db - 데이터베이스 연결
+     * @returns {Promise<number>} 적용된 최고 버전 (없으면 0)
+     */
+    async getCurrentVersion(db) {
+        const applied = await this.getAppliedVersions(db);
+        return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+    }
+
+    /**
+     * 새로 생성된 DB를 최신 스키마로 간주하고 모든 마이그레이션을 적용된 것으로 기록
+     * (스키마 템플릿이 이미 최신 구조를 포함하므로 up 단계를 실행하지 않음)
+     * @param {Object} db - 데이터베이스 연결
+     * @param {string} scope - 'config' 또는 'forum'
+     */
+    async baseline(db, scope) {
+        await this.ensureVersionTable(db);
+
+        for (const migration of this.getMigrationsForScope(scope)) {
+            await this.dbManager.runQuery(
+                db,
+                'INSERT OR IGNORE INTO schema_version (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        }
+    }
+
+    /**
+     * 적용되지 않은 마이그레이션을 순서대로 실행
+     * @param {Object} db - 데이터베이스 연결
+     * @param {string} scope - 'config' 또는 'forum'
+     * @param {string} label - 로그에 표시할 DB 이름
+     * @returns {Promise<Array<number>>} 적용된 마이그레이션 버전 목록
+     */
+    async migrate(db, scope, label = scope) {
+        const applied = await this.getAppliedVersions(db);
+        const pending = this.getMigrationsForScope(scope).filter(migration => !applied.has(migration.version));
+        const appliedNow = [];
+
+        for (const migration of pending) {
+            await this.runStep(db, migration, scope, 'up', label);
+            appliedNow.push(migration.version);
+        }
+
+        return appliedNow;
+    }
+
+    /**
+     * 지정한 버전까지 마이그레이션 되돌리기 (역순으로 down 실행)
+     * @param {Object} db - 데이터베이스 연결
+     * @param {string} scope - 'config' 또는 'forum'
+     * @param {number} targetVersion - 되돌린 후의 버전 (이 버전보다 큰 마이그레이션을 되돌림)
+     * @param {string} label - 로그에 표시할 DB 이름
+     * @returns {Promise<Array<number>>} 되돌린 마이그레이션 버전 목록
+     */
+    async rollback(db, scope, targetVersion, label = scope) {
+        if (!Number.isInteger(targetVersion) || targetVersion < 0) {
+            throw new Error('되돌릴 목표 버전은 0 이상의 정수여야 합니다.');
+        }
+
+        const applied = await this.getAppliedVersions(db);
+        const toRevert = this.getMigrationsForScope(scope)
+            .filter(migration => migration.version > targetVersion && applied.has(migration.version))
+            .reverse();
+        const revertedNow = [];
+
+        for (const migration of toRevert) {
+            await this.runStep(db, migration, scope, 'down', label);
+            revertedNow.push(migration.version);
+        }
+
+        return revertedNow;
+    }
+
+    /**
+     * 마이그레이션 적용 상태 조회
+     * @param {Object} db - 데이터베이스 연결
+     * @param {string} scope - 'config' 또는 'forum'
+     * @returns {Promise<Array<Object>>} 마이그레이션별 적용 상태
+     */
+    async getStatus(db, scope) {
+        const applied = await this.getAppliedVersions(db);
+
+        return this.getMigrationsForScope(scope).map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: applied.has(migration.version),
+            applied_at: applied.get(migration.version)?.applied_at || null
+        }));
+    }
+
+    /**
+     * 마이그레이션 단계 하나를 트랜잭션으로 실행하고 schema_version 갱신
+     * @param {Object} db - 데이터베이스 연결
+     * @param {Object} migration - 마이그레이션
+     * @param {string} scope - 'config' 또는 'forum'
+     * @param {string} direction - 'up' 또는 'down'
+     * @param {string} label - 로그에 표시할 DB 이름
+     */
+    async runStep(db, migration, scope, direction, label) {
+        const migrationId = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+        await this.dbManager.runQuery(db, 'BEGIN TRANSACTION');
+
+        try {
+            await migration[scope][direction](this.createContext(db));
+
+            if (direction === 'up') {
+                await this.dbManager.runQuery(
+                    db,
+                    'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            } else {
+                await this.dbManager.runQuery(
+                    db,
+                    'DELETE FROM schema_version WHERE version = ?',
+                    [migration.version]
+                );
+            }
+
+            await this.dbManager.runQuery(db, 'COMMIT');
+            console.log(`마이그레이션 ${direction === 'up' ? '적용' : '되돌림'}: [${label}] ${migrationId}`);
+        } catch (error) {
+            await this.dbManager.runQuery(db, 'ROLLBACK').catch(rollbackError => {
+                console.error('마이그레이션 ROLLBACK 실패:', rollbackError);
+            });
+            console.error(`마이그레이션 실패: [${label}] ${migrationId} (${direction})`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 마이그레이션 함수에 전달되는 헬퍼 객체 생성
+     * @param {Object} db - 데이터베이스 연결
+     * @returns {Object} 마이그레이션 컨텍스트
+     */
+    createContext(db) {
+        const dbManager = this.dbManager;
+
+        const context = {
+            db: db,
+            run: (sql, params = []) => dbManager.runQuery(db, sql, params),
+            get: (sql, params = []) => dbManager.getQuery(db, sql, params),
+            all: (sql, params = []) => dbManager.allQuery(db, sql, params),
+
+            // 테이블 존재 여부
+            async hasTable(table) {
+                const row = await dbManager.getQuery(
+                    db,
+                    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+                    [table]
+                );
+                return !!row;
+            },
+
+            // 컬럼 존재 여부
+            async hasColumn(table, column) {
+                const columns = await dbManager.allQuery(db, `PRAGMA table_info(${table})`);
+                return columns.some(col => col.name === column);
+            },
+
+            // 컬럼이 없을 때만 추가 (테이블이 없으면 건너뜀)
+            async addColumnIfMissing(table, column, definition) {
+                if (!(await context.hasTable(table)) || (await context.hasColumn(table, column))) {
+                    return false;
+                }
+                await dbManager.runQuery(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                return true;
+            }
+        };
+
+        return context;
+    }
+}
+
+module.exports = MigrationRunner;
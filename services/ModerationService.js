@@ -0,0 +1,369 @@
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+const ForumService = require('./ForumService');
+
+// 게시글 일괄 처리 방법
+const POST_BULK_ACTIONS = ['delete', 'lock', 'unlock', 'pin', 'unpin', 'move'];
+
+// 휴지통 항목 처리 방법
+const TRASH_ACTIONS = ['restore', 'purge'];
+
+// 한 번에 처리할 수 있는 최대 항목 수
+const MAX_BULK_ITEMS = 100;
+
+// 대시보드에 표시할 최근 게시글/댓글 수
+const DASHBOARD_RECENT_LIMIT = 10;
+
+class ModerationService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+        this.forumService = new ForumService();
+    }
+
+    /**
+     * 사용자가 관리할 수 있는 서브포럼 목록 조회
+     * (슈퍼 관리자는 전체, 모더레이터는 moderator_permissions에 지정된 서브포럼만)
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<Array>} 서브포럼 목록
+     */
+    async getModerationCategories(userId) {
+        const user = await this.authService.getUserById(userId);
+        if (!user) {
+            return [];
+        }
+
+        if (user.role === 'super_admin') {
+            return await this.dbManager.allQuery(
+                this.dbManager.getConfigDB(),
+                `SELECT id, name, description
+                 FROM categories
+                 WHERE is_active = 1
+                 ORDER BY display_order, name`
+            );
+        }
+
+        if (user.role === 'moderator') {
+            return await this.authService.getModeratedCategories(userId);
+        }
+
+        return [];
+    }
+
+    /**
+     * 특정 서브포럼 관리 권한 확인
+     * @param {number} userId - 사용자 ID
+     * @param {number} categoryId - 서브포럼 ID
+     * @returns {Promise<boolean>} 관리 권한 여부
+     */
+    async canModerate(userId, categoryId) {
+        return await this.authService.checkPermission(userId, 'moderate_category', categoryId);
+    }
+
+    /**
+     * 게시글 페이지에 표시할 모더레이터 도구 정보 조회
+     * @param {number} userId - 사용자 ID
+     * @param {number} categoryId - 게시글이 속한 서브포럼 ID
+     * @returns {Promise<Object|null>} 이동 가능한 서브포럼 목록 (관리 권한이 없으면 null)
+     */
+    async getPostModerationTools(userId, categoryId) {
+        if (!userId || !(await this.canModerate(userId, categoryId))) {
+            return null;
+        }
+
+        const categories = await this.getModerationCategories(userId);
+
+        return {
+            moveTargets: categories.filter(category => category.id !== categoryId)
+        };
+    }
+
+    /**
+     * 서브포럼의 처리 대기 신고 수 조회
+     * @param {number} categoryId - 서브포럼 ID
+     * @returns {Promise<number>} 처리 대기 신고 수 (대상 콘텐츠 기준)
+     */
+    async getPendingReportCount(categoryId) {
+        const forumDB = await this.dbManager.getForumDB(categoryId);
+
+        const result = await this.dbManager.getQuery(
+            forumDB,
+            `SELECT COUNT(DISTINCT target_type || ':' || target_id) as count
+             FROM reports
+             WHERE status = 'pending'`
+        );
+
+        return result?.count || 0;
+    }
+
+    /**
+     * 모더레이터 대시보드 데이터 조회
+     * @param {number} userId - 모더레이터 ID
+     * @returns {Promise<Object>} 서브포럼별 통계와 최근 게시글/댓글
+     */
+    async getDashboard(userId) {
+        try {
+            const categories = await this.getModerationCategories(userId);
+
+            const recentPosts = [];
+            const recentComments = [];
+
+            const categoriesWithStats = [];
+            for (const category of categories) {
+                const stats = await this.forumService.getSubforumStats(category.id);
+                const pendingReportCount = await this.getPendingReportCount(category.id);
+
+                const { posts } = await this.forumService.getPosts(category.id, { limit: DASHBOARD_RECENT_LIMIT });
+                recentPosts.push(...posts.map(post => ({
+                    ...post,
+                    category_id: category.id,
+                    category_name: category.name
+                })));
+
+                const { comments } = await this.forumService.getRecentComments(category.id, { limit: DASHBOARD_RECENT_LIMIT });
+                recentComments.push(...comments.map(comment => ({
+                    ...comment,
+                    category_name: category.name
+                })));
+
+                categoriesWithStats.push({
+                    ...category,
+                    ...stats,
+                    pending_report_count: pendingReportCount
+                });
+            }
+
+            const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+            return {
+                categories: categoriesWithStats,
+                recentPosts: recentPosts.sort(byNewest).slice(0, DASHBOARD_RECENT_LIMIT),
+                recentComments: recentComments.sort(byNewest).slice(0, DASHBOARD_RECENT_LIMIT)
+            };
+        } catch (error) {
+            console.error('모더레이터 대시보드 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 서브포럼 관리 페이지 데이터 조회
+     * @param {number} userId - 모더레이터 ID
+     * @param {number} categoryId - 서브포럼 ID
+     * @param {Object} options - 조회 옵션
+     * @param {string} options.tab - 'posts', 'comments' 또는 'trash'
+     * @param {number} options.page - 페이지 번호
+     * @returns {Promise<Object|null>} 서브포럼 정보, 게시글/댓글/휴지통 목록, 이동 가능한 서브포럼
+     */
+    async getCategoryOverview(userId, categoryId, options = {}) {
+        const { tab = 'posts', page = 1 } = options;
+
+        try {
+            const subforum = await this.forumService.getSubforumById(categoryId);
+            if (!subforum) {
+                return null;
+            }
+
+            const pendingReportCount = await this.getPendingReportCount(categoryId);
+
+            let listing;
+            if (tab === 'comments') {
+                listing = await this.forumService.getRecentComments(categoryId, { page, limit: 20 });
+            } else if (tab === 'trash') {
+                listing = await this.forumService.getTrash(categoryId, { page, limit: 20 });
+            } else {
+                listing = await this.forumService.getPosts(categoryId, { page, limit: 20 });
+            }
+
+            // 게시글 이동은 관리 권한이 있는 다른 서브포럼으로만 가능
+            const categories = await this.getModerationCategories(userId);
+            const moveTargets = categories.filter(category => category.id !== categoryId);
+
+            return {
+                subforum: { ...subforum, pending_report_count: pendingReportCount },
+                tab: tab,
+                posts: listing.posts || [],
+                comments: listing.comments || [],
+                trash: listing.items || [],
+                pagination: listing.pagination,
+                moveTargets: moveTargets
+            };
+        } catch (error) {
+            console.error('서브포럼 관리 정보 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 일괄 처리 대상 ID 목록 정리
+     * @param {Array} ids - 요청된 ID 목록
+     * @returns {Array<number>} 중복을 제거한 정수 ID 목록
+     */
+    normalizeIds(ids) {
+        const normalized = [...new Set((Array.isArray(ids) ? ids : [ids])
+            .map(id => parseInt(id))
+            .filter(id => Number.isInteger(id) && id > 0))];
+
+        if (normalized.length === 0) {
+            throw new Error('선택된 항목이 없습니다.');
+        }
+
+        if (normalized.length > MAX_BULK_ITEMS) {
+            throw new Error(`한 번에 최대 ${MAX_BULK_ITEMS}개까지 처리할 수 있습니다.`);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 게시글 일괄 처리 (삭제, 잠금, 잠금 해제, 고정, 고정 해제, 이동)
+     * @param {number} moderatorId - 모더레이터 ID
+     * @param {number} categoryId - 서브포럼 ID
+     * @param {string} action - 처리 방법
+     * @param {Array<number>} postIds - 게시글 ID 목록
+     * @param {Object} options - 처리 옵션
+     * @param {number} options.targetCategoryId - 이동할 서브포럼 ID (move)
+     * @param {string} options.reason - 삭제 사유 (delete)
+     * @returns {Promise<Object>} 처리 결과 (succeeded, failed)
+     */
+    async bulkPostAction(moderatorId, categoryId, action, postIds, options = {}) {
+        if (!POST_BULK_ACTIONS.includes(action)) {
+            throw new Error('올바르지 않은 처리 방법입니다.');
+        }
+
+        if (!(await this.canModerate(moderatorId, categoryId))) {
+            throw new Error('이 서브포럼을 관리할 권한이 없습니다.');
+        }
+
+        const ids = this.normalizeIds(postIds);
+        const targetCategoryId = parseInt(options.targetCategoryId) || null;
+        const reason = options.reason?.trim() || null;
+
+        if (action === 'move') {
+            if (!targetCategoryId) {
+                throw new Error('이동할 서브포럼을 선택해주세요.');
+            }
+            if (!(await this.canModerate(moderatorId, targetCategoryId))) {
+                throw new Error('이동할 서브포럼을 관리할 권한이 없습니다.');
+            }
+        }
+
+        const succeeded = [];
+        const failed = [];
+
+        for (const postId of ids) {
+            try {
+                switch (action) {
+                    case 'delete':
+                        await this.forumService.deletePost(postId, categoryId, moderatorId, true, reason);
+                        break;
+                    case 'lock':
+                    case 'unlock':
+                        await this.forumService.setPostLocked(postId, categoryId, action === 'lock');
+                        break;
+                    case 'pin':
+                    case 'unpin':
+                        await this.forumService.setPostPinned(postId, categoryId, action === 'pin');
+                        break;
+                    case 'move':
+                        await this.forumService.movePost(postId, categoryId, targetCategoryId, moderatorId);
+                        break;
+                }
+                succeeded.push(postId);
+            } catch (error) {
+                failed.push({ id: postId, error: error.message });
+            }
+        }
+
+        const actionText = { delete: '삭제', lock: '잠금', unlock: '잠금 해제', pin: '고정', unpin: '고정 해제', move: `이동 (→ 서브포럼 ${targetCategoryId})` }[action];
+        await this.authService.logUserActivity(
+            moderatorId,
+            'moderation_bulk_posts',
+            `게시글 일괄 ${actionText}: 서브포럼 ${categoryId}, 성공 ${succeeded.length}건, 실패 ${failed.length}건`
+        );
+
+        return { succeeded, failed };
+    }
+
+    /**
+     * 댓글 일괄 삭제
+     * @param {number} moderatorId - 모더레이터 ID
+     * @param {number} categoryId - 서브포럼 ID
+     * @param {Array<number>} commentIds - 댓글 ID 목록
+     * @param {Object} options - 처리 옵션
+     * @param {string} options.reason - 삭제 사유
+     * @returns {Promise<Object>} 처리 결과 (succeeded, failed)
+     */
+    async bulkDeleteComments(moderatorId, categoryId, commentIds, options = {}) {
+        if (!(await this.canModerate(moderatorId, categoryId))) {
+            throw new Error('이 서브포럼을 관리할 권한이 없습니다.');
+        }
+
+        const ids = this.normalizeIds(commentIds);
+        const reason = options.reason?.trim() || null;
+        const succeeded = [];
+        const failed = [];
+
+        for (const commentId of ids) {
+            try {
+                await this.forumService.deleteComment(commentId, categoryId, moderatorId, true, reason);
+                succeeded.push(commentId);
+            } catch (error) {
+                // 이미 휴지통으로 이동된 댓글 등
+                failed.push({ id: commentId, error: error.message });
+            }
+        }
+
+        await this.authService.logUserActivity(
+            moderatorId,
+            'moderation_bulk_comments',
+            `댓글 일괄 삭제: 서브포럼 ${categoryId}, 성공 ${succeeded.length}건, 실패 ${failed.length}건`
+        );
+
+        return { succeeded, failed };
+    }
+
+    /**
+     * 휴지통 항목 처리 (복원 또는 영구 삭제)
+     * @param {number} moderatorId - 모더레이터 ID
+     * @param {number} categoryId - 서브포럼 ID
+     * @param {string} action - 처리 방법 ('restore' 또는 'purge')
+     * @param {string} targetType - 대상 유형 ('post' 또는 'comment')
+     * @param {number} targetId - 대상 ID
+     * @returns {Promise<boolean>} 처리 성공 여부
+     */
+    async handleTrashItem(moderatorId, categoryId, action, targetType, targetId) {
+        if (!TRASH_ACTIONS.includes(action)) {
+            throw new Error('올바르지 않은 처리 방법입니다.');
+        }
+
+        if (!['post', 'comment'].includes(targetType)) {
+            throw new Error('올바르지 않은 대상입니다.');
+        }
+
+        if (!(await this.canModerate(moderatorId, categoryId))) {
+            throw new Error('이 서브포럼을 관리할 권한이 없습니다.');
+        }
+
+        if (action === 'restore') {
+            await this.forumService.restoreFromTrash(categoryId, targetType, targetId);
+        } else {
+            await this.forumService.purgeFromTrash(categoryId, targetType, targetId);
+        }
+
+        const targetText = targetType === 'post' ? '게시글' : '댓글';
+        const actionText = action === 'restore' ? '복원' : '영구 삭제';
+        await this.authService.logUserActivity(
+            moderatorId,
+            'moderation_trash',
+            `휴지통 ${targetText} ${actionText}: 서브포럼 ${categoryId}, ID ${targetId}`
+        );
+
+        return true;
+    }
+}
+
+ModerationService.POST_BULK_ACTIONS = POST_BULK_ACTIONS;
+ModerationService.TRASH_ACTIONS = TRASH_ACTIONS;
+
+module.exports = ModerationService;
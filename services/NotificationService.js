@@ -0,0 +1,252 @@
+const DatabaseManagerSingleton = require('./DatabaseManager');
+
+// 알림 종류
+const NOTIFICATION_TYPES = {
+    COMMENT: 'comment',                 // 내 게시글에 댓글
+    REPLY: 'reply',                     // 내 댓글에 답글
+    MENTION: 'mention',                 // 게시글/댓글에서 언급
+    POST_DELETED: 'post_deleted',       // 모더레이터가 내 게시글 삭제
+    COMMENT_DELETED: 'comment_deleted', // 모더레이터가 내 댓글 삭제
+    BAN: 'ban'                          // 계정 차단
+};
+
+class NotificationService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+    }
+
+    /**
+     * 알림 생성
+     * @param {Object} notification - 알림 정보
+     * @param {number} notification.userId - 알림을 받을 사용자 ID
+     * @param {number|null} notification.actorId - 알림을 발생시킨 사용자 ID
+     * @param {string} notification.type - 알림 종류 (NOTIFICATION_TYPES)
+     * @param {string} notification.message - 알림 메시지
+     * @param {string|null} notification.link - 알림 클릭 시 이동할 경로
+     * @returns {Promise<number|null>} 생성된 알림 ID (자기 자신에게 보내는 알림이면 null)
+     */
+    async createNotification({ userId, actorId = null, type, message, link = null }) {
+        if (!userId || !type || !message) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        if (!Object.values(NOTIFICATION_TYPES).includes(type)) {
+            throw new Error('올바르지 않은 알림 종류입니다.');
+        }
+
+        // 자신의 행동으로 자신에게 알림을 보내지 않음
+        if (actorId && actorId === userId) {
+            return null;
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const result = await this.dbManager.runQuery(
+                configDB,
+                `INSERT INTO notifications (user_id, actor_id, type, message, link)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userId, actorId, type, message, link]
+            );
+
+            return result.id;
+        } catch (error) {
+            console.error('알림 생성 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 알림 생성 (실패해도 호출한 작업에 영향을 주지 않음)
+     * @param {Object} notification - createNotification과 동일
+     * @returns {Promise<number|null>} 생성된 알림 ID
+     */
+    async notify(notification) {
+        try {
+            return await this.createNotification(notification);
+        } catch (error) {
+            // 알림 실패는 치명적이지 않으므로 경고만 출력
+            console.warn('알림 전송 실패:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 사용자 알림 목록 조회
+     * @param {number} userId - 사용자 ID
+     * @param {Object} options - 조회 옵션
+     * @param {number} options.page - 페이지 번호 (기본값: 1)
+     * @param {number} options.limit - 페이지당 알림 수 (기본값: 20)
+     * @param {boolean} options.unreadOnly - 읽지 않은 알림만 조회 (기본값: false)
+     * @returns {Promise<Object>} 알림 목록과 페이지네이션 정보
+     */
+    async getNotifications(userId, options = {}) {
+        const { page = 1, limit = 20, unreadOnly = false } = options;
+
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+            const offset = (page - 1) * limit;
+            const unreadFilter = unreadOnly ? 'AND n.is_read = 0' : '';
+
+            const notifications = await this.dbManager.allQuery(
+                configDB,
+                `SELECT
+                    n.id,
+                    n.type,
+                    n.message,
+                    n.link,
+                    n.is_read,
+                    n.created_at,
+                    n.actor_id,
+                    a.username as actor_username
+                 FROM notifications n
+                 LEFT JOIN users a ON a.id = n.actor_id
+                 WHERE n.user_id = ? ${unreadFilter}
+                 ORDER BY n.created_at DESC, n.id DESC
+                 LIMIT ? OFFSET ?`,
+                [userId, limit, offset]
+            );
+
+            const totalCountResult = await this.dbManager.getQuery(
+                configDB,
+                `SELECT COUNT(*) as count FROM notifications n WHERE n.user_id = ? ${unreadFilter}`,
+                [userId]
+            );
+
+            const totalCount = totalCountResult?.count || 0;
+            const totalPages = Math.ceil(totalCount / limit);
+
+            return {
+                notifications: notifications.map(notification => ({
+                    ...notification,
+                    is_read: !!notification.is_read
+                })),
+                pagination: {
+                    current_page: page,
+                    total_pages: totalPages,
+                    total_count: totalCount,
+                    limit: limit,
+                    has_next: page < totalPages,
+                    has_prev: page > 1
+                }
+            };
+        } catch (error) {
+            console.error('알림 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 읽지 않은 알림 수 조회
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<number>} 읽지 않은 알림 수
+     */
+    async getUnreadCount(userId) {
+        if (!userId) {
+            return 0;
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const result = await this.dbManager.getQuery(
+                configDB,
+                'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0',
+                [userId]
+            );
+
+            return result?.count || 0;
+        } catch (error) {
+            console.error('읽지 않은 알림 수 조회 실패:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 알림 단건 조회 (본인 알림만)
+     * @param {number} userId - 사용자 ID
+     * @param {number} notificationId - 알림 ID
+     * @returns {Promise<Object|null>} 알림 정보
+     */
+    async getNotification(userId, notificationId) {
+        if (!userId || !notificationId) {
+            return null;
+        }
+
+        const configDB = this.dbManager.getConfigDB();
+
+        const notification = await this.dbManager.getQuery(
+            configDB,
+            'SELECT id, type, message, link, is_read, created_at FROM notifications WHERE id = ? AND user_id = ?',
+            [notificationId, userId]
+        );
+
+        return notification || null;
+    }
+
+    /**
+     * 알림 읽음 처리
+     * @param {number} userId - 사용자 ID
+     * @param {number} notificationId - 알림 ID
+     * @returns {Promise<boolean>} 처리 성공 여부
+     */
+    async markAsRead(userId, notificationId) {
+        if (!userId || !notificationId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const notification = await this.getNotification(userId, notificationId);
+            if (!notification) {
+                throw new Error('알림을 찾을 수 없습니다.');
+            }
+
+            await this.dbManager.runQuery(
+                configDB,
+                'UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+                [notificationId, userId]
+            );
+
+            return true;
+        } catch (error) {
+            console.error('알림 읽음 처리 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 모든 알림 읽음 처리
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<number>} 읽음 처리된 알림 수
+     */
+    async markAllAsRead(userId) {
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const result = await this.dbManager.runQuery(
+                configDB,
+                'UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0',
+                [userId]
+            );
+
+            return result.changes;
+        } catch (error) {
+            console.error('전체 알림 읽음 처리 실패:', error);
+            throw error;
+        }
+    }
+}
+
+NotificationService.TYPES = NOTIFICATION_TYPES;
+
+module.exports = NotificationService;
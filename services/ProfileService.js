@@ -0,0 +1,235 @@
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+const ForumService = require('./ForumService');
+
+// 프로필 필드 최대 길이
+const PROFILE_LIMITS = {
+    displayName: 100,
+    bio: 500,
+    avatarUrl: 255,
+    location: 100,
+    website: 255
+};
+
+class ProfileService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+        this.forumService = new ForumService();
+    }
+
+    /**
+     * 사용자명으로 프로필 조회
+     * @param {string} username - 사용자명
+     * @returns {Promise<Object|null>} 프로필 정보
+     */
+    async getProfileByUsername(username) {
+        if (!username) {
+            return null;
+        }
+
+        return this.findProfile('u.username = ?', [username.trim()]);
+    }
+
+    /**
+     * 사용자 ID로 프로필 조회
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<Object|null>} 프로필 정보
+     */
+    async getProfileByUserId(userId) {
+        if (!userId) {
+            return null;
+        }
+
+        return this.findProfile('u.id = ?', [userId]);
+    }
+
+    /**
+     * users와 user_profiles를 합쳐 프로필 조회
+     * @param {string} whereClause - 조회 조건
+     * @param {Array} params - 조회 파라미터
+     * @returns {Promise<Object|null>} 프로필 정보
+     */
+    async findProfile(whereClause, params) {
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const profile = await this.dbManager.getQuery(
+                configDB,
+                `SELECT
+                    u.id,
+                    u.username,
+                    u.role,
+                    u.avatar_url,
+                    u.bio,
+                    u.created_at,
+                    up.display_name,
+                    up.location,
+                    up.website
+                 FROM users u
+                 LEFT JOIN user_profiles up ON up.user_id = u.id
+                 WHERE ${whereClause}`,
+                params
+            );
+
+            if (!profile) {
+                return null;
+            }
+
+            return {
+                ...profile,
+                display_name: profile.display_name || profile.username
+            };
+        } catch (error) {
+            console.error('프로필 조회 실패:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 프로필 수정
+     * @param {number} userId - 사용자 ID
+     * @param {Object} profileData - 프로필 정보
+     * @param {string} profileData.displayName - 표시 이름
+     * @param {string} profileData.bio - 자기소개
+     * @param {string} profileData.avatarUrl - 아바타 이미지 URL
+     * @param {string} profileData.location - 지역
+     * @param {string} profileData.website - 웹사이트 URL
+     * @returns {Promise<Object>} 수정된 프로필 정보
+     */
+    async updateProfile(userId, profileData) {
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
+        }
+
+        const fields = {};
+        for (const key of Object.keys(PROFILE_LIMITS)) {
+            const value = typeof profileData[key] === 'string' ? profileData[key].trim() : '';
+            if (value.length > PROFILE_LIMITS[key]) {
+                throw new Error(`${this.getFieldLabel(key)}은(는) ${PROFILE_LIMITS[key]}자를 초과할 수 없습니다.`);
+            }
+            fields[key] = value || null;
+        }
+
+        if (fields.avatarUrl && !this.isSafeUrl(fields.avatarUrl)) {
+            throw new Error('아바타 URL은 http(s) 주소 또는 사이트 내부 경로여야 합니다.');
+        }
+
+        if (fields.website && !this.isSafeUrl(fields.website)) {
+            throw new Error('웹사이트 주소는 http(s) 주소 또는 사이트 내부 경로여야 합니다.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const user = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (!user) {
+                throw new Error('사용자를 찾을 수 없습니다.');
+            }
+
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: `UPDATE users
+                          SET avatar_url = ?, bio = ?, updated_at = CURRENT_TIMESTAMP
+                          WHERE id = ?`,
+                    params: [fields.avatarUrl, fields.bio, userId]
+                },
+                {
+                    sql: `INSERT INTO user_profiles (user_id, display_name, location, website)
+                          VALUES (?, ?, ?, ?)
+                          ON CONFLICT(user_id) DO UPDATE SET
+                              display_name = excluded.display_name,
+                              location = excluded.location,
+                              website = excluded.website,
+                              updated_at = CURRENT_TIMESTAMP`,
+                    params: [userId, fields.displayName, fields.location, fields.website]
+                }
+            ]);
+
+            // 활동 로그 기록
+            await this.authService.logUserActivity(userId, 'profile_updated', '프로필 수정');
+
+            console.log(`프로필 수정 완료: 사용자 ID ${userId}`);
+            return await this.getProfileByUserId(userId);
+        } catch (error) {
+            console.error('프로필 수정 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자 활동 기록 조회 (전체 서브포럼의 게시글 또는 댓글)
+     * @param {number} userId - 사용자 ID
+     * @param {Object} options - 조회 옵션
+     * @param {string} options.tab - 조회 대상 ('posts' 또는 'comments')
+     * @param {number} options.page - 페이지 번호 (기본값: 1)
+     * @param {number} options.limit - 페이지당 항목 수 (기본값: 20)
+     * @returns {Promise<Object>} 활동 목록, 페이지네이션 정보, 게시글/댓글 수
+     */
+    async getUserHistory(userId, options = {}) {
+        const { tab = 'posts', page = 1, limit = 20 } = options;
+
+        if (!userId) {
+            throw new Error('사용자 ID가 필요합니다.');
+        }
+
+        // 탭과 관계없이 게시글/댓글 수를 함께 표시하기 위해 양쪽 모두 조회
+        const [postsResult, commentsResult] = await Promise.all([
+            this.forumService.getUserPosts(userId, { page: tab === 'posts' ? page : 1, limit }),
+            this.forumService.getUserComments(userId, { page: tab === 'comments' ? page : 1, limit })
+        ]);
+
+        const activeResult = tab === 'comments' ? commentsResult : postsResult;
+
+        return {
+            tab: tab,
+            items: tab === 'comments' ? commentsResult.comments : postsResult.posts,
+            pagination: activeResult.pagination,
+            stats: {
+                post_count: postsResult.pagination.total_count,
+                comment_count: commentsResult.pagination.total_count
+            }
+        };
+    }
+
+    /**
+     * URL이 안전한 형식인지 확인 (http/https 또는 사이트 내부 경로)
+     * @param {string} url - 확인할 URL
+     * @returns {boolean} 안전 여부
+     */
+    isSafeUrl(url) {
+        if (url.startsWith('/') && !url.startsWith('//')) {
+            return true;
+        }
+
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 프로필 필드 표시 이름
+     * @param {string} key - 필드 키
+     * @returns {string} 표시 이름
+     */
+    getFieldLabel(key) {
+        const labels = {
+            displayName: '표시 이름',
+            bio: '자기소개',
+            avatarUrl: '아바타 URL',
+            location: '지역',
+            website: '웹사이트'
+        };
+        return labels[key] || key;
+    }
+}
+
+module.exports = ProfileService;
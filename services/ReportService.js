@@ -0,0 +1,334 @@
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+const AdminService = require('./AdminService');
+const ForumService = require('./ForumService');
+const ModerationService = require('./ModerationService');
+const { extractPlainText } = require('../utils/markdown');
+
+// 신고 대상 종류
+const REPORT_TARGET_TYPES = ['post', 'comment'];
+
+// 신고 처리 방법 (기각, 콘텐츠 삭제, 작성자 차단)
+const REPORT_ACTIONS = ['dismiss', 'delete', 'ban'];
+
+// 신고 사유 최대 길이
+const REPORT_REASON_MAX_LENGTH = 500;
+
+class ReportService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+        this.adminService = new AdminService();
+        this.forumService = new ForumService();
+        this.moderationService = new ModerationService();
+    }
+
+    /**
+     * 게시글/댓글 신고
+     * @param {number} userId - 신고자 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 신고 대상 종류 ('post' 또는 'comment')
+     * @param {number} targetId - 신고 대상 ID
+     * @param {string} reason - 신고 사유
+     * @returns {Promise<number>} 생성된 신고 ID
+     */
+    async createReport(userId, subforumId, targetType, targetId, reason) {
+        if (!userId || !subforumId || !targetId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        if (!REPORT_TARGET_TYPES.includes(targetType)) {
+            throw new Error('올바르지 않은 신고 대상입니다.');
+        }
+
+        const trimmedReason = (reason || '').trim();
+        if (trimmedReason.length === 0) {
+            throw new Error('신고 사유를 입력해주세요.');
+        }
+
+        if (trimmedReason.length > REPORT_REASON_MAX_LENGTH) {
+            throw new Error(`신고 사유는 ${REPORT_REASON_MAX_LENGTH}자를 초과할 수 없습니다.`);
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const target = await this.getReportTarget(forumDB, subforumId, targetType, targetId);
+            if (!target) {
+                throw new Error('신고할 콘텐츠를 찾을 수 없습니다.');
+            }
+
+            if (target.user_id === userId) {
+                throw new Error('자신의 글은 신고할 수 없습니다.');
+            }
+
+            const existingReport = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT id FROM reports WHERE target_type = ? AND target_id = ? AND reporter_id = ?',
+                [targetType, targetId, userId]
+            );
+
+            if (existingReport) {
+                throw new Error('이미 신고한 콘텐츠입니다.');
+            }
+
+            const result = await this.dbManager.runQuery(
+                forumDB,
+                `INSERT INTO reports (target_type, target_id, post_id, reporter_id, reason)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [targetType, targetId, target.post_id, userId, trimmedReason]
+            );
+
+            await this.authService.logUserActivity(
+                userId,
+                'content_reported',
+                `${targetType === 'post' ? '게시글' : '댓글'} 신고: 서브포럼 ${subforumId}, ID ${targetId}`
+            );
+
+            console.log(`신고 접수 완료: ${targetType} ${targetId} (서브포럼 ${subforumId}, 신고자 ${userId})`);
+            return result.id;
+        } catch (error) {
+            console.error('신고 접수 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 신고 대상 콘텐츠 조회
+     * @param {Object} forumDB - 포럼 DB 연결
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 신고 대상 종류
+     * @param {number} targetId - 신고 대상 ID
+     * @returns {Promise<Object|null>} 대상 정보 (user_id, post_id, post_title, content)
+     */
+    async getReportTarget(forumDB, subforumId, targetType, targetId) {
+        if (targetType === 'post') {
+            const post = await this.dbManager.getQuery(
+                forumDB,
+                'SELECT id, user_id, title, content FROM posts WHERE id = ? AND category_id = ? AND deleted_at IS NULL',
+                [targetId, subforumId]
+            );
+
+            return post ? {
+                user_id: post.user_id,
+                post_id: post.id,
+                post_title: post.title,
+                content: post.content
+            } : null;
+        }
+
+        const comment = await this.dbManager.getQuery(
+            forumDB,
+            `SELECT c.id, c.user_id, c.post_id, c.content, p.title as post_title
+             FROM comments c
+             JOIN posts p ON p.id = c.post_id
+             WHERE c.id = ? AND p.category_id = ?
+               AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
+            [targetId, subforumId]
+        );
+
+        return comment ? {
+            user_id: comment.user_id,
+            post_id: comment.post_id,
+            post_title: comment.post_title,
+            content: comment.content
+        } : null;
+    }
+
+    /**
+     * 처리 대기 중인 신고 목록 조회 (대상 콘텐츠별로 묶음)
+     * @param {number} userId - 검토자 ID
+     * @param {Object} options - 조회 옵션
+     * @param {number|null} options.categoryId - 특정 서브포럼만 조회
+     * @returns {Promise<Object>} 검토 가능한 서브포럼 목록과 신고 항목
+     */
+    async getReportQueue(userId, options = {}) {
+        const { categoryId = null } = options;
+
+        try {
+            const categories = await this.moderationService.getModerationCategories(userId);
+            const targetCategories = categoryId
+                ? categories.filter(category => category.id === categoryId)
+                : categories;
+
+            const items = [];
+            for (const category of targetCategories) {
+                const categoryItems = await this.getPendingReportsForCategory(category);
+                items.push(...categoryItems);
+            }
+
+            // 먼저 신고된 항목부터 처리하도록 정렬
+            items.sort((a, b) => new Date(a.first_reported_at) - new Date(b.first_reported_at));
+
+            return {
+                categories: categories,
+                items: items
+            };
+        } catch (error) {
+            console.error('신고 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 서브포럼의 처리 대기 신고 조회
+     * @param {Object} category - 서브포럼 (id, name)
+     * @returns {Promise<Array>} 대상 콘텐츠별 신고 항목
+     */
+    async getPendingReportsForCategory(category) {
+        const forumDB = await this.dbManager.getForumDB(category.id);
+        const configDB = this.dbManager.getConfigDB();
+
+        const reports = await this.dbManager.allQuery(
+            forumDB,
+            `SELECT id, target_type, target_id, post_id, reporter_id, reason, created_at
+             FROM reports
+             WHERE status = 'pending'
+             ORDER BY created_at ASC, id ASC`
+        );
+
+        const grouped = new Map();
+        for (const report of reports) {
+            const key = `${report.target_type}:${report.target_id}`;
+            if (!grouped.has(key)) {
+                grouped.set(key, {
+                    category_id: category.id,
+                    category_name: category.name,
+                    target_type: report.target_type,
+                    target_id: report.target_id,
+                    post_id: report.post_id,
+                    first_reported_at: report.created_at,
+                    reports: []
+                });
+            }
+            grouped.get(key).reports.push(report);
+        }
+
+        const items = [];
+        for (const item of grouped.values()) {
+            const target = await this.getReportTarget(forumDB, category.id, item.target_type, item.target_id);
+
+            const author = target ? await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, username FROM users WHERE id = ?',
+                [target.user_id]
+            ) : null;
+
+            const reports = await Promise.all(item.reports.map(async (report) => {
+                const reporter = await this.dbManager.getQuery(
+                    configDB,
+                    'SELECT username FROM users WHERE id = ?',
+                    [report.reporter_id]
+                );
+                return {
+                    ...report,
+                    reporter_username: reporter?.username || '알 수 없음'
+                };
+            }));
+
+            items.push({
+                ...item,
+                reports: reports,
+                report_count: reports.length,
+                target_exists: !!target,
+                post_title: target?.post_title || null,
+                content_preview: target ? extractPlainText(target.content, 200) : '',
+                author_id: target?.user_id || null,
+                author_username: author?.username || '알 수 없음'
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * 신고 처리 (대상 콘텐츠에 대한 대기 중인 모든 신고를 함께 처리)
+     * @param {number} moderatorId - 처리자 ID
+     * @param {number} subforumId - 서브포럼 ID
+     * @param {string} targetType - 신고 대상 종류
+     * @param {number} targetId - 신고 대상 ID
+     * @param {string} action - 처리 방법 ('dismiss', 'delete', 'ban')
+     * @param {Object} options - 차단 옵션
+     * @param {string} options.banReason - 차단 사유
+     * @param {Date|null} options.banExpiresAt - 차단 만료일 (null이면 영구)
+     * @returns {Promise<Object>} 처리 결과 (처리된 신고 수)
+     */
+    async handleReport(moderatorId, subforumId, targetType, targetId, action, options = {}) {
+        if (!moderatorId || !subforumId || !targetId) {
+            throw new Error('필수 정보가 누락되었습니다.');
+        }
+
+        if (!REPORT_TARGET_TYPES.includes(targetType)) {
+            throw new Error('올바르지 않은 신고 대상입니다.');
+        }
+
+        if (!REPORT_ACTIONS.includes(action)) {
+            throw new Error('올바르지 않은 처리 방법입니다.');
+        }
+
+        const canModerate = await this.moderationService.canModerate(moderatorId, subforumId);
+        if (!canModerate) {
+            throw new Error('이 서브포럼의 신고를 처리할 권한이 없습니다.');
+        }
+
+        try {
+            const forumDB = await this.dbManager.getForumDB(subforumId);
+
+            const pending = await this.dbManager.getQuery(
+                forumDB,
+                `SELECT COUNT(*) as count FROM reports
+                 WHERE target_type = ? AND target_id = ? AND status = 'pending'`,
+                [targetType, targetId]
+            );
+
+            if (!pending || pending.count === 0) {
+                throw new Error('처리할 신고가 없습니다.');
+            }
+
+            const target = await this.getReportTarget(forumDB, subforumId, targetType, targetId);
+            if (!target && action !== 'dismiss') {
+                throw new Error('신고된 콘텐츠를 찾을 수 없습니다.');
+            }
+
+            // 차단은 콘텐츠 처리 전에 수행 (권한 부족 등으로 실패하면 신고는 대기 상태 유지)
+            if (action === 'ban') {
+                const banReason = (options.banReason || '').trim() || '신고된 콘텐츠 작성';
+                await this.adminService.banUser(moderatorId, target.user_id, banReason, options.banExpiresAt || null);
+            }
+
+            const result = await this.dbManager.runQuery(
+                forumDB,
+                `UPDATE reports
+                 SET status = ?, handled_by = ?, handled_at = CURRENT_TIMESTAMP
+                 WHERE target_type = ? AND target_id = ? AND status = 'pending'`,
+                [action === 'dismiss' ? 'dismissed' : 'resolved', moderatorId, targetType, targetId]
+            );
+
+            if (action === 'delete') {
+                if (targetType === 'post') {
+                    await this.forumService.deletePost(targetId, subforumId, moderatorId, true, '신고 처리');
+                } else {
+                    await this.forumService.deleteComment(targetId, subforumId, moderatorId, true, '신고 처리');
+                }
+            }
+
+            const actionText = { dismiss: '기각', delete: '콘텐츠 삭제', ban: '작성자 차단' }[action];
+            await this.authService.logUserActivity(
+                moderatorId,
+                'report_handled',
+                `신고 처리 (${actionText}): 서브포럼 ${subforumId}, ${targetType} ${targetId}, 신고 ${result.changes}건`
+            );
+
+            console.log(`신고 처리 완료: ${targetType} ${targetId} (${action}, 처리자 ${moderatorId})`);
+            return { action: action, handled: result.changes };
+        } catch (error) {
+            console.error('신고 처리 실패:', error);
+            throw error;
+        }
+    }
+}
+
+ReportService.TARGET_TYPES = REPORT_TARGET_TYPES;
+ReportService.ACTIONS = REPORT_ACTIONS;
+
+module.exports = ReportService;
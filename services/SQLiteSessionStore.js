@@ -0,0 +1,116 @@
+const session = require('express-session');
+const DatabaseManagerSingleton = require('./DatabaseManager');
+
+// 쿠키 만료 시각이 없는 세션의 기본 유지 시간 (24시간)
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * config.db의 sessions 테이블에 세션을 저장하는 express-session 스토어
+ * 서버를 재시작해도 로그인이 유지되며, 로그인 세션은 user_id로 조회/폐기할 수 있음
+ */
+class SQLiteSessionStore extends session.Store {
+    /**
+     * @param {Object} options - 스토어 옵션
+     * @param {number} options.ttl - 쿠키 만료 시각이 없는 세션의 유지 시간(ms)
+     */
+    constructor(options = {}) {
+        super();
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.ttl = options.ttl || DEFAULT_TTL;
+    }
+
+    /**
+     * 세션 만료 시각 계산 (초 단위 UNIX 시간)
+     * @param {Object} sess - 세션 데이터
+     * @returns {number} 만료 시각
+     */
+    getExpiresAt(sess) {
+        const expires = sess?.cookie?.expires ? new Date(sess.cookie.expires).getTime() : Date.now() + this.ttl;
+        return Math.floor(expires / 1000);
+    }
+
+    get(sid, callback) {
+        this.dbManager.getQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT sess FROM sessions WHERE sid = ? AND expires_at > CURRENT_TIMESTAMP',
+            [sid]
+        )
+            .then(row => callback(null, row ? JSON.parse(row.sess) : null))
+            .catch(callback);
+    }
+
+    set(sid, sess, callback) {
+        this.dbManager.runQuery(
+            this.dbManager.getConfigDB(),
+            `INSERT INTO sessions (sid, sess, user_id, ip_address, user_agent, expires_at)
+             VALUES (?, ?, ?, ?, ?, datetime(?, 'unixepoch'))
+             ON CONFLICT(sid) DO UPDATE SET
+                sess = excluded.sess,
+                user_id = excluded.user_id,
+                ip_address = COALESCE(excluded.ip_address, sessions.ip_address),
+                user_agent = COALESCE(excluded.user_agent, sessions.user_agent),
+                expires_at = excluded.expires_at,
+                last_seen_at = CURRENT_TIMESTAMP`,
+            [
+                sid,
+                JSON.stringify(sess),
+                sess.userId || null,
+                sess.ipAddress || null,
+                sess.userAgent ? sess.userAgent.slice(0, 255) : null,
+                this.getExpiresAt(sess)
+            ]
+        )
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    touch(sid, sess, callback) {
+        this.dbManager.runQuery(
+            this.dbManager.getConfigDB(),
+            `UPDATE sessions SET expires_at = datetime(?, 'unixepoch'), last_seen_at = CURRENT_TIMESTAMP
+             WHERE sid = ?`,
+            [this.getExpiresAt(sess), sid]
+        )
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    destroy(sid, callback) {
+        this.dbManager.runQuery(this.dbManager.getConfigDB(), 'DELETE FROM sessions WHERE sid = ?', [sid])
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    length(callback) {
+        this.dbManager.getQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT COUNT(*) as count FROM sessions WHERE expires_at > CURRENT_TIMESTAMP'
+        )
+            .then(row => callback(null, row.count))
+            .catch(callback);
+    }
+
+    clear(callback) {
+        this.dbManager.runQuery(this.dbManager.getConfigDB(), 'DELETE FROM sessions')
+            .then(() => callback && callback(null))
+            .catch(error => callback && callback(error));
+    }
+
+    /**
+     * 만료된 세션 정리
+     * @returns {Promise<number>} 삭제된 세션 수
+     */
+    async destroyExpired() {
+        const result = await this.dbManager.runQuery(
+            this.dbManager.getConfigDB(),
+            'DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP'
+        );
+
+        if (result.changes > 0) {
+            console.log(`만료된 세션 정리: ${result.changes}개`);
+        }
+        return result.changes;
+    }
+}
+
+module.exports = SQLiteSessionStore;
@@ -0,0 +1,111 @@
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+
+/**
+ * 로그인 세션 관리 서비스 (sessions 테이블 기준)
+ * 세션 행을 삭제하면 해당 브라우저는 다음 요청부터 로그아웃됨
+ */
+class SessionService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+    }
+
+    /**
+     * 사용자의 활성 세션 목록 조회 (최근 사용 순)
+     * @param {number} userId - 사용자 ID
+     * @param {string} currentSid - 현재 요청의 세션 ID (현재 세션 표시용)
+     * @returns {Promise<Array>} 세션 목록 (세션 ID는 포함하지 않음)
+     */
+    async getUserSessions(userId, currentSid = null) {
+        try {
+            const sessions = await this.dbManager.allQuery(
+                this.dbManager.getConfigDB(),
+                `SELECT id, sid, ip_address, user_agent, created_at, last_seen_at, expires_at
+                 FROM sessions
+                 WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP
+                 ORDER BY last_seen_at DESC`,
+                [userId]
+            );
+
+            return sessions.map(({ sid, ...session }) => ({
+                ...session,
+                is_current: sid === currentSid
+            }));
+        } catch (error) {
+            console.error('세션 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자 본인의 세션 하나 종료
+     * @param {number} userId - 사용자 ID
+     * @param {number} sessionId - sessions.id
+     * @param {string} currentSid - 현재 요청의 세션 ID (현재 세션은 로그아웃으로 종료)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async revokeSession(userId, sessionId, currentSid = null) {
+        try {
+            const result = await this.dbManager.runQuery(
+                this.dbManager.getConfigDB(),
+                'DELETE FROM sessions WHERE id = ? AND user_id = ? AND sid != ?',
+                [sessionId, userId, currentSid || '']
+            );
+
+            if (result.changes === 0) {
+                throw new Error('종료할 세션을 찾을 수 없습니다.');
+            }
+
+            await this.authService.logUserActivity(userId, 'session_revoked', `세션 종료 (ID: ${sessionId})`);
+            return true;
+
+        } catch (error) {
+            console.error('세션 종료 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 현재 세션을 제외한 사용자의 모든 세션 종료
+     * @param {number} userId - 사용자 ID
+     * @param {string} currentSid - 유지할 현재 세션 ID
+     * @returns {Promise<number>} 종료된 세션 수
+     */
+    async revokeOtherSessions(userId, currentSid) {
+        try {
+            const result = await this.dbManager.runQuery(
+                this.dbManager.getConfigDB(),
+                'DELETE FROM sessions WHERE user_id = ? AND sid != ?',
+                [userId, currentSid || '']
+            );
+
+            if (result.changes > 0) {
+                await this.authService.logUserActivity(userId, 'session_revoked', `다른 세션 ${result.changes}개 종료`);
+            }
+            return result.changes;
+
+        } catch (error) {
+            console.error('다른 세션 종료 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 사용자의 모든 세션 종료 (강제 로그아웃)
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<number>} 종료된 세션 수
+     */
+    async revokeAllSessions(userId) {
+        const result = await this.dbManager.runQuery(
+            this.dbManager.getConfigDB(),
+            'DELETE FROM sessions WHERE user_id = ?',
+            [userId]
+        );
+
+        console.log(`사용자 세션 강제 종료: 사용자 ID ${userId} (${result.changes}개)`);
+        return result.changes;
+    }
+}
+
+module.exports = SessionService;
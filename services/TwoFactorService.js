@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
+const DatabaseManagerSingleton = require('./DatabaseManager');
+const AuthService = require('./AuthService');
+const config = require('../config/default');
+
+// RFC 4648 Base32 알파벳 (인증 앱은 비밀키를 Base32 문자열로 받음)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 기본값 (대부분의 인증 앱이 이 값만 지원)
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * 바이트 배열을 Base32 문자열로 인코딩 (패딩 없음)
+ * @param {Buffer} buffer - 원본 바이트
+ * @returns {string} Base32 문자열
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 문자열을 바이트 배열로 디코딩 (공백, 패딩, 대소문자 무시)
+ * @param {string} input - Base32 문자열
+ * @returns {Buffer} 디코딩된 바이트
+ */
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('올바르지 않은 2단계 인증 비밀키입니다.');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP 코드 생성 (RFC 4226, HMAC-SHA1)
+ * @param {Buffer} key - 비밀키
+ * @param {number} counter - 카운터 (TOTP에서는 시간 단계)
+ * @returns {string} 6자리 코드
+ */
+function generateHotp(key, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * 2단계 인증 (TOTP) 서비스
+ * 비밀키는 등록이 확인된 뒤에만 users 테이블에 저장하고, 복구 코드는 해시로만 저장
+ */
+class TwoFactorService {
+    constructor() {
+        this.dbManager = DatabaseManagerSingleton.getInstance();
+        this.authService = new AuthService();
+    }
+
+    /**
+     * 역할에 2단계 인증이 필수인지 확인
+     * @param {string} role - 사용자 역할
+     * @returns {boolean} 필수 여부
+     */
+    isRequiredForRole(role) {
+        return config.twoFactor.requiredRoles.includes(role);
+    }
+
+    /**
+     * 새 TOTP 비밀키 생성 (160비트)
+     * @returns {string} Base32 비밀키
+     */
+    generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * 인증 앱 등록용 otpauth URI 생성
+     * @param {string} username - 사용자명 (인증 앱에 표시)
+     * @param {string} secret - Base32 비밀키
+     * @returns {string} otpauth://totp/... URI
+     */
+    getOtpauthUri(username, secret) {
+        const { issuer } = config.twoFactor;
+        const params = new URLSearchParams({
+            secret: secret,
+            issuer: issuer,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_PERIOD)
+        });
+
+        return `otpauth://totp/${encodeURIComponent(`${issuer}:${username}`)}?${params}`;
+    }
+
+    /**
+     * otpauth URI를 QR 코드 이미지(data URL)로 변환
+     * @param {string} otpauthUri - otpauth URI
+     * @returns {Promise<string>} PNG data URL
+     */
+    async getQrCodeDataUrl(otpauthUri) {
+        return QRCode.toDataURL(otpauthUri, { margin: 1, width: 220 });
+    }
+
+    /**
+     * 현재 시각의 TOTP 코드 생성
+     * @param {string} secret - Base32 비밀키
+     * @param {number} now - 기준 시각 (ms)
+     * @returns {string} 6자리 코드
+     */
+    generateTotp(secret, now = Date.now()) {
+        return generateHotp(base32Decode(secret), Math.floor(now / 1000 / TOTP_PERIOD));
+    }
+
+    /**
+     * TOTP 코드 검증 (허용 오차 안의 시간 단계 중 일치하는 단계 반환)
+     * @param {string} secret - Base32 비밀키
+     * @param {string} code - 사용자가 입력한 6자리 코드
+     * @param {number|null} lastUsedStep - 마지막으로 사용된 시간 단계 (이하 단계의 코드는 재사용으로 간주)
+     * @param {number} now - 기준 시각 (ms)
+     * @returns {number|null} 일치한 시간 단계 또는 null
+     */
+    verifyTotp(secret, code, lastUsedStep = null, now = Date.now()) {
+        if (!secret || !/^\d{6}$/.test(code || '')) {
+            return null;
+        }
+
+        const key = base32Decode(secret);
+        const currentStep = Math.floor(now / 1000 / TOTP_PERIOD);
+        const { window } = config.twoFactor;
+
+        for (let offset = -window; offset <= window; offset++) {
+            const step = currentStep + offset;
+            if (lastUsedStep !== null && step <= lastUsedStep) {
+                continue;
+            }
+            if (crypto.timingSafeEqual(Buffer.from(generateHotp(key, step)), Buffer.from(code))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 복구 코드 입력값 정규화 (대소문자, 하이픈, 공백 무시)
+     * @param {string} code - 입력한 복구 코드
+     * @returns {string} 정규화된 코드
+     */
+    normalizeRecoveryCode(code) {
+        return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * 새 복구 코드 생성 및 저장 쿼리 구성 (기존 복구 코드는 모두 삭제)
+     * @param {number} userId - 사용자 ID
+     * @returns {Object} 사용자에게 보여줄 코드 목록(codes)과 트랜잭션 쿼리(queries)
+     */
+    buildRecoveryCodes(userId) {
+        const codes = [];
+        const queries = [
+            { sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?', params: [userId] }
+        ];
+
+        for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+            queries.push({
+                sql: 'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+                params: [userId, this.authService.hashToken(raw)]
+            });
+        }
+
+        return { codes, queries };
+    }
+
+    /**
+     * 2단계 인증 상태 조회
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<Object>} 사용 여부, 등록 시각, 남은 복구 코드 수, 역할상 필수 여부
+     */
+    async getStatus(userId) {
+        const configDB = this.dbManager.getConfigDB();
+
+        const user = await this.dbManager.getQuery(
+            configDB,
+            'SELECT id, role, totp_enabled_at FROM users WHERE id = ?',
+            [userId]
+        );
+
+        if (!user) {
+            throw new Error('사용자를 찾을 수 없습니다.');
+        }
+
+        const recoveryCodes = await this.dbManager.getQuery(
+            configDB,
+            'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+
+        return {
+            enabled: !!user.totp_enabled_at,
+            enabledAt: user.totp_enabled_at,
+            remainingRecoveryCodes: recoveryCodes.count,
+            required: this.isRequiredForRole(user.role)
+        };
+    }
+
+    /**
+     * 2단계 인증 등록 (인증 앱에서 생성한 코드로 비밀키 확인 후 저장)
+     * @param {number} userId - 사용자 ID
+     * @param {string} secret - 등록 화면에서 발급한 Base32 비밀키
+     * @param {string} code - 인증 앱의 6자리 코드
+     * @returns {Promise<string[]>} 복구 코드 목록 (이때 한 번만 보여줌)
+     */
+    async enable(userId, secret, code) {
+        if (!secret) {
+            throw new Error('등록 정보가 만료되었습니다. 페이지를 새로고침한 뒤 다시 시도해주세요.');
+        }
+
+        try {
+            const configDB = this.dbManager.getConfigDB();
+
+            const user = await this.dbManager.getQuery(
+                configDB,
+                'SELECT id, totp_enabled_at FROM users WHERE id = ?',
+                [userId]
+            );
+
+            if (!user) {
+                throw new Error('사용자를 찾을 수 없습니다.');
+            }
+
+            if (user.totp_enabled_at) {
+                throw new Error('이미 2단계 인증을 사용 중입니다.');
+            }
+
+            const step = this.verifyTotp(secret, code);
+            if (step === null) {
+                throw new Error('인증 코드가 올바르지 않습니다. 인증 앱의 시간이 정확한지 확인해주세요.');
+            }
+
+            const { codes, queries } = this.buildRecoveryCodes(userId);
+
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: `UPDATE users SET totp_secret = ?, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?,
+                          updated_at = CURRENT_TIMESTAMP WHERE id = ? AND totp_enabled_at IS NULL`,
+                    params: [secret, step, userId]
+                },
+                ...queries
+            ]);
+
+            await this.authService.logUserActivity(userId, 'two_factor_enabled', '2단계 인증 등록');
+
+            console.log(`2단계 인증 등록: 사용자 ID ${userId}`);
+            return codes;
+
+        } catch (error) {
+            console.error('2단계 인증 등록 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 2단계 인증 해제 (비밀번호와 현재 인증 코드 모두 확인)
+     * @param {number} userId - 사용자 ID
+     * @param {string} password - 현재 비밀번호
+     * @param {string} code - 인증 코드 또는 복구 코드
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async disable(userId, password, code) {
+        try {
+            const configDB = this.dbManager.getConfigDB();
+            const user = await this.getEnrolledUser(userId);
+
+            if (this.isRequiredForRole(user.role)) {
+                throw new Error('현재 역할에서는 2단계 인증을 해제할 수 없습니다.');
+            }
+
+            const isPasswordValid = await bcrypt.compare(password || '', user.password_hash);
+            if (!isPasswordValid) {
+                throw new Error('비밀번호가 올바르지 않습니다.');
+            }
+
+            if (!(await this.consumeCode(user, code))) {
+                throw new Error('인증 코드가 올바르지 않습니다.');
+            }
+
+            await this.dbManager.runTransaction(configDB, [
+                {
+                    sql: `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+                          updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    params: [userId]
+                },
+                {
+                    sql: 'DELETE FROM user_recovery_codes WHERE user_id = ?',
+                    params: [userId]
+                }
+            ]);
+
+            await this.authService.logUserActivity(userId, 'two_factor_disabled', '2단계 인증 해제');
+
+            console.log(`2단계 인증 해제: 사용자 ID ${userId}`);
+            return true;
+
+        } catch (error) {
+            console.error('2단계 인증 해제 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 복구 코드 재발급 (인증 앱 코드로만 가능, 기존 복구 코드는 모두 무효화)
+     * @param {number} userId - 사용자 ID
+     * @param {string} code - 인증 앱의 6자리 코드
+     * @returns {Promise<string[]>} 새 복구 코드 목록
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        try {
+            const user = await this.getEnrolledUser(userId);
+
+            if (!(await this.consumeCode(user, code, { allowRecoveryCode: false }))) {
+                throw new Error('인증 앱의 6자리 코드가 올바르지 않습니다.');
+            }
+
+            const { codes, queries } = this.buildRecoveryCodes(userId);
+            await this.dbManager.runTransaction(this.dbManager.getConfigDB(), queries);
+
+            await this.authService.logUserActivity(userId, 'two_factor_recovery_regenerated', '2단계 인증 복구 코드 재발급');
+
+            return codes;
+
+        } catch (error) {
+            console.error('복구 코드 재발급 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 로그인 2단계 확인 (비밀번호 확인 이후)
+     * 코드 추측을 막기 위해 실패는 login_failed로 기록하여 비밀번호와 같은 잠금 규칙을 적용
+     * @param {number} userId - 비밀번호를 확인한 사용자 ID
+     * @param {string} code - 인증 코드 또는 복구 코드
+     * @param {string} ipAddress - 클라이언트 IP 주소
+     * @returns {Promise<Object>} 로그인된 사용자 정보 (recoveryCodeUsed: 복구 코드 사용 여부)
+     */
+    async verifyLogin(userId, code, ipAddress = null) {
+        try {
+            const user = await this.getEnrolledUser(userId);
+
+            const ipStatus = ipAddress ? await this.authService.getLoginFailureStatus('ip', ipAddress) : null;
+            if (ipStatus?.lockedMs > 0) {
+                throw this.authService.createLoginThrottleError(
+                    `이 IP에서 로그인 실패가 너무 많습니다. ${Math.ceil(ipStatus.lockedMs / 60000)}분 후에 다시 시도해주세요.`,
+                    ipStatus.lockedMs
+                );
+            }
+
+            const userStatus = await this.authService.getLoginFailureStatus('user', user.id);
+            if (userStatus.lockedMs > 0) {
+                throw this.authService.createLoginThrottleError(
+                    `로그인 실패가 너무 많아 계정이 잠겼습니다. ${Math.ceil(userStatus.lockedMs / 60000)}분 후에 다시 시도해주세요.`,
+                    userStatus.lockedMs
+                );
+            }
+
+            if (userStatus.retryAfterMs > 0) {
+                throw this.authService.createLoginThrottleError(
+                    `${Math.ceil(userStatus.retryAfterMs / 1000)}초 후에 다시 시도해주세요.`,
+                    userStatus.retryAfterMs
+                );
+            }
+
+            const method = await this.consumeCode(user, code);
+            if (!method) {
+                await this.authService.logUserActivity(user.id, 'login_failed', '잘못된 2단계 인증 코드', ipAddress);
+
+                const remainingAttempts = userStatus.remainingAttempts - 1;
+                if (remainingAttempts <= 0) {
+                    throw this.authService.createLoginThrottleError(
+                        `인증 코드가 올바르지 않습니다. 로그인 실패가 너무 많아 계정이 ${Math.ceil(config.security.lockoutTime / 60000)}분 동안 잠깁니다.`,
+                        config.security.lockoutTime
+                    );
+                }
+                throw new Error(`인증 코드가 올바르지 않습니다. (남은 시도 ${remainingAttempts}회)`);
+            }
+
+            await this.authService.logUserActivity(
+                user.id,
+                'login_success',
+                method === 'recovery' ? '로그인 성공 (복구 코드 사용)' : '로그인 성공 (2단계 인증)',
+                ipAddress
+            );
+
+            const { password_hash, totp_secret, totp_last_step, ...userInfo } = user;
+
+            console.log(`사용자 로그인 성공 (2단계 인증): ${user.username} (ID: ${user.id})`);
+            return { ...userInfo, recoveryCodeUsed: method === 'recovery' };
+
+        } catch (error) {
+            console.error('2단계 인증 로그인 실패:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 2단계 인증을 사용 중인 사용자 조회
+     * @param {number} userId - 사용자 ID
+     * @returns {Promise<Object>} 사용자 정보 (비밀키 포함, 외부로 반환하지 않음)
+     */
+    async getEnrolledUser(userId) {
+        const user = await this.dbManager.getQuery(
+            this.dbManager.getConfigDB(),
+            'SELECT * FROM users WHERE id = ? AND totp_enabled_at IS NOT NULL',
+            [userId]
+        );
+
+        if (!user) {
+            throw new Error('2단계 인증을 사용하지 않는 계정입니다.');
+        }
+
+        return user;
+    }
+
+    /**
+     * 인증 코드 또는 복구 코드 확인 후 사용 처리
+     * TOTP 코드는 마지막으로 사용된 시간 단계를 갱신하여 같은 코드의 재사용을 막음
+     * @param {Object} user - getEnrolledUser로 조회한 사용자
+     * @param {string} code - 입력한 코드
+     * @param {Object} options - allowRecoveryCode: 복구 코드 허용 여부 (기본값 true)
+     * @returns {Promise<string|null>} 'totp', 'recovery' 또는 null (실패)
+     */
+    async consumeCode(user, code, { allowRecoveryCode = true } = {}) {
+        const configDB = this.dbManager.getConfigDB();
+        const input = String(code || '').replace(/\s/g, '');
+
+        if (/^\d{6}$/.test(input)) {
+            const step = this.verifyTotp(user.totp_secret, input, user.totp_last_step);
+            if (step === null) {
+                return null;
+            }
+
+            // 같은 코드로 동시에 요청된 경우 먼저 갱신한 요청만 성공
+            const claimed = await this.dbManager.runQuery(
+                configDB,
+                'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+                [step, user.id, step]
+            );
+            return claimed.changes > 0 ? 'totp' : null;
+        }
+
+        const normalized = this.normalizeRecoveryCode(input);
+        if (!allowRecoveryCode || !normalized) {
+            return null;
+        }
+
+        const claimed = await this.dbManager.runQuery(
+            configDB,
+            `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE id = (SELECT id FROM user_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+            [user.id, this.authService.hashToken(normalized)]
+        );
+        return claimed.changes > 0 ? 'recovery' : null;
+    }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,105 @@
+// 비교할 수 있는 최대 줄 수 (LCS 테이블 크기 제한)
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * 텍스트를 줄 단위로 분리 (CRLF/LF 모두 처리)
+ * @param {string} text - 원본 텍스트
+ * @returns {Array<string>} 줄 목록
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * 두 텍스트의 줄 단위 차이 계산 (최장 공통 부분 수열 기반)
+ * @param {string} oldText - 이전 텍스트
+ * @param {string} newText - 새 텍스트
+ * @returns {Array<Object>} 차이 목록 ({ type: 'equal' | 'added' | 'removed', line })
+ */
+function diffLines(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+
+    // 양 끝의 공통 줄은 테이블 계산에서 제외
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+
+    const result = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+
+    if (oldMiddle.length > MAX_DIFF_LINES || newMiddle.length > MAX_DIFF_LINES) {
+        // 너무 큰 변경은 전체 삭제/추가로 표시
+        result.push(...oldMiddle.map(line => ({ type: 'removed', line })));
+        result.push(...newMiddle.map(line => ({ type: 'added', line })));
+    } else {
+        result.push(...diffMiddle(oldMiddle, newMiddle));
+    }
+
+    result.push(...oldLines.slice(oldEnd).map(line => ({ type: 'equal', line })));
+    return result;
+}
+
+/**
+ * LCS 테이블을 이용한 줄 목록 비교
+ * @param {Array<string>} oldLines - 이전 줄 목록
+ * @param {Array<string>} newLines - 새 줄 목록
+ * @returns {Array<Object>} 차이 목록
+ */
+function diffMiddle(oldLines, newLines) {
+    const rows = oldLines.length;
+    const cols = newLines.length;
+
+    // lcs[i][j]: oldLines[i..], newLines[j..]의 최장 공통 부분 수열 길이
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'equal', line: oldLines[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'removed', line: oldLines[i] });
+            i++;
+        } else {
+            result.push({ type: 'added', line: newLines[j] });
+            j++;
+        }
+    }
+
+    while (i < rows) {
+        result.push({ type: 'removed', line: oldLines[i++] });
+    }
+    while (j < cols) {
+        result.push({ type: 'added', line: newLines[j++] });
+    }
+
+    return result;
+}
+
+module.exports = {
+    diffLines
+};
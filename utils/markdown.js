@@ -15,12 +15,21 @@ marked.setOptions({
     smartypants: false
 });
 
+// @멘션 패턴 (사용자명 규칙: 영문, 숫자, 언더스코어 3-20자)
+// 앞 글자가 영문/숫자/점이면 이메일 주소 등으로 보고 멘션으로 취급하지 않음
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@.])@([a-zA-Z0-9_]{3,20})(?![a-zA-Z0-9_])/g;
+
+// 멘션을 찾지 않는 요소 (코드 블록, 인라인 코드, 기존 링크)
+const MENTION_IGNORED_TAGS = new Set(['PRE', 'CODE', 'A']);
+
 /**
  * 마크다운을 안전한 HTML로 변환
  * @param {string} markdown - 마크다운 텍스트
+ * @param {Object} options - 렌더링 옵션
+ * @param {Set<string>|Map<string, number>} options.mentions - 링크로 변환할 (존재하는) 멘션 사용자명 목록
  * @returns {string} 안전한 HTML
  */
-function renderMarkdown(markdown) {
+function renderMarkdown(markdown, options = {}) {
     if (!markdown || typeof markdown !== 'string') {
         return '';
     }
@@ -30,22 +39,11 @@ function renderMarkdown(markdown) {
         const rawHtml = marked(markdown);
 
         // XSS 공격 방지를 위한 HTML 정화
-        const cleanHtml = purify.sanitize(rawHtml, {
-            ALLOWED_TAGS: [
-                'p', 'br', 'strong', 'em', 'u', 's', 'del', 'ins',
-                'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-                'ul', 'ol', 'li',
-                'blockquote', 'pre', 'code',
-                'a', 'img',
-                'table', 'thead', 'tbody', 'tr', 'th', 'td',
-                'hr'
-            ],
-            ALLOWED_ATTR: [
-                'href', 'title', 'alt', 'src',
-                'class', 'id'
-            ],
-            ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|cid|xmpp|data):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i
-        });
+        const cleanHtml = sanitizeHtml(rawHtml);
+
+        if (options.mentions && options.mentions.size > 0) {
+            return linkMentions(cleanHtml, options.mentions);
+        }
 
         return cleanHtml;
     } catch (error) {
@@ -55,6 +53,126 @@ function renderMarkdown(markdown) {
     }
 }
 
+/**
+ * 허용된 태그/속성만 남기도록 HTML 정화
+ * @param {string} html - 정화할 HTML
+ * @returns {string} 안전한 HTML
+ */
+function sanitizeHtml(html) {
+    return purify.sanitize(html, {
+        ALLOWED_TAGS: [
+            'p', 'br', 'strong', 'em', 'u', 's', 'del', 'ins',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'ul', 'ol', 'li',
+            'blockquote', 'pre', 'code',
+            'a', 'img',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td',
+            'hr'
+        ],
+        ALLOWED_ATTR: [
+            'href', 'title', 'alt', 'src',
+            'class', 'id'
+        ],
+        ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|cid|xmpp|data):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i
+    });
+}
+
+/**
+ * 멘션 대상이 될 수 있는 텍스트 노드 수집 (코드/링크 내부 제외)
+ * @param {Element} root - 탐색할 루트 요소
+ * @returns {Array<Text>} 텍스트 노드 목록
+ */
+function collectMentionTextNodes(root) {
+    const textNodes = [];
+    const walker = window.document.createTreeWalker(root, window.NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            for (let parent = node.parentNode; parent && parent !== root; parent = parent.parentNode) {
+                if (MENTION_IGNORED_TAGS.has(parent.nodeName)) {
+                    return window.NodeFilter.FILTER_REJECT;
+                }
+            }
+            return node.nodeValue.includes('@') ? window.NodeFilter.FILTER_ACCEPT : window.NodeFilter.FILTER_SKIP;
+        }
+    });
+
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    return textNodes;
+}
+
+/**
+ * 마크다운 텍스트에서 멘션된 사용자명 추출 (코드 블록 내부 제외)
+ * @param {string} markdown - 마크다운 텍스트
+ * @returns {Array<string>} 중복을 제거한 사용자명 목록 (등장 순서)
+ */
+function extractMentions(markdown) {
+    if (!markdown || typeof markdown !== 'string' || !markdown.includes('@')) {
+        return [];
+    }
+
+    try {
+        const container = window.document.createElement('div');
+        container.innerHTML = sanitizeHtml(marked(markdown));
+
+        const usernames = new Set();
+        for (const textNode of collectMentionTextNodes(container)) {
+            for (const match of textNode.nodeValue.matchAll(MENTION_PATTERN)) {
+                usernames.add(match[2]);
+            }
+        }
+
+        return Array.from(usernames);
+    } catch (error) {
+        console.error('멘션 추출 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 정화된 HTML의 @멘션을 프로필 링크로 변환
+ * @param {string} html - 정화된 HTML
+ * @param {Set<string>|Map<string, number>} mentions - 링크로 변환할 사용자명 목록 (없는 사용자는 일반 텍스트 유지)
+ * @returns {string} 멘션 링크가 적용된 HTML
+ */
+function linkMentions(html, mentions) {
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+
+    for (const textNode of collectMentionTextNodes(container)) {
+        const text = textNode.nodeValue;
+        const fragment = window.document.createDocumentFragment();
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(MENTION_PATTERN)) {
+            const username = match[2];
+            if (!mentions.has(username)) {
+                continue;
+            }
+
+            // 앞 글자(match[1])는 텍스트로 유지하고 @사용자명 부분만 링크로 변환
+            const mentionStart = match.index + match[1].length;
+            fragment.appendChild(window.document.createTextNode(text.slice(lastIndex, mentionStart)));
+
+            const link = window.document.createElement('a');
+            link.setAttribute('href', `/profile/${encodeURIComponent(username)}`);
+            link.setAttribute('class', 'mention');
+            link.textContent = `@${username}`;
+            fragment.appendChild(link);
+
+            lastIndex = mentionStart + username.length + 1;
+        }
+
+        if (lastIndex > 0) {
+            fragment.appendChild(window.document.createTextNode(text.slice(lastIndex)));
+            textNode.parentNode.replaceChild(fragment, textNode);
+        }
+    }
+
+    return container.innerHTML;
+}
+
 /**
  * HTML 특수문자 이스케이프
  * @param {string} text - 이스케이프할 텍스트
@@ -108,8 +226,56 @@ function extractPlainText(markdown, maxLength = 150) {
     }
 }
 
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * HTML 엔티티를 원래 문자로 복원
+ * @param {string} text - 엔티티가 포함된 텍스트
+ * @returns {string} 복원된 텍스트
+ */
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * 마크다운을 한 줄짜리 플레인 텍스트로 변환 (길이 제한 없음)
+ * 엔티티까지 복원한 원문 문자열이므로 HTML에 넣을 때는 escapeHtml()을 거쳐야 함
+ * @param {string} markdown - 마크다운 텍스트
+ * @returns {string} 플레인 텍스트
+ */
+function markdownToText(markdown) {
+    if (!markdown || typeof markdown !== 'string') {
+        return '';
+    }
+
+    try {
+        const plainText = marked(markdown).replace(/<[^>]*>/g, '');
+        return decodeHtmlEntities(plainText).replace(/\s+/g, ' ').trim();
+    } catch (error) {
+        console.error('플레인 텍스트 변환 실패:', error);
+        return markdown.replace(/\s+/g, ' ').trim();
+    }
+}
+
 module.exports = {
     renderMarkdown,
     escapeHtml,
-    extractPlainText
+    extractPlainText,
+    markdownToText,
+    extractMentions
 };
\ No newline at end of file
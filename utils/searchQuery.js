@@ -0,0 +1,200 @@
+// 검색어 하나에서 사용할 수 있는 최대 단어 수 (과도하게 긴 검색 조건 방지)
+const MAX_SEARCH_TERMS = 20;
+
+// 날짜 필터 형식 (YYYY-MM-DD)
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 검색어를 토큰 목록으로 분리
+ * 따옴표로 묶은 구문, 앞에 -(또는 NOT)가 붙은 제외 단어, 대문자 OR, 끝에 *가 붙은 접두어 단어를 구분
+ * (AND는 단어를 나열한 것과 같으므로 무시)
+ * @param {string} input - 사용자 검색어
+ * @returns {Array<Object>} 토큰 목록 ({ text, prefix, negated } 또는 { or: true })
+ */
+function tokenize(input) {
+    const tokens = [];
+    const text = String(input || '');
+    let index = 0;
+    let pendingNot = false;
+
+    while (index < text.length) {
+        if (/\s/.test(text[index])) {
+            index++;
+            continue;
+        }
+
+        let negated = pendingNot;
+        pendingNot = false;
+        if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+            negated = true;
+            index++;
+        }
+
+        let value;
+        let phrase = false;
+        if (text[index] === '"') {
+            // 닫는 따옴표가 없으면 검색어 끝까지를 구문으로 취급
+            const end = text.indexOf('"', index + 1);
+            value = text.slice(index + 1, end === -1 ? text.length : end);
+            index = end === -1 ? text.length : end + 1;
+            phrase = true;
+        } else {
+            const start = index;
+            while (index < text.length && !/\s/.test(text[index]) && text[index] !== '"') {
+                index++;
+            }
+            value = text.slice(start, index);
+        }
+
+        if (!phrase && !negated && value === 'OR') {
+            tokens.push({ or: true });
+            continue;
+        }
+        if (!phrase && !negated && value === 'AND') {
+            continue;
+        }
+        if (!phrase && !negated && value === 'NOT') {
+            pendingNot = true;
+            continue;
+        }
+
+        // 문자나 숫자가 없는 단어(기호만 있는 단어)는 검색할 수 없으므로 무시
+        const prefix = !phrase && value.length > 1 && value.endsWith('*');
+        const termText = (prefix ? value.replace(/\*+$/, '') : value).trim().replace(/\s+/g, ' ');
+        if (/[\p{L}\p{N}]/u.test(termText)) {
+            tokens.push({ text: termText, prefix, negated });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 사용자 검색어를 안전한 검색 조건으로 분석
+ * - 단어 여러 개: 모든 단어가 포함된 글 검색
+ * - "구문": 따옴표 안의 구문이 그대로 포함된 글 검색
+ * - -단어, -"구문", NOT 단어: 해당 단어/구문이 포함된 글 제외
+ * - 단어 OR 단어: 둘 중 하나라도 포함된 글 검색 (OR는 대문자)
+ * - 단어*: 해당 단어로 시작하는 단어 검색
+ * 그 외 FTS5 연산자와 특수문자는 모두 일반 문자로 취급
+ * @param {string} input - 사용자 검색어
+ * @returns {Object} { clauses: 모두 만족해야 하는 OR 묶음 목록, excluded: 제외 단어 목록, terms: 하이라이트할 단어 목록 }
+ */
+function parseSearchQuery(input) {
+    const clauses = [];
+    const excluded = [];
+    let pendingOr = false;
+    let lastWasTerm = false;
+    let count = 0;
+
+    for (const token of tokenize(input)) {
+        if (token.or) {
+            pendingOr = lastWasTerm;
+            continue;
+        }
+
+        if (count >= MAX_SEARCH_TERMS) {
+            break;
+        }
+        count++;
+
+        const term = { text: token.text, prefix: token.prefix };
+        if (token.negated) {
+            excluded.push(term);
+            lastWasTerm = false;
+        } else if (pendingOr) {
+            clauses[clauses.length - 1].push(term);
+            lastWasTerm = true;
+        } else {
+            clauses.push([term]);
+            lastWasTerm = true;
+        }
+        pendingOr = false;
+    }
+
+    return {
+        clauses,
+        excluded,
+        terms: clauses.flat().map(term => term.text)
+    };
+}
+
+/**
+ * 분석한 검색 조건을 FTS5 MATCH 식으로 변환 (모든 단어를 따옴표로 감싸 문법 오류 방지)
+ * @param {Array<Array<Object>>} clauses - OR 묶음 목록 (모두 만족해야 함)
+ * @param {Array<Object>} excluded - 제외 단어 목록
+ * @returns {string|null} MATCH 식 (포함할 단어가 없으면 null)
+ */
+function toFtsMatchQuery(clauses, excluded = []) {
+    if (clauses.length === 0) {
+        return null;
+    }
+
+    const quote = term => `"${term.text.replace(/"/g, '""')}"${term.prefix ? '*' : ''}`;
+    const positive = clauses
+        .map(clause => clause.length > 1 ? `(${clause.map(quote).join(' OR ')})` : quote(clause[0]))
+        .join(' AND ');
+
+    return excluded.length > 0
+        ? `${clauses.length > 1 ? `(${positive})` : positive} ${excluded.map(term => `NOT ${quote(term)}`).join(' ')}`
+        : positive;
+}
+
+/**
+ * 검색 요청 파라미터에서 상세 검색 필터 추출 및 검증
+ * @param {Object} params - 요청 쿼리 (author, from, to, subforum, has_attachments)
+ * @returns {Object} { filters, error } (형식이 잘못되면 error에 메시지)
+ */
+function parseSearchFilters(params = {}) {
+    const filters = {
+        author: typeof params.author === 'string' ? params.author.trim() : '',
+        dateFrom: typeof params.from === 'string' ? params.from.trim() : '',
+        dateTo: typeof params.to === 'string' ? params.to.trim() : '',
+        subforumIds: [],
+        hasAttachments: ['1', 'true', 'on'].includes(params.has_attachments)
+    };
+
+    // ?subforum=1&subforum=2 또는 ?subforum=1,2 모두 지원
+    const subforums = [].concat(params.subforum || [])
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(value => value.length > 0);
+
+    for (const value of subforums) {
+        const id = parseInt(value, 10);
+        if (isNaN(id) || id <= 0) {
+            return { filters, error: '올바르지 않은 서브포럼입니다.' };
+        }
+        if (!filters.subforumIds.includes(id)) {
+            filters.subforumIds.push(id);
+        }
+    }
+
+    for (const date of [filters.dateFrom, filters.dateTo]) {
+        if (date && (!DATE_PATTERN.test(date) || isNaN(Date.parse(date)))) {
+            return { filters, error: '날짜는 YYYY-MM-DD 형식으로 입력해주세요.' };
+        }
+    }
+
+    if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+        return { filters, error: '시작 날짜가 종료 날짜보다 늦습니다.' };
+    }
+
+    return { filters, error: null };
+}
+
+/**
+ * 검색어 없이도 검색할 수 있는 필터(작성자, 기간, 첨부파일)가 있는지 확인
+ * @param {Object} filters - parseSearchFilters()로 추출한 필터
+ * @returns {boolean}
+ */
+function hasContentFilters(filters = {}) {
+    return !!(filters.author || filters.dateFrom || filters.dateTo || filters.hasAttachments);
+}
+
+module.exports = {
+    parseSearchQuery,
+    toFtsMatchQuery,
+    parseSearchFilters,
+    hasContentFilters
+};
@@ -0,0 +1,132 @@
+const { escapeHtml, markdownToText } = require('./markdown');
+
+// 검색어 일치 구간 표시용 제어 문자 (FTS5 highlight()에도 같은 값을 넘김)
+// 본문에 쓰이지 않는 문자라서 마크다운 변환과 HTML 이스케이프를 그대로 통과함
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const MARK_PATTERN = /[\u0002\u0003]/g;
+
+// 검색 결과에 보여줄 스니펫 기본 길이 (글자 수)
+const SNIPPET_LENGTH = 200;
+
+/**
+ * 정규식 특수문자 이스케이프
+ * @param {string} text - 원본 문자열
+ * @returns {string} 이스케이프된 문자열
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 일치 구간 표시 문자 제거
+ * @param {string} text - 표시 문자가 포함된 텍스트
+ * @returns {string} 표시 문자를 뺀 텍스트
+ */
+function stripMarks(text) {
+    return String(text || '').replace(MARK_PATTERN, '');
+}
+
+/**
+ * 텍스트에서 검색어와 일치하는 부분을 표시 문자로 감쌈 (대소문자 무시)
+ * FTS5 highlight()를 쓸 수 없는 경우(LIKE 검색, 댓글 결과의 게시글 제목 등)에 사용
+ * @param {string} text - 원본 텍스트
+ * @param {Array<string>} terms - 표시할 검색어 목록
+ * @returns {string} 표시 문자가 들어간 텍스트
+ */
+function markSearchTerms(text, terms) {
+    const source = String(text || '');
+    const words = [...new Set((terms || []).filter(Boolean))]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp);
+
+    if (!source || words.length === 0) {
+        return source;
+    }
+
+    return source.replace(new RegExp(words.join('|'), 'giu'), match => `${MARK_START}${match}${MARK_END}`);
+}
+
+/**
+ * 표시 문자가 들어간 텍스트를 HTML로 변환
+ * 텍스트는 모두 이스케이프하고 표시 구간만 <mark>로 감싸며, 짝이 맞지 않는 표시 문자는 보정함
+ * @param {string} text - 표시 문자가 들어간 플레인 텍스트
+ * @returns {string} 안전한 HTML
+ */
+function renderMarkedText(text) {
+    let depth = 0;
+    const html = escapeHtml(String(text || '')).replace(MARK_PATTERN, marker => {
+        if (marker === MARK_START) {
+            return depth++ === 0 ? '<mark>' : '';
+        }
+        if (depth === 0) {
+            return '';
+        }
+        return --depth === 0 ? '</mark>' : '';
+    });
+
+    return depth > 0 ? `${html}</mark>` : html;
+}
+
+/**
+ * 링크 주소처럼 화면에 보이지 않는 위치의 표시 문자 제거
+ * 주소 안에 표시 문자가 남으면 마크다운 링크로 해석되지 않아 원문 문법이 그대로 노출됨
+ * @param {string} markdown - 표시 문자가 들어간 마크다운
+ * @returns {string} 정리된 마크다운
+ */
+function stripMarksFromLinkTargets(markdown) {
+    return markdown
+        .replace(/\]\([^)]*\)/g, stripMarks)
+        .replace(/<[^<>\s]+>/g, stripMarks);
+}
+
+/**
+ * 검색어 주변 본문을 잘라 스니펫 생성
+ * 마크다운은 플레인 텍스트로 바꾼 뒤 첫 번째 일치 구간이 앞쪽에 오도록 자름
+ * @param {string} markedMarkdown - 표시 문자가 들어간 마크다운 본문
+ * @param {number} maxLength - 스니펫 최대 길이
+ * @returns {{ html: string, text: string }} 이스케이프된 HTML 스니펫과 표시 문자를 뺀 텍스트
+ */
+function buildSnippet(markedMarkdown, maxLength = SNIPPET_LENGTH) {
+    const text = markdownToText(stripMarksFromLinkTargets(String(markedMarkdown || '')));
+    const plainLength = stripMarks(text).length;
+
+    let snippet = text;
+    if (plainLength > maxLength) {
+        const firstMatch = text.indexOf(MARK_START);
+        let start = firstMatch > maxLength / 4 ? firstMatch - Math.floor(maxLength / 4) : 0;
+
+        // 단어 중간에서 시작하지 않도록 가까운 공백까지 앞당김
+        const space = text.lastIndexOf(' ', start);
+        if (start > 0 && space !== -1 && start - space < 20) {
+            start = space + 1;
+        }
+
+        // 잘린 구간 안의 표시 문자는 길이에 포함하지 않음
+        let end = start;
+        let visible = 0;
+        while (end < text.length && visible < maxLength) {
+            if (text[end] !== MARK_START && text[end] !== MARK_END) {
+                visible++;
+            }
+            end++;
+        }
+
+        snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    return {
+        html: renderMarkedText(snippet),
+        text: stripMarks(snippet)
+    };
+}
+
+module.exports = {
+    MARK_START,
+    MARK_END,
+    SNIPPET_LENGTH,
+    stripMarks,
+    markSearchTerms,
+    renderMarkedText,
+    buildSnippet
+};